@@ -0,0 +1,325 @@
+/** Alerting for Puppy Station - evaluates rules over live data and notifies when alerts fire or resolve */
+const os = require('os');
+const { execFile } = require('child_process');
+const { config } = require('./config');
+const { getLatestSample } = require('./metrics');
+const { getProcessStates } = require('./processes');
+const {
+  getAgentLiveness,
+  getPendingReviews,
+  countRecentActivities,
+  openAlert,
+  resolveAlert,
+  markAlertNotified,
+  getAlert,
+  getAlerts,
+  getActiveAlertSilences
+} = require('./db');
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+// Channels besides the dashboard, which always shows alerts
+const CHANNELS = ['webhook', 'command'];
+const SYSTEM_METRICS = { cpu: 'CPU', mem: 'Memory', disk: 'Disk', load: 'Load' };
+
+let timer = null;
+let rules = [];
+let external = true;
+// When each condition that has not fired yet was first seen, for rules with `forSeconds`
+const pending = new Map();
+
+const isPositive = value => typeof value === 'number' && value > 0;
+const appliesTo = (rule, agentId) => !rule.agents || rule.agents.includes(agentId);
+const ageMs = (timestamp, now) => now - new Date(timestamp.replace(' ', 'T') + 'Z').getTime();
+const alertKey = (ruleId, subject) => `${ruleId}\0${subject}`;
+
+/**
+ * Rule types. `validate(rule)` returns an error message or null; `check(rule, now)` returns the
+ * conditions that currently hold as { subject, summary, details }, one alert per subject.
+ */
+const RULE_TYPES = {
+  // A host metric from the system sampler above a threshold
+  system: {
+    validate: rule => !SYSTEM_METRICS[rule.metric]
+      ? `metric must be one of ${Object.keys(SYSTEM_METRICS).join(', ')}`
+      : typeof rule.above !== 'number' ? 'above must be a number' : null,
+    check(rule) {
+      const sample = getLatestSample();
+      const value = sample ? sample[rule.metric] : null;
+      if (value === null || value === undefined || value <= rule.above) return [];
+      
+      const unit = rule.metric === 'load' ? '' : '%';
+      return [{
+        subject: 'system',
+        summary: `${SYSTEM_METRICS[rule.metric]} at ${value}${unit} (above ${rule.above}${unit})`,
+        details: { metric: rule.metric, value, above: rule.above }
+      }];
+    }
+  },
+  // No heartbeat or authenticated request from an agent for `minutes` (agents never seen are skipped)
+  agent_silent: {
+    validate: rule => isPositive(rule.minutes) ? null : 'minutes must be a positive number',
+    check(rule) {
+      return getAgentLiveness()
+        .filter(agent => appliesTo(rule, agent.id) && agent.silent_seconds !== null && agent.silent_seconds >= rule.minutes * 60)
+        .map(agent => ({
+          subject: agent.id,
+          summary: `${agent.id} has been silent for ${Math.floor(agent.silent_seconds / 60)} minutes`,
+          details: { agentId: agent.id, lastSeenAt: agent.last_seen_at }
+        }));
+    }
+  },
+  // At least `count` activities of one type (default `error`) from an agent within `windowMinutes`
+  activity_burst: {
+    validate: rule => !Number.isInteger(rule.count) || rule.count < 1
+      ? 'count must be a positive integer'
+      : isPositive(rule.windowMinutes) ? null : 'windowMinutes must be a positive number',
+    check(rule, now) {
+      const type = rule.activity || 'error';
+      return countRecentActivities(type, new Date(now - rule.windowMinutes * 60000))
+        .filter(row => appliesTo(rule, row.agent_id) && row.count >= rule.count)
+        .map(row => ({
+          subject: row.agent_id,
+          summary: `${row.count} ${type} activities from ${row.agent_id} in ${rule.windowMinutes} minutes`,
+          details: { agentId: row.agent_id, activity: type, count: row.count }
+        }));
+    }
+  },
+  // A pending review (optionally only of some priorities) older than `minutes`
+  review_pending: {
+    validate: rule => isPositive(rule.minutes) ? null : 'minutes must be a positive number',
+    check(rule, now) {
+      const priorities = rule.priority ? [].concat(rule.priority) : null;
+      return getPendingReviews()
+        .filter(review => (!priorities || priorities.includes(review.priority)) && appliesTo(rule, review.agent_id))
+        .filter(review => ageMs(review.created_at, now) >= rule.minutes * 60000)
+        .map(review => ({
+          subject: `review:${review.id}`,
+          summary: `${review.priority} priority review #${review.id} from ${review.agent_name} pending for ${Math.floor(ageMs(review.created_at, now) / 60000)} minutes`,
+          details: { reviewId: review.id, agentId: review.agent_id, priority: review.priority, question: review.question }
+        }));
+    }
+  },
+  // Every process linked to an agent is gone
+  process_missing: {
+    validate: () => null,
+    check(rule) {
+      return getProcessStates()
+        .filter(state => state.status === 'missing' && appliesTo(rule, state.agentId))
+        .map(state => ({
+          subject: state.agentId,
+          summary: `${state.agentId} has no running processes`,
+          details: { agentId: state.agentId, missingSince: state.missingSince }
+        }));
+    }
+  }
+};
+
+/** Validate the configured rules and fill in defaults; throws on the first invalid rule */
+function compileRules(list) {
+  const seen = new Set();
+  return list.map((rule, index) => {
+    const name = rule.id || `#${index + 1}`;
+    const fail = message => { throw new Error(`Invalid alert rule ${name}: ${message}`); };
+    
+    if (typeof rule.id !== 'string' || !rule.id) fail('id is required');
+    if (seen.has(rule.id)) fail('id is used by another rule');
+    seen.add(rule.id);
+    if (!RULE_TYPES[rule.type]) fail(`type must be one of ${Object.keys(RULE_TYPES).join(', ')}`);
+    
+    const severity = rule.severity || 'warning';
+    if (!SEVERITIES.includes(severity)) fail(`severity must be one of ${SEVERITIES.join(', ')}`);
+    const channels = rule.channels || CHANNELS;
+    if (!Array.isArray(channels) || channels.some(channel => !CHANNELS.includes(channel))) {
+      fail(`channels must be a list of ${CHANNELS.join(', ')}`);
+    }
+    if (rule.agents !== undefined && !Array.isArray(rule.agents)) fail('agents must be a list of agent ids');
+    
+    const error = RULE_TYPES[rule.type].validate(rule);
+    if (error) fail(error);
+    
+    return { ...rule, severity, channels, forSeconds: rule.forSeconds || 0 };
+  });
+}
+
+/** Whether an alert is covered by one of the silences */
+function isSilenced(alert, silences) {
+  return silences.some(silence =>
+    (!silence.rule_id || silence.rule_id === alert.rule_id) &&
+    (!silence.subject || silence.subject === alert.subject));
+}
+
+/** Alerts (newest first) with a `silenced` flag for the active silences */
+function listAlerts(filter = {}) {
+  const silences = getActiveAlertSilences();
+  return getAlerts(filter).map(alert => ({ ...alert, silenced: isSilenced(alert, silences) }));
+}
+
+/**
+ * Check every rule once, opening alerts for conditions that have held for the rule's
+ * `forSeconds` and resolving firing alerts whose condition is gone. A rule whose check
+ * throws leaves its alerts as they are. Returns the changes as { event, alert }.
+ */
+function evaluateAlerts(now = Date.now()) {
+  const firing = new Map(getAlerts({ status: 'firing', limit: -1 }).map(alert => [alertKey(alert.rule_id, alert.subject), alert]));
+  const active = new Set();
+  const changes = [];
+  
+  for (const rule of rules) {
+    let conditions;
+    try {
+      conditions = RULE_TYPES[rule.type].check(rule, now);
+    } catch (err) {
+      console.error(`Alert rule ${rule.id} failed:`, err);
+      for (const alert of firing.values()) {
+        if (alert.rule_id === rule.id) active.add(alertKey(alert.rule_id, alert.subject));
+      }
+      continue;
+    }
+    
+    for (const condition of conditions) {
+      const key = alertKey(rule.id, condition.subject);
+      active.add(key);
+      if (firing.has(key)) continue;
+      
+      if (!pending.has(key)) pending.set(key, now);
+      if (now - pending.get(key) < rule.forSeconds * 1000) continue;
+      
+      pending.delete(key);
+      const alertId = openAlert({ ruleId: rule.id, severity: rule.severity, ...condition });
+      changes.push({ event: 'firing', alert: getAlert(alertId) });
+    }
+  }
+  
+  for (const key of pending.keys()) {
+    if (!active.has(key)) pending.delete(key);
+  }
+  // Alerts of rules that were removed from the config resolve as well
+  for (const [key, alert] of firing) {
+    if (active.has(key) || !resolveAlert(alert.id)) continue;
+    changes.push({ event: 'resolved', alert: getAlert(alert.id) });
+  }
+  return changes;
+}
+
+/** The JSON sent to webhooks and commands */
+function alertPayload(event, alert) {
+  return {
+    event: `alert.${event}`,
+    alert: {
+      id: alert.id,
+      rule: alert.rule_id,
+      subject: alert.subject,
+      severity: alert.severity,
+      status: alert.status,
+      summary: alert.summary,
+      details: JSON.parse(alert.details_json || '{}'),
+      startedAt: alert.started_at,
+      resolvedAt: alert.resolved_at
+    },
+    host: os.hostname(),
+    sentAt: new Date().toISOString()
+  };
+}
+
+async function postWebhook(url, payload) {
+  try {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'User-Agent': 'puppy-station' },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(config.alerts.timeoutSeconds * 1000)
+    });
+    if (!res.ok) console.error(`Alert webhook ${url} answered ${res.status}`);
+  } catch (err) {
+    console.error(`Alert webhook ${url} failed:`, err.message);
+  }
+}
+
+/** Run the alert command with the payload on stdin and the main fields in PUPPY_ALERT_* variables */
+function runCommand({ path: file, args = [] }, payload) {
+  const env = {
+    ...process.env,
+    PUPPY_ALERT_EVENT: payload.event,
+    PUPPY_ALERT_RULE: payload.alert.rule,
+    PUPPY_ALERT_SUBJECT: payload.alert.subject,
+    PUPPY_ALERT_SEVERITY: payload.alert.severity,
+    PUPPY_ALERT_SUMMARY: payload.alert.summary
+  };
+  const child = execFile(file, args, { env, timeout: config.alerts.timeoutSeconds * 1000 }, (err, stdout, stderr) => {
+    if (err) console.error(`Alert command ${file} failed:`, err.message, stderr.trim());
+  });
+  // A command that exits without reading its input is fine
+  child.stdin.on('error', () => {});
+  child.stdin.end(JSON.stringify(payload));
+}
+
+/** Send an alert to the webhook and command channels of its rule */
+function deliver(event, alert) {
+  const rule = rules.find(candidate => candidate.id === alert.rule_id);
+  const channels = rule ? rule.channels : CHANNELS;
+  const payload = alertPayload(event, alert);
+  
+  if (channels.includes('webhook')) {
+    for (const url of config.alerts.webhooks) postWebhook(url, payload);
+  }
+  if (channels.includes('command') && config.alerts.command) runCommand(config.alerts.command, payload);
+}
+
+/**
+ * Deliver what has not been delivered: firing alerts that are not silenced (including ones
+ * that fired while silenced and whose silence has ended) and resolutions of delivered alerts.
+ */
+function notify(changes) {
+  const silences = getActiveAlertSilences();
+  
+  for (const alert of getAlerts({ status: 'firing', limit: -1 })) {
+    if (alert.notified_at || isSilenced(alert, silences)) continue;
+    markAlertNotified(alert.id);
+    if (external) deliver('firing', alert);
+  }
+  for (const { event, alert } of changes) {
+    if (event === 'resolved' && alert.notified_at && !isSilenced(alert, silences) && external) deliver('resolved', alert);
+  }
+}
+
+/** The configured rules, with defaults filled in */
+function getAlertRules() {
+  return rules;
+}
+
+/**
+ * Evaluate the rules every `evaluateSeconds`. `onChange` receives the list of changes after
+ * each evaluation that had any; `deliverExternally: false` keeps alerts on the dashboard only.
+ */
+function startAlerts(onChange, { deliverExternally = true } = {}) {
+  rules = compileRules(config.alerts.rules);
+  external = deliverExternally;
+  
+  timer = setInterval(() => {
+    try {
+      const changes = evaluateAlerts();
+      notify(changes);
+      if (changes.length) onChange(changes);
+    } catch (err) {
+      console.error('Alert evaluation error:', err);
+    }
+  }, config.alerts.evaluateSeconds * 1000);
+  
+  console.log(`✅ Alerts started (${rules.length} rules, ${config.alerts.webhooks.length} webhooks${config.alerts.command ? ', command' : ''})`);
+}
+
+function stopAlerts() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  RULE_TYPES,
+  compileRules,
+  isSilenced,
+  listAlerts,
+  evaluateAlerts,
+  getAlertRules,
+  startAlerts,
+  stopAlerts
+};
@@ -0,0 +1,206 @@
+/** Authentication for Puppy Station - per-agent API keys and admin sessions */
+const crypto = require('crypto');
+const { config } = require('./config');
+const {
+  getAgentIdByApiKeyHash,
+  createSession,
+  isSessionValid,
+  deleteSession
+} = require('./db');
+
+const SESSION_COOKIE = 'puppy_session';
+
+// Failed logins allowed per client address within the window before we start refusing
+const MAX_FAILED_LOGINS = 5;
+const FAILED_LOGIN_WINDOW_MS = 15 * 60000;
+const failedLogins = new Map();
+
+/** SHA-256 of a random token; keys and session tokens are never stored in plain text */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/** Generate a new API key; the agent ID prefix makes keys easy to tell apart */
+function generateApiKey(agentId) {
+  return `ps_${agentId}_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+/** Hash a password with scrypt as "scrypt$<salt>$<hash>" */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+/** Compare a password against a stored scrypt hash in constant time */
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function isAuthEnabled() {
+  return config.auth.enabled !== false;
+}
+
+function isAdminLoginConfigured() {
+  return !!(process.env.PUPPY_ADMIN_PASSWORD || config.auth.adminPasswordHash);
+}
+
+/** Check the admin password against PUPPY_ADMIN_PASSWORD or the configured hash */
+function checkAdminPassword(password) {
+  if (typeof password !== 'string' || !password) return false;
+  
+  if (process.env.PUPPY_ADMIN_PASSWORD) {
+    const expected = crypto.createHash('sha256').update(process.env.PUPPY_ADMIN_PASSWORD).digest();
+    const actual = crypto.createHash('sha256').update(password).digest();
+    return crypto.timingSafeEqual(actual, expected);
+  }
+  return !!config.auth.adminPasswordHash && verifyPassword(password, config.auth.adminPasswordHash);
+}
+
+/** True if this address has failed to log in too often recently */
+function isLoginThrottled(address) {
+  const entry = failedLogins.get(address);
+  if (!entry) return false;
+  if (Date.now() - entry.since > FAILED_LOGIN_WINDOW_MS) {
+    failedLogins.delete(address);
+    return false;
+  }
+  return entry.count >= MAX_FAILED_LOGINS;
+}
+
+function recordLoginResult(address, success) {
+  if (success) {
+    failedLogins.delete(address);
+    return;
+  }
+  const entry = failedLogins.get(address) || { count: 0, since: Date.now() };
+  entry.count++;
+  failedLogins.set(address, entry);
+}
+
+/** Parse a Cookie header into a name -> value map */
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    const name = part.slice(0, index).trim();
+    const value = part.slice(index + 1).trim();
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch (err) {
+      // Badly encoded cookies (often another app's on the same host) are kept as they are
+      cookies[name] = value;
+    }
+  }
+  return cookies;
+}
+
+/**
+ * Work out who is calling from an agent key (Authorization: Bearer) or an admin session cookie.
+ * Returns { role: 'admin' } or { role: 'agent', agentId }, or null for anonymous requests.
+ */
+function authenticate(req) {
+  if (!isAuthEnabled()) return { role: 'admin', name: 'admin' };
+  
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  if (match) {
+    const agentId = getAgentIdByApiKeyHash(hashToken(match[1]));
+    return agentId ? { role: 'agent', agentId, name: agentId } : null;
+  }
+  
+  const session = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (session && isSessionValid(hashToken(session))) {
+    return { role: 'admin', name: 'admin' };
+  }
+  
+  return null;
+}
+
+/** Express middleware that sets req.auth for every request */
+function attachAuth(req, res, next) {
+  try {
+    req.auth = authenticate(req);
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+/** Middleware: only an admin session may continue */
+function requireAdmin(req, res, next) {
+  if (req.auth && req.auth.role === 'admin') return next();
+  if (!req.auth) return res.status(401).json({ error: 'Authentication required' });
+  res.status(403).json({ error: 'Admin session required' });
+}
+
+/** Middleware: an admin session, or an agent listed in tasks.coordinators, may continue */
+function requireCoordinator(req, res, next) {
+  if (!req.auth) return res.status(401).json({ error: 'Authentication required' });
+  if (req.auth.role === 'admin' || config.tasks.coordinators.includes(req.auth.agentId)) return next();
+  res.status(403).json({ error: 'Admin session or coordinator agent required' });
+}
+
+/**
+ * Middleware factory: an admin, or the agent whose ID `getAgentId(req)` returns
+ * (by default the :id route parameter), may continue.
+ */
+function requireAgent(getAgentId = req => req.params.id) {
+  return (req, res, next) => {
+    if (!req.auth) return res.status(401).json({ error: 'Authentication required' });
+    if (req.auth.role === 'admin' || req.auth.agentId === getAgentId(req)) return next();
+    res.status(403).json({ error: 'This API key may only write to its own agent' });
+  };
+}
+
+/** Start an admin session and set its cookie */
+function startSession(res) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const maxAge = config.auth.sessionHours * 3600;
+  createSession(hashToken(token), new Date(Date.now() + maxAge * 1000));
+  
+  const attributes = [`${SESSION_COOKIE}=${token}`, 'HttpOnly', 'SameSite=Strict', 'Path=/', `Max-Age=${maxAge}`];
+  if (config.auth.secureCookie) attributes.push('Secure');
+  res.set('Set-Cookie', attributes.join('; '));
+}
+
+/** End the caller's admin session and clear its cookie */
+function endSession(req, res) {
+  const session = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (session) deleteSession(hashToken(session));
+  res.set('Set-Cookie', `${SESSION_COOKIE}=; HttpOnly; SameSite=Strict; Path=/; Max-Age=0`);
+}
+
+module.exports = {
+  hashToken,
+  generateApiKey,
+  hashPassword,
+  isAuthEnabled,
+  isAdminLoginConfigured,
+  checkAdminPassword,
+  isLoginThrottled,
+  recordLoginResult,
+  authenticate,
+  attachAuth,
+  requireAdmin,
+  requireCoordinator,
+  requireAgent,
+  startSession,
+  endSession
+};
+
+// `node auth.js hash-password <password>` prints a value for auth.adminPasswordHash
+if (require.main === module) {
+  const [command, password] = process.argv.slice(2);
+  if (command !== 'hash-password' || !password) {
+    console.error('Usage: node auth.js hash-password <password>');
+    process.exit(1);
+  }
+  console.log(hashPassword(password));
+}
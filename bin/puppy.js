@@ -0,0 +1,320 @@
+#!/usr/bin/env node
+/** Command-line client for Puppy Station - report activity, tasks and reviews, and tail the live stream */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CONFIG_PATH = process.env.PUPPY_CLI_CONFIG || path.join(os.homedir(), '.puppyrc.json');
+// Flags that take a value; every other --flag is a switch
+const VALUE_FLAGS = ['url', 'key', 'agent', 'password', 'summary', 'priority', 'task', 'status', 'type', 'meta'];
+
+const USAGE = `Usage: puppy <command> [options]
+
+Agent commands (use the agent's key and --agent, default PUPPY_AGENT):
+  log <type> <description...>     Log an activity (--meta key=value, repeatable)
+  task <title...>                 Set the current task (--summary <text>)
+  task --complete|--fail [text]   Finish the current task with an outcome
+  task --block <reason...>        Block the current task
+  status <status>                 Set the agent's status
+  review <question...>            Ask for a review (--priority high|medium|low, --task <id>)
+
+Anyone:
+  reviews                         List pending reviews (--status all|<list>, --agent <id>)
+  tail                            Follow live activity (--agent, --type, default activity; --priority)
+
+Admin commands (need PUPPY_PASSWORD):
+  answer <id> <answer...>         Answer a review
+  resolve <id> [answer...]        Resolve a review
+
+Options:
+  --url <url>        Station URL (PUPPY_URL, default http://localhost:8080)
+  --key <key>        Agent API key (PUPPY_KEY)
+  --agent <id>       Agent to report as (PUPPY_AGENT)
+  --password <pw>    Admin password (PUPPY_PASSWORD)
+  --json             Print raw JSON instead of text
+
+Settings can also live in ${CONFIG_PATH} (PUPPY_CLI_CONFIG): { "url", "key", "agent", "password" }`;
+
+/** Split argv into positional words and --flags; repeated value flags collect into arrays */
+function parseArgs(argv) {
+  const args = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      args.push(arg);
+      continue;
+    }
+    
+    let [name, value] = arg.slice(2).split(/=(.*)/s);
+    if (VALUE_FLAGS.includes(name) && value === undefined) {
+      value = argv[++i];
+      if (value === undefined) throw new Error(`--${name} needs a value`);
+    }
+    if (value === undefined) value = true;
+    flags[name] = name in flags ? [].concat(flags[name], value) : value;
+  }
+  return { args, flags };
+}
+
+/** Settings from the config file, then the environment, then flags */
+function loadSettings(flags) {
+  let file = {};
+  if (fs.existsSync(CONFIG_PATH)) {
+    try {
+      file = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+    } catch (err) {
+      throw new Error(`Invalid config file ${CONFIG_PATH}: ${err.message}`);
+    }
+  }
+  
+  const pick = (name, env) => flags[name] || process.env[env] || file[name] || null;
+  return {
+    url: String(pick('url', 'PUPPY_URL') || 'http://localhost:8080').replace(/\/+$/, ''),
+    key: pick('key', 'PUPPY_KEY'),
+    agent: pick('agent', 'PUPPY_AGENT'),
+    password: pick('password', 'PUPPY_PASSWORD'),
+    json: !!flags.json
+  };
+}
+
+/** A client bound to the settings; `admin` requests log in with the password first */
+function createClient(settings) {
+  let sessionCookie = null;
+  
+  async function login() {
+    const res = await fetch(`${settings.url}/api/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ password: settings.password })
+    });
+    if (!res.ok) throw new Error(`Login failed: ${(await readBody(res)).error || res.status}`);
+    sessionCookie = (res.headers.get('set-cookie') || '').split(';')[0];
+  }
+  
+  /** Headers that authenticate a request: the agent key, or an admin session when asked or when there is no key */
+  async function authHeaders(admin) {
+    if (settings.key && !admin) return { Authorization: `Bearer ${settings.key}` };
+    if (settings.password) {
+      if (!sessionCookie) await login();
+      return { Cookie: sessionCookie };
+    }
+    if (admin) throw new Error('This command needs the admin password (PUPPY_PASSWORD or --password)');
+    return settings.key ? { Authorization: `Bearer ${settings.key}` } : {};
+  }
+  
+  async function request(method, route, { body, admin = false } = {}) {
+    const headers = await authHeaders(admin);
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    const res = await fetch(settings.url + route, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const data = await readBody(res);
+    if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+    return data;
+  }
+  
+  return { request, authHeaders };
+}
+
+async function readBody(res) {
+  const text = await res.text();
+  try {
+    return text ? JSON.parse(text) : {};
+  } catch (err) {
+    return { error: text };
+  }
+}
+
+/** The agent to act as, or an error naming the ways to set it */
+function requireAgentId(settings) {
+  if (!settings.agent) throw new Error('No agent given; use --agent or PUPPY_AGENT');
+  return encodeURIComponent(settings.agent);
+}
+
+/** Parse repeated --meta key=value flags into an object; numbers and true/false keep their type */
+function parseMeta(meta) {
+  const metadata = {};
+  for (const pair of [].concat(meta || [])) {
+    const match = /^([^=]+)=(.*)$/s.exec(pair);
+    if (!match) throw new Error(`--meta must look like key=value, got "${pair}"`);
+    const value = match[2];
+    metadata[match[1]] = /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : value === 'true' ? true : value === 'false' ? false : value;
+  }
+  return metadata;
+}
+
+function formatReview(review) {
+  return `#${review.id} [${review.priority}] ${review.agent_name || review.agent_id}: ${review.question} (${review.status})` +
+    (review.answer ? `\n    → ${review.answer}` : '');
+}
+
+/** One streamed message as a line of text, or null for messages not worth a line */
+function formatEvent(event) {
+  const time = new Date().toTimeString().slice(0, 8);
+  switch (event.type) {
+    case 'activity':
+    case 'activities':
+      return (event.activities || [event.activity])
+        .map(act => `${time} ${act.agent_emoji || '🐕'} ${act.agent_name || act.agent_id} ${act.type}: ${act.description}`)
+        .join('\n');
+    case 'review':
+      return `${time} 👁️ review ${formatReview(event.review)}`;
+    case 'review-updated':
+      return `${time} 💬 review #${event.review.id} ${event.action}`;
+    case 'task_update':
+      return `${time} 📋 ${event.agentId}: task ${event.record ? `#${event.record.id} ${event.action} (${event.record.status})` : event.action}`;
+    case 'status_update':
+      return `${time} 📡 ${event.agentId} is ${event.status}`;
+    case 'subscribed':
+      return null;
+    default:
+      return `${time} ${event.type}${event.agentId ? ` ${event.agentId}` : ''}`;
+  }
+}
+
+/** Follow /api/stream, reconnecting with Last-Event-ID until interrupted */
+async function tail(client, settings, flags) {
+  const params = new URLSearchParams({ type: flags.type || 'activity' });
+  if (flags.agent) params.set('agent', flags.agent);
+  if (flags.priority) params.set('priority', flags.priority);
+  let lastEventId = null;
+  
+  for (;;) {
+    try {
+      const headers = await client.authHeaders(false);
+      if (lastEventId) headers['Last-Event-ID'] = lastEventId;
+      const res = await fetch(`${settings.url}/api/stream?${params}`, { headers });
+      if (!res.ok) throw Object.assign(new Error((await readBody(res)).error || `HTTP ${res.status}`), { fatal: res.status < 500 });
+      
+      let buffer = '';
+      for await (const chunk of res.body) {
+        buffer += Buffer.from(chunk).toString('utf8');
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const data = block.split('\n').filter(line => line.startsWith('data: ')).map(line => line.slice(6)).join('\n');
+          const id = block.split('\n').find(line => line.startsWith('id: '));
+          if (id) lastEventId = id.slice(4);
+          if (!data) continue;
+          
+          const event = JSON.parse(data);
+          if (settings.json) {
+            console.log(data);
+          } else {
+            const line = formatEvent(event);
+            if (line) console.log(line);
+            if (event.type === 'subscribed' && event.truncated) console.error('puppy: some events were missed while disconnected');
+          }
+        }
+      }
+    } catch (err) {
+      if (err.fatal) throw err;
+      console.error(`puppy: stream interrupted (${err.cause ? err.cause.message : err.message}), reconnecting...`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 3000));
+  }
+}
+
+/** Run one command; returns what to print (text, or the raw response with --json) */
+async function run(command, args, flags, settings) {
+  const client = createClient(settings);
+  const output = (data, text) => (settings.json ? JSON.stringify(data, null, 2) : text);
+  
+  switch (command) {
+    case 'log': {
+      const [type, ...words] = args;
+      if (!type || !words.length) throw new Error('Usage: puppy log <type> <description...>');
+      const data = await client.request('POST', `/api/agents/${requireAgentId(settings)}/activity`, {
+        body: { type, description: words.join(' '), metadata: parseMeta(flags.meta) }
+      });
+      return output(data, `Logged activity #${data.activityId}`);
+    }
+    
+    case 'task': {
+      const agentId = requireAgentId(settings);
+      const action = ['complete', 'fail', 'block'].find(name => flags[name]);
+      if (!action) {
+        if (!args.length) throw new Error('Usage: puppy task <title...> or puppy task --complete|--fail|--block [text]');
+        const body = { task: args.join(' ') };
+        if (flags.summary) body.summary = flags.summary;
+        const data = await client.request('POST', `/api/agents/${agentId}/task`, { body });
+        return output(data, `Task set: ${body.task}`);
+      }
+      
+      const agent = await client.request('GET', `/api/agents/${agentId}`);
+      if (!agent.current_task_id) throw new Error(`${settings.agent} has no current task`);
+      const note = args.join(' ') || undefined;
+      if (action === 'block' && !note) throw new Error('Usage: puppy task --block <reason...>');
+      const data = await client.request('POST', `/api/agents/${agentId}/tasks/${agent.current_task_id}/${action}`, {
+        body: action === 'block' ? { reason: note } : { outcome: note }
+      });
+      return output(data, `Task #${data.id} ${data.status}: ${data.title}`);
+    }
+    
+    case 'status': {
+      if (args.length !== 1) throw new Error('Usage: puppy status <status>');
+      const data = await client.request('POST', `/api/agents/${requireAgentId(settings)}/status`, { body: { status: args[0] } });
+      return output(data, `Status: ${data.status}`);
+    }
+    
+    case 'review': {
+      if (!args.length) throw new Error('Usage: puppy review <question...>');
+      requireAgentId(settings);
+      // The station checks the priority against its registry
+      const body = { agentId: settings.agent, question: args.join(' ') };
+      if (flags.priority) body.priority = flags.priority;
+      if (flags.task) body.taskId = Number(flags.task);
+      const review = await client.request('POST', '/api/reviews', { body });
+      return output(review, `Opened ${formatReview(review)}`);
+    }
+    
+    case 'reviews': {
+      const params = new URLSearchParams();
+      if (flags.status) params.set('status', flags.status);
+      if (flags.agent) params.set('agent', flags.agent);
+      const query = params.toString();
+      const reviews = await client.request('GET', `/api/reviews${query ? `?${query}` : ''}`);
+      return output(reviews, reviews.length ? reviews.map(formatReview).join('\n') : 'No reviews');
+    }
+    
+    case 'answer':
+    case 'resolve': {
+      const [id, ...words] = args;
+      if (!/^\d+$/.test(id || '') || (command === 'answer' && !words.length)) {
+        throw new Error(`Usage: puppy ${command} <id> ${command === 'answer' ? '<answer...>' : '[answer...]'}`);
+      }
+      const body = words.length ? { answer: words.join(' ') } : {};
+      const data = command === 'answer'
+        ? await client.request('POST', `/api/reviews/${id}/answer`, { body, admin: true })
+        : await client.request('PATCH', `/api/reviews/${id}/resolve`, { body, admin: true });
+      return output(data, `Review #${id} ${command === 'answer' ? 'answered' : 'resolved'}`);
+    }
+    
+    case 'tail':
+      return tail(client, settings, flags);
+    
+    default:
+      throw new Error(`Unknown command "${command}"\n\n${USAGE}`);
+  }
+}
+
+async function main() {
+  const { args, flags } = parseArgs(process.argv.slice(2));
+  const [command, ...rest] = args;
+  if (!command || command === 'help' || flags.help) {
+    console.log(USAGE);
+    return;
+  }
+  
+  const output = await run(command, rest, flags, loadSettings(flags));
+  if (output) console.log(output);
+}
+
+main().catch(err => {
+  console.error(`puppy: ${err.cause ? `${err.message} (${err.cause.message})` : err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,294 @@
+/**
+ * Client SDK for Puppy Station agents (`require('puppy-station/client')`). Activities, tasks and
+ * status changes are queued in a local file and sent in order, so nothing is lost while the station
+ * is down; the queue drains once it is back.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DECIDED_REVIEW_STATUSES = ['answered', 'dismissed', 'resolved'];
+
+const DEFAULTS = {
+  url: process.env.PUPPY_URL || 'http://localhost:8080',
+  agentId: process.env.PUPPY_AGENT || null,
+  apiKey: process.env.PUPPY_KEY || null,
+  // Where unsent events are kept; defaults to ~/.puppy-station/<agent>-queue.ndjson
+  queueFile: null,
+  // Queued events are sent this often, or as soon as maxBatch are waiting
+  flushIntervalMs: 1000,
+  maxBatch: 50,
+  // The oldest events are dropped beyond this
+  maxQueue: 10000,
+  // Wait after a failed send, doubling up to maxBackoffMs
+  backoffMs: 1000,
+  maxBackoffMs: 60000,
+  timeoutMs: 10000,
+  // Called with (error, event) when the station rejects an event, which is then dropped
+  onError: null
+};
+
+/** Whether a failed request is worth retrying: network errors and timeouts (no `status`), 408, 429 and 5xx */
+function isRetryable(err) {
+  return err.status === undefined || err.status === 408 || err.status === 429 || err.status >= 500;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Create a client for one agent. Options (all optional but `agentId`) are listed in DEFAULTS;
+ * `url`, `agentId` and `apiKey` fall back to PUPPY_URL, PUPPY_AGENT and PUPPY_KEY.
+ */
+function createClient(options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  if (!settings.agentId) throw new Error('agentId is required (or set PUPPY_AGENT)');
+  const baseUrl = settings.url.replace(/\/+$/, '');
+  const agentPath = `/api/agents/${encodeURIComponent(settings.agentId)}`;
+  const queueFile = settings.queueFile || path.join(os.homedir(), '.puppy-station', `${settings.agentId}-queue.ndjson`);
+  
+  let queue = loadQueue();
+  let nextSeq = queue.reduce((max, event) => Math.max(max, event.seq), 0) + 1;
+  let flushing = null;
+  let backoff = 0;
+  let retryAt = 0;
+  let closed = false;
+  
+  const timer = setInterval(() => { flush().catch(() => {}); }, settings.flushIntervalMs);
+  timer.unref();
+  
+  /** Events left over from an earlier run; they are marked so their original time is kept */
+  function loadQueue() {
+    if (!fs.existsSync(queueFile)) return [];
+    return fs.readFileSync(queueFile, 'utf8').split('\n').filter(Boolean).flatMap(line => {
+      try {
+        return [{ ...JSON.parse(line), delayed: true }];
+      } catch (err) {
+        return [];
+      }
+    });
+  }
+  
+  /** Rewrite the queue file with what is still unsent */
+  function saveQueue() {
+    fs.mkdirSync(path.dirname(queueFile), { recursive: true });
+    if (!queue.length) {
+      if (fs.existsSync(queueFile)) fs.unlinkSync(queueFile);
+      return;
+    }
+    const tmp = `${queueFile}.tmp`;
+    fs.writeFileSync(tmp, queue.map(({ delayed, ...event }) => JSON.stringify(event)).join('\n') + '\n');
+    fs.renameSync(tmp, queueFile);
+  }
+  
+  async function request(method, route, body) {
+    const headers = {};
+    if (settings.apiKey) headers.Authorization = `Bearer ${settings.apiKey}`;
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    
+    const res = await fetch(baseUrl + route, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal: AbortSignal.timeout(settings.timeoutMs)
+    });
+    const text = await res.text();
+    let data = {};
+    try { data = text ? JSON.parse(text) : {}; } catch (err) { data = { error: text }; }
+    // Errors from the station carry the response code as `status` and the parsed response as `body`
+    if (!res.ok) throw Object.assign(new Error(data.error || `HTTP ${res.status}`), { status: res.status, body: data });
+    return data;
+  }
+  
+  /** A request retried with backoff while the station can't be reached, up to `attempts` times */
+  async function requestWithRetry(method, route, body, attempts = 5) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await request(method, route, body);
+      } catch (err) {
+        if (!isRetryable(err) || attempt >= attempts) throw err;
+        await sleep(Math.min(settings.backoffMs * 2 ** (attempt - 1), settings.maxBackoffMs));
+      }
+    }
+  }
+  
+  /** Append an event to the queue (and its file); sends right away once a batch is full */
+  function enqueue(kind, body) {
+    if (closed) throw new Error('Client is closed');
+    
+    const event = { seq: nextSeq++, kind, body, at: new Date().toISOString() };
+    queue.push(event);
+    if (queue.length > settings.maxQueue) {
+      queue.splice(0, queue.length - settings.maxQueue);
+      saveQueue();
+    } else {
+      fs.mkdirSync(path.dirname(queueFile), { recursive: true });
+      fs.appendFileSync(queueFile, JSON.stringify(event) + '\n');
+    }
+    
+    if (queue.length >= settings.maxBatch) flush().catch(() => {});
+  }
+  
+  /**
+   * Send queued activities in one batch request and report the ones the station rejected. Activities
+   * that waited in the queue are stored with their original time.
+   */
+  async function sendActivities(events) {
+    const activities = events.map(event => {
+      const { type, description, metadata = {} } = event.body;
+      const item = { agentId: settings.agentId, type, description, metadata };
+      if (event.delayed) item.timestamp = event.at;
+      return item;
+    });
+    
+    let results;
+    try {
+      ({ results } = await request('POST', '/api/activities/batch', activities));
+    } catch (err) {
+      // Nothing in the batch was accepted; the per-item errors are in the response
+      if (isRetryable(err) || !err.body || !err.body.results) throw err;
+      results = err.body.results;
+    }
+    for (const result of results) {
+      if (result.error && settings.onError) {
+        settings.onError(Object.assign(new Error(result.error), { status: 400 }), events[result.index]);
+      }
+    }
+  }
+  
+  /** Send one queued task or status event */
+  function sendEvent(event) {
+    switch (event.kind) {
+      case 'task':
+        return request('POST', `${agentPath}/task`, event.body);
+      case 'status':
+        return request('POST', `${agentPath}/status`, event.body);
+      default:
+        return Promise.resolve();
+    }
+  }
+  
+  /**
+   * Send queued events in order, up to maxBatch at a time, until the queue is empty or the station
+   * can't be reached; then wait before trying again. Consecutive activities go in one request.
+   * Events the station rejects are dropped and reported to onError. Resolves with the number of
+   * events still queued.
+   */
+  function flush({ force = false } = {}) {
+    if (flushing) return flushing;
+    if (!queue.length || (!force && Date.now() < retryAt)) return Promise.resolve(queue.length);
+    
+    flushing = (async () => {
+      try {
+        while (queue.length) {
+          const batch = queue.slice(0, settings.maxBatch);
+          let sent = 0;
+          try {
+            while (sent < batch.length) {
+              let run = 1;
+              if (batch[sent].kind === 'activity') {
+                while (sent + run < batch.length && batch[sent + run].kind === 'activity') run++;
+              }
+              const events = batch.slice(sent, sent + run);
+              try {
+                await (events[0].kind === 'activity' ? sendActivities(events) : sendEvent(events[0]));
+              } catch (err) {
+                if (isRetryable(err)) throw err;
+                if (settings.onError) for (const event of events) settings.onError(err, event);
+              }
+              sent += run;
+            }
+          } finally {
+            if (sent) {
+              queue.splice(0, sent);
+              saveQueue();
+            }
+          }
+          backoff = 0;
+          retryAt = 0;
+        }
+      } catch (err) {
+        backoff = Math.min(backoff ? backoff * 2 : settings.backoffMs, settings.maxBackoffMs);
+        retryAt = Date.now() + backoff;
+        for (const event of queue) event.delayed = true;
+      } finally {
+        flushing = null;
+      }
+      return queue.length;
+    })();
+    return flushing;
+  }
+  
+  return {
+    /** Queue an activity */
+    logActivity(type, description, metadata = {}) {
+      if (!type || !description) throw new Error('type and description are required');
+      enqueue('activity', { type, description, metadata });
+    },
+
+    /** Queue a new current task; a new title completes the previous task */
+    setTask(task, { summary } = {}) {
+      if (!task) throw new Error('task is required');
+      enqueue('task', summary ? { task, summary } : { task });
+    },
+
+    /** Queue a status change */
+    setStatus(status) {
+      if (!status) throw new Error('status is required');
+      enqueue('status', { status });
+    },
+
+    /** Tell the station the agent is alive. Not queued: a late heartbeat means nothing. Resolves false if it failed */
+    async heartbeat(status) {
+      try {
+        await request('POST', `${agentPath}/heartbeat`, status ? { status } : {});
+        return true;
+      } catch (err) {
+        return false;
+      }
+    },
+
+    /** Ask for a review; retried while the station is unreachable. Resolves with the review */
+    requestReview(question, { priority = 'medium', taskId } = {}) {
+      const body = { agentId: settings.agentId, question, priority };
+      if (taskId) body.taskId = taskId;
+      return requestWithRetry('POST', '/api/reviews', body);
+    },
+
+    /**
+     * Poll a review until it is answered, dismissed or resolved, acknowledge the decision and
+     * resolve with the review. Rejects after `timeoutMs` (default: wait forever).
+     */
+    async waitForReviewAnswer(reviewId, { pollIntervalMs = 5000, timeoutMs = 0 } = {}) {
+      const deadline = timeoutMs ? Date.now() + timeoutMs : Infinity;
+      for (;;) {
+        try {
+          const review = await request('GET', `/api/reviews/${reviewId}`);
+          if (DECIDED_REVIEW_STATUSES.includes(review.status)) {
+            await request('POST', `/api/reviews/${reviewId}/ack`).catch(() => {});
+            return review;
+          }
+        } catch (err) {
+          if (!isRetryable(err)) throw err;
+        }
+        if (Date.now() + pollIntervalMs > deadline) throw new Error(`Review ${reviewId} was not answered in time`);
+        await sleep(pollIntervalMs);
+      }
+    },
+
+    /** Send queued events now, ignoring any backoff; resolves with the number still queued */
+    flush: () => flush({ force: true }),
+    
+    /** Number of events waiting to be sent */
+    pending: () => queue.length,
+    
+    /** Stop the flush timer after one last attempt; anything unsent stays in the queue file */
+    async close() {
+      clearInterval(timer);
+      const remaining = await flush({ force: true });
+      closed = true;
+      return remaining;
+    }
+  };
+}
+
+module.exports = { createClient };
@@ -0,0 +1,210 @@
+/** Configuration for Puppy Station - built-in defaults overridden by puppy.config.json */
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_PATH = process.env.PUPPY_CONFIG || path.join(__dirname, 'puppy.config.json');
+
+const DEFAULTS = {
+  // USD per million tokens, keyed by the agent `model` column; '*' applies to unlisted models
+  pricing: {
+    'moonshot/kimi-k2.5': { prompt: 0.6, completion: 2.5 },
+    'nvidia/kimi-k2.5': { prompt: 0, completion: 0 },
+    '*': { prompt: 0, completion: 0 }
+  },
+  auth: {
+    // Set to false only on a trusted network: every write endpoint becomes public
+    enabled: true,
+    // Admin password as a scrypt hash from `node auth.js hash-password`; PUPPY_ADMIN_PASSWORD overrides it
+    adminPasswordHash: null,
+    sessionHours: 12,
+    // Mark the session cookie Secure (enable when served over HTTPS)
+    secureCookie: false
+  },
+  liveness: {
+    // Silence (no heartbeat or authenticated request) before an agent is marked stale, then offline
+    staleAfterSeconds: 120,
+    offlineAfterSeconds: 600,
+    checkIntervalSeconds: 15
+  },
+  watcher: {
+    enabled: true,
+    // Saves to the same file within this window are reported as one activity
+    debounceMs: 2000,
+    roots: [
+      {
+        path: '~/.openclaw/workspace',
+        include: ['**/*.md', '**/*.json'],
+        exclude: ['**/node_modules/**', '**/.git/**'],
+        depth: 3,
+        // Explicit owners are checked first (globs relative to the root, first match wins)
+        owners: [
+          { agent: 'zoomie', match: ['**/*zoomie*/**', '**/*zoomie*'] },
+          { agent: 'mechly', match: ['**/*mechly*/**', '**/*mechly*'] }
+        ],
+        // Then files under <root>/<agentDirs>/<agent id>/ belong to that agent
+        agentDirs: 'agents',
+        // Anything else in the workspace is the coordinator's; set to null to ignore it
+        defaultAgent: 'buppy'
+      }
+    ],
+    // Activity type for a file, first match wins. Patterns without a slash match the file name;
+    // `snapshot: true` keeps a version of the file on every change
+    rules: [
+      { match: '*MEMORY*', type: 'memory_update', snapshot: true },
+      { match: '*config*', type: 'config_update', snapshot: true },
+      { match: '*IDENTITY*', type: 'identity_update', snapshot: true },
+      { match: '*SOUL*', type: 'soul_update', snapshot: true },
+      { match: '**', type: 'file_update' }
+    ]
+  },
+  snapshots: {
+    enabled: true,
+    // Larger files are logged but not stored
+    maxBytes: 262144,
+    keepVersions: 50,
+    keepDays: 90
+  },
+  demo: {
+    // Also switched on with `node server.js --demo` (`npm run demo`)
+    enabled: false,
+    // Recording to replay and the database it is replayed into, relative to the station directory
+    recording: 'data/agents.json',
+    dbPath: 'data/demo.db',
+    // Start from an empty demo database each run
+    reset: true,
+    // 1 = recorded pace; overridden by --speed=<n>
+    speed: 1,
+    loop: true,
+    maxGapSeconds: 300
+  },
+  retention: {
+    enabled: true,
+    // Days to keep each activity type (globs allowed, most specific match wins; null keeps forever)
+    activities: {
+      'command': 14,
+      'review_*': null,
+      '*': 90
+    },
+    // Write expired activities to gzipped NDJSON files before deleting them
+    archive: {
+      enabled: false,
+      dir: 'data/archive'
+    },
+    intervalHours: 24,
+    // First run after startup
+    startDelaySeconds: 60,
+    batchSize: 1000
+  },
+  metrics: {
+    sampleSeconds: 5,
+    // How far back each resolution reaches; older samples are overwritten
+    rawHours: 1,
+    minuteDays: 2,
+    hourDays: 90
+  },
+  processes: {
+    enabled: true,
+    sampleSeconds: 15,
+    historyDays: 7,
+    // Agents can also report their own PIDs. A process matching a rule belongs to its agent:
+    // `command` is a regular expression tested against the full command line, `cwd` a directory
+    // the process runs in (or below); a rule with both needs both to match
+    rules: []
+  },
+  alerts: {
+    enabled: true,
+    evaluateSeconds: 15,
+    // Each rule needs a unique `id` and a `type`; `forSeconds` is how long the condition must hold
+    // before the alert fires, `agents` limits agent rules to some agents, `channels` picks
+    // webhook and/or command (default both). The dashboard banner always shows firing alerts.
+    rules: [
+      { id: 'high_cpu', type: 'system', metric: 'cpu', above: 90, forSeconds: 300 },
+      { id: 'high_memory', type: 'system', metric: 'mem', above: 90, forSeconds: 300 },
+      { id: 'agent_silent', type: 'agent_silent', minutes: 30 },
+      { id: 'error_burst', type: 'activity_burst', activity: 'error', count: 5, windowMinutes: 10, severity: 'critical' },
+      { id: 'review_waiting', type: 'review_pending', priority: 'high', minutes: 60 },
+      { id: 'process_missing', type: 'process_missing', forSeconds: 60, severity: 'critical' }
+    ],
+    // URLs that receive each alert as a JSON POST
+    webhooks: [],
+    // Script run for each alert, e.g. { path: '/usr/local/bin/notify-send-alert', args: [] };
+    // it gets the alert JSON on stdin and PUPPY_ALERT_* environment variables
+    command: null,
+    timeoutSeconds: 10
+  },
+  tasks: {
+    // Agents that may create and assign tasks for other agents, as an admin can
+    coordinators: ['buppy'],
+    // A claimed task goes back to the shared queue when its lease runs out; agents renew it by
+    // claiming the task again
+    leaseMinutes: 15,
+    maxLeaseMinutes: 240,
+    leaseCheckSeconds: 30
+  },
+  digest: {
+    // Each day at `at` (HH:MM, UTC) a digest of the previous UTC day is saved as Markdown and HTML
+    enabled: true,
+    dir: 'data/digests',
+    at: '00:10',
+    // Most frequent error messages listed
+    maxErrors: 10
+  },
+  stream: {
+    // Recent events kept for clients resuming with Last-Event-ID
+    logSize: 1000,
+    // Comment line sent on idle Server-Sent Events connections so proxies keep them open
+    keepAliveSeconds: 25
+  },
+  registry: {
+    // Extra activity types agents may log, or new icons and colours for built-in ones,
+    // e.g. { deploy: { icon: '🚀', color: '#8e44ad' } }. Types named in watcher.rules are added too
+    activityTypes: {}
+  },
+  ingest: {
+    // Limits for POST /api/activities/batch; bodySize uses express units ('5mb')
+    maxItems: 1000,
+    maxBodySize: '5mb'
+  },
+  // Webhook subscriptions themselves are managed through /api/webhooks
+  webhooks: {
+    enabled: true,
+    // A failed delivery is retried after backoffSeconds, doubling each time up to maxBackoffSeconds
+    maxAttempts: 6,
+    backoffSeconds: 10,
+    maxBackoffSeconds: 3600,
+    timeoutSeconds: 10,
+    keepDeliveriesDays: 14
+  }
+};
+
+/** Recursively merge plain objects; arrays and scalars from `override` replace the default */
+function merge(base, override) {
+  if (!isPlainObject(base) || !isPlainObject(override)) return override;
+  
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    result[key] = key in base ? merge(base[key], value) : value;
+  }
+  return result;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/** Load the config file (if any) on top of the defaults */
+function loadConfig(configPath = CONFIG_PATH) {
+  if (!fs.existsSync(configPath)) return merge(DEFAULTS, {});
+  
+  try {
+    const overrides = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    console.log('✅ Loaded config from', configPath);
+    return merge(DEFAULTS, overrides);
+  } catch (err) {
+    throw new Error(`Invalid config file ${configPath}: ${err.message}`);
+  }
+}
+
+const config = loadConfig();
+
+module.exports = { config, loadConfig, DEFAULTS };
@@ -2,77 +2,36 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
+const { migrate, getSchemaVersion } = require('./migrations');
 
 const DATA_DIR = path.join(__dirname, 'data');
 const DB_PATH = path.join(DATA_DIR, 'dashboard.db');
 
 let db = null;
+const activityListeners = [];
+// Prepared statements of the activity write path, kept for the life of the connection
+const statementCache = new Map();
 
-/** Initialize the database and create tables if they don't exist */
-function initDb() {
+// Agent columns that can be edited through the registry API
+const AGENT_PROFILE_FIELDS = ['name', 'emoji', 'role', 'model'];
+
+/** Initialize the database (data/dashboard.db unless another path is given) and run pending migrations */
+function initDb(dbPath = DB_PATH) {
   // Ensure data directory exists
-  if (!fs.existsSync(DATA_DIR)) {
-    fs.mkdirSync(DATA_DIR, { recursive: true });
+  const dataDir = path.dirname(dbPath);
+  if (!fs.existsSync(dataDir)) {
+    fs.mkdirSync(dataDir, { recursive: true });
   }
 
   // Open database connection
-  db = new Database(DB_PATH);
+  statementCache.clear();
+  db = new Database(dbPath);
   db.pragma('journal_mode = WAL'); // Enable WAL mode for better concurrency
 
-  // Create agents table
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS agents (
-      id TEXT PRIMARY KEY,
-      name TEXT NOT NULL,
-      emoji TEXT DEFAULT '🐕',
-      role TEXT DEFAULT 'Agent',
-      model TEXT DEFAULT 'unknown',
-      status TEXT DEFAULT 'idle',
-      current_task TEXT DEFAULT NULL,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-
-  // Create activities table
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS activities (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      agent_id TEXT NOT NULL,
-      type TEXT DEFAULT 'info',
-      description TEXT NOT NULL,
-      metadata_json TEXT DEFAULT '{}',
-      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (agent_id) REFERENCES agents(id) ON DELETE CASCADE
-    )
-  `);
-
-  // Create index for faster queries
-  db.exec(`
-    CREATE INDEX IF NOT EXISTS idx_activities_agent_id ON activities(agent_id);
-    CREATE INDEX IF NOT EXISTS idx_activities_timestamp ON activities(timestamp DESC);
-  `);
-
-  // Create reviews table
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS reviews (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      agent_id TEXT NOT NULL,
-      question TEXT NOT NULL,
-      priority TEXT DEFAULT 'medium',
-      status TEXT DEFAULT 'pending',
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      resolved_at DATETIME DEFAULT NULL,
-      FOREIGN KEY (agent_id) REFERENCES agents(id) ON DELETE CASCADE
-    )
-  `);
-
-  // Create index for reviews
-  db.exec(`
-    CREATE INDEX IF NOT EXISTS idx_reviews_status ON reviews(status);
-    CREATE INDEX IF NOT EXISTS idx_reviews_agent_id ON reviews(agent_id);
-  `);
+  // Bring the schema up to date
+  migrate(db);
 
-  console.log('✅ Database initialized at', DB_PATH);
+  console.log('✅ Database initialized at', dbPath);
   
   // Seed initial agents if table is empty
   seedInitialAgents();
@@ -85,7 +44,7 @@ function seedInitialAgents() {
   const count = db.prepare('SELECT COUNT(*) as count FROM agents').get();
   if (count.count === 0) {
     const insert = db.prepare(`
-      INSERT INTO agents (id, name, emoji, role, model, status, current_task)
+      INSERT INTO agents (id, name, emoji, role, model, status, summary)
       VALUES (?, ?, ?, ?, ?, ?, ?)
     `);
     
@@ -122,6 +81,7 @@ function seedInitialAgents() {
     for (const agent of agents) {
       insert.run(agent.id, agent.name, agent.emoji, agent.role, agent.model, agent.status, agent.task);
       logActivity(agent.id, 'system', `${agent.name} initialized and ready`, { source: 'database_seed' });
+      createTask(agent.id, { title: agent.task });
     }
     
     console.log('✅ Seeded initial agents');
@@ -145,43 +105,148 @@ function seedSampleReviews() {
   console.log('✅ Seeded sample reviews');
 }
 
-/** Log an activity for an agent */
-function logActivity(agentId, type, description, metadata = {}) {
+/** Register a callback that receives every logged activity (with agent info) */
+function onActivity(listener) {
+  activityListeners.push(listener);
+}
+
+/** Store (or with null, revoke) the hash of an agent's API key */
+function setAgentApiKeyHash(agentId, keyHash) {
   if (!db) throw new Error('Database not initialized. Call initDb() first.');
   
-  const metadataJson = JSON.stringify(metadata);
-  const stmt = db.prepare(`
-    INSERT INTO activities (agent_id, type, description, metadata_json)
-    VALUES (?, ?, ?, ?)
-  `);
+  return db.prepare(`
+    UPDATE agents SET api_key_hash = ? WHERE id = ? AND archived_at IS NULL
+  `).run(keyHash, agentId).changes > 0;
+}
+
+/** Find the active agent that owns an API key hash */
+function getAgentIdByApiKeyHash(keyHash) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
   
-  const result = stmt.run(agentId, type, description, metadataJson);
+  const row = db.prepare(`
+    SELECT id FROM agents WHERE api_key_hash = ? AND archived_at IS NULL
+  `).get(keyHash);
+  return row ? row.id : null;
+}
+
+/** Create an admin session that lasts until `expiresAt` */
+function createSession(tokenHash, expiresAt) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
   
-  // Update agent's last activity timestamp
+  db.prepare('DELETE FROM admin_sessions WHERE expires_at <= CURRENT_TIMESTAMP').run();
   db.prepare(`
-    UPDATE agents SET updated_at = CURRENT_TIMESTAMP WHERE id = ?
-  `).run(agentId);
+    INSERT INTO admin_sessions (token_hash, expires_at) VALUES (?, ?)
+  `).run(tokenHash, toSqlTimestamp(expiresAt));
+}
+
+/** Check whether an admin session exists and has not expired */
+function isSessionValid(tokenHash) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
   
-  return result.lastInsertRowid;
+  return !!db.prepare(`
+    SELECT 1 FROM admin_sessions WHERE token_hash = ? AND expires_at > CURRENT_TIMESTAMP
+  `).get(tokenHash);
 }
 
-/** Update an agent's current task */
-function updateAgentTask(agentId, task) {
+/** End an admin session */
+function deleteSession(tokenHash) {
   if (!db) throw new Error('Database not initialized. Call initDb() first.');
   
-  const stmt = db.prepare(`
-    UPDATE agents 
-    SET current_task = ?, status = 'active', updated_at = CURRENT_TIMESTAMP 
-    WHERE id = ?
-  `);
+  db.prepare('DELETE FROM admin_sessions WHERE token_hash = ?').run(tokenHash);
+}
+
+/** A prepared statement for `sql`, prepared on first use */
+function cachedStatement(sql) {
+  let statement = statementCache.get(sql);
+  if (!statement) {
+    statement = db.prepare(sql);
+    statementCache.set(sql, statement);
+  }
+  return statement;
+}
+
+const INSERT_ACTIVITY = `
+  INSERT INTO activities (agent_id, type, description, metadata_json, timestamp)
+  VALUES (?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
+`;
+// The agent's last activity time, written at most once a second
+const TOUCH_AGENT = `
+  UPDATE agents SET updated_at = CURRENT_TIMESTAMP WHERE id = ? AND updated_at IS NOT CURRENT_TIMESTAMP
+`;
+const ACTIVITY_WITH_AGENT = `
+  SELECT 
+    a.id, a.agent_id, a.type, a.description, a.metadata_json, a.timestamp,
+    ag.name as agent_name, ag.emoji as agent_emoji
+  FROM activities a
+  JOIN agents ag ON a.agent_id = ag.id
+`;
+
+/** Log an activity for an agent */
+function logActivity(agentId, type, description, metadata = {}) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
   
-  const result = stmt.run(task, agentId);
+  const result = cachedStatement(INSERT_ACTIVITY).run(agentId, type, description, JSON.stringify(metadata), null);
+  cachedStatement(TOUCH_AGENT).run(agentId);
   
-  if (result.changes > 0) {
-    logActivity(agentId, 'task_update', `Updated task: ${task}`, { task });
+  if (activityListeners.length > 0) {
+    const activity = getActivity(result.lastInsertRowid);
+    for (const listener of activityListeners) listener(activity);
   }
   
-  return result.changes > 0;
+  return result.lastInsertRowid;
+}
+
+/**
+ * Log many activities in one transaction. Items are { agentId, type, description, metadata, timestamp },
+ * where `timestamp` (optional) backdates the activity. Each agent is touched once. Activity listeners
+ * are not called: the stored activities are returned, oldest first, for the caller to announce.
+ */
+function logActivities(items) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  const insert = cachedStatement(INSERT_ACTIVITY);
+  const touch = cachedStatement(TOUCH_AGENT);
+  return db.transaction(() => {
+    let firstId = null;
+    let lastId = null;
+    for (const { agentId, type, description, metadata = {}, timestamp } of items) {
+      lastId = insert.run(agentId, type, description, JSON.stringify(metadata), toSqlTimestamp(timestamp)).lastInsertRowid;
+      if (firstId === null) firstId = lastId;
+    }
+    for (const agentId of new Set(items.map(item => item.agentId))) touch.run(agentId);
+    
+    return firstId === null ? [] : cachedStatement(`${ACTIVITY_WITH_AGENT} WHERE a.id BETWEEN ? AND ? ORDER BY a.id`).all(firstId, lastId);
+  })();
+}
+
+/** Get a single activity with agent info */
+function getActivity(activityId) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  return cachedStatement(`${ACTIVITY_WITH_AGENT} WHERE a.id = ?`).get(activityId);
+}
+
+/**
+ * Set an agent's task from a plain string (and its work summary, if given). A new title
+ * completes the current task and starts another; the same title only updates the summary.
+ * Returns the current task, or null if there is no such agent.
+ */
+function updateAgentTask(agentId, task, summary = null) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  const agent = db.prepare('SELECT current_task_id FROM agents WHERE id = ? AND archived_at IS NULL').get(agentId);
+  if (!agent) return null;
+  
+  return db.transaction(() => {
+    if (summary) {
+      db.prepare('UPDATE agents SET summary = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(summary, agentId);
+    }
+    
+    const current = agent.current_task_id ? getTask(agent.current_task_id) : null;
+    if (current && current.title === task) return current;
+    if (current) transitionTask(current.id, 'complete');
+    return getTask(createTask(agentId, { title: task }));
+  })();
 }
 
 /** Update an agent's status */
@@ -197,26 +262,108 @@ function updateAgentStatus(agentId, status) {
   return stmt.run(status, agentId).changes > 0;
 }
 
-/** Get all agents with their current state */
-function getAllAgents() {
+/** Record that an agent has been heard from (heartbeat or authenticated request) */
+function markAgentSeen(agentId) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  db.prepare('UPDATE agents SET last_seen_at = CURRENT_TIMESTAMP WHERE id = ?').run(agentId);
+}
+
+/** Get each active agent's status and seconds since it was last seen (null if never) */
+function getAgentLiveness() {
   if (!db) throw new Error('Database not initialized. Call initDb() first.');
   
   return db.prepare(`
-    SELECT id, name, emoji, role, model, status, current_task, updated_at
+    SELECT id, status, last_seen_at,
+      CAST(strftime('%s', 'now') - strftime('%s', last_seen_at) AS INTEGER) as silent_seconds
     FROM agents
-    ORDER BY name
+    WHERE archived_at IS NULL
   `).all();
 }
 
-/** Get a single agent by ID */
-function getAgent(agentId) {
+/** Get all agents with their current state (archived agents only when asked) */
+function getAllAgents({ includeArchived = false } = {}) {
   if (!db) throw new Error('Database not initialized. Call initDb() first.');
   
   return db.prepare(`
-    SELECT id, name, emoji, role, model, status, current_task, updated_at
+    SELECT id, name, emoji, role, model, status, current_task, current_task_id, summary, updated_at, last_seen_at, archived_at
     FROM agents
-    WHERE id = ?
-  `).get(agentId);
+    WHERE archived_at IS NULL OR ?
+    ORDER BY name
+  `).all(includeArchived ? 1 : 0);
+}
+
+/** Get a single agent by ID (archived agents only when asked) */
+function getAgent(agentId, { includeArchived = false } = {}) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  return db.prepare(`
+    SELECT id, name, emoji, role, model, status, current_task, current_task_id, summary, updated_at, last_seen_at, archived_at
+    FROM agents
+    WHERE id = ? AND (archived_at IS NULL OR ?)
+  `).get(agentId, includeArchived ? 1 : 0);
+}
+
+/** Register a new agent, or bring back an archived agent with the same ID */
+function createAgent({ id, name, emoji, role, model, status }) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  db.prepare(`
+    INSERT INTO agents (id, name, emoji, role, model, status)
+    VALUES (@id, @name, @emoji, @role, @model, @status)
+    ON CONFLICT(id) DO UPDATE SET
+      name = excluded.name,
+      emoji = excluded.emoji,
+      role = excluded.role,
+      model = excluded.model,
+      status = excluded.status,
+      current_task = NULL,
+      current_task_id = NULL,
+      archived_at = NULL,
+      updated_at = CURRENT_TIMESTAMP
+  `).run({
+    id,
+    name,
+    emoji: emoji || '🐕',
+    role: role || 'Agent',
+    model: model || 'unknown',
+    status: status || 'idle'
+  });
+  
+  return getAgent(id);
+}
+
+/** Update an agent's profile fields (name, emoji, role, model) */
+function updateAgent(agentId, fields) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  const columns = AGENT_PROFILE_FIELDS.filter(field => fields[field] !== undefined);
+  if (columns.length === 0) return false;
+  
+  const assignments = columns.map(column => `${column} = @${column}`).join(', ');
+  const stmt = db.prepare(`
+    UPDATE agents 
+    SET ${assignments}, updated_at = CURRENT_TIMESTAMP 
+    WHERE id = @id AND archived_at IS NULL
+  `);
+  
+  const params = { id: agentId };
+  for (const column of columns) params[column] = fields[column];
+  
+  return stmt.run(params).changes > 0;
+}
+
+/** Archive an agent so it drops out of the fleet but keeps its history */
+function archiveAgent(agentId) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  const stmt = db.prepare(`
+    UPDATE agents 
+    SET archived_at = CURRENT_TIMESTAMP, current_task = NULL, current_task_id = NULL, api_key_hash = NULL 
+    WHERE id = ? AND archived_at IS NULL
+  `);
+  
+  return stmt.run(agentId).changes > 0;
 }
 
 /** Get recent activities with agent info */
@@ -229,11 +376,108 @@ function getRecentActivities(limit = 20) {
       ag.name as agent_name, ag.emoji as agent_emoji
     FROM activities a
     JOIN agents ag ON a.agent_id = ag.id
-    ORDER BY a.timestamp DESC
+    ORDER BY a.timestamp DESC, a.id DESC
     LIMIT ?
   `).all(limit);
 }
 
+/** Encode an activity's (timestamp, id) position as an opaque pagination cursor */
+function encodeActivityCursor(activity) {
+  return Buffer.from(JSON.stringify([activity.timestamp, activity.id])).toString('base64url');
+}
+
+/** Decode a pagination cursor, returning null if it is malformed */
+function decodeActivityCursor(cursor) {
+  try {
+    const [timestamp, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof timestamp !== 'string' || !Number.isInteger(id)) return null;
+    return { timestamp, id };
+  } catch (err) {
+    return null;
+  }
+}
+
+/** Turn free text into an FTS5 prefix query, quoting each word so user input can't inject syntax */
+function toFtsQuery(text) {
+  const words = String(text).match(/[\p{L}\p{N}_]+/gu);
+  if (!words) return null;
+  return words.map(word => `"${word}"*`).join(' ');
+}
+
+/** WHERE clauses for the activity history filters, or null if the search can match nothing */
+function activityFilterClauses({ agentId, types, since, until, q }) {
+  const clauses = [];
+  const params = [];
+  
+  if (agentId) { clauses.push('a.agent_id = ?'); params.push(agentId); }
+  if (types && types.length > 0) {
+    clauses.push(`a.type IN (${types.map(() => '?').join(', ')})`);
+    params.push(...types);
+  }
+  if (toSqlTimestamp(since)) { clauses.push('a.timestamp >= ?'); params.push(toSqlTimestamp(since)); }
+  if (toSqlTimestamp(until)) { clauses.push('a.timestamp < ?'); params.push(toSqlTimestamp(until)); }
+  if (q) {
+    const match = toFtsQuery(q);
+    if (!match) return null;
+    clauses.push('a.id IN (SELECT rowid FROM activities_fts WHERE activities_fts MATCH ?)');
+    params.push(match);
+  }
+  return { clauses, params };
+}
+
+/**
+ * Query activity history, newest first, with filters and cursor pagination.
+ * Returns { activities, nextCursor } where nextCursor is null on the last page.
+ */
+function queryActivities({ agentId, types, since, until, q, cursor, limit = 20 } = {}) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  const filter = activityFilterClauses({ agentId, types, since, until, q });
+  if (!filter) return { activities: [], nextCursor: null };
+  const { clauses, params } = filter;
+  if (cursor) {
+    const position = decodeActivityCursor(cursor);
+    if (!position) throw new Error('Invalid cursor');
+    clauses.push('(a.timestamp < ? OR (a.timestamp = ? AND a.id < ?))');
+    params.push(position.timestamp, position.timestamp, position.id);
+  }
+  
+  const where = clauses.length ? 'WHERE ' + clauses.join(' AND ') : '';
+  const rows = db.prepare(`
+    SELECT 
+      a.id, a.agent_id, a.type, a.description, a.metadata_json, a.timestamp,
+      ag.name as agent_name, ag.emoji as agent_emoji
+    FROM activities a
+    JOIN agents ag ON a.agent_id = ag.id
+    ${where}
+    ORDER BY a.timestamp DESC, a.id DESC
+    LIMIT ?
+  `).all(...params, limit + 1);
+  
+  const hasMore = rows.length > limit;
+  const activities = hasMore ? rows.slice(0, limit) : rows;
+  return {
+    activities,
+    nextCursor: hasMore ? encodeActivityCursor(activities[activities.length - 1]) : null
+  };
+}
+
+/** Get activities newer than a given ID (newest first), used to resume a live feed */
+function getActivitiesSince(afterId, limit = 500) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  return db.prepare(`
+    SELECT 
+      a.id, a.agent_id, a.type, a.description, a.metadata_json, a.timestamp,
+      ag.name as agent_name, ag.emoji as agent_emoji
+    FROM activities a
+    JOIN agents ag ON a.agent_id = ag.id
+    WHERE a.id > ?
+    ORDER BY a.id DESC
+    LIMIT ?
+  `).all(afterId, limit);
+}
+
 /** Get activities for a specific agent */
 function getAgentActivities(agentId, limit = 20) {
   if (!db) throw new Error('Database not initialized. Call initDb() first.');
@@ -242,63 +486,124 @@ function getAgentActivities(agentId, limit = 20) {
     SELECT id, agent_id, type, description, metadata_json, timestamp
     FROM activities
     WHERE agent_id = ?
-    ORDER BY timestamp DESC
+    ORDER BY timestamp DESC, id DESC
     LIMIT ?
   `).all(agentId, limit);
 }
 
+// Review columns returned to clients, with agent info and comment count
+const REVIEW_SELECT = `
+  SELECT 
+    r.id, r.agent_id, r.question, r.priority, r.status, r.created_at, r.updated_at,
+    r.answer, r.answered_by, r.answered_at, r.snoozed_until, r.resolved_at, r.acknowledged_at, r.task_id,
+    ag.name as agent_name, ag.emoji as agent_emoji,
+    (SELECT COUNT(*) FROM review_comments c WHERE c.review_id = r.id) as comment_count
+  FROM reviews r
+  JOIN agents ag ON r.agent_id = ag.id
+`;
+
+const REVIEW_PRIORITY_ORDER = `
+  CASE r.priority 
+    WHEN 'high' THEN 1 
+    WHEN 'medium' THEN 2 
+    WHEN 'low' THEN 3 
+    ELSE 4 
+  END
+`;
+
+// Review states that carry a decision the agent should pick up
+const DECIDED_REVIEW_STATUSES = ['answered', 'dismissed', 'resolved'];
+
 /** Get pending reviews with agent info */
 function getPendingReviews() {
   if (!db) throw new Error('Database not initialized. Call initDb() first.');
   
   return db.prepare(`
-    SELECT 
-      r.id, r.agent_id, r.question, r.priority, r.status, r.created_at,
-      ag.name as agent_name, ag.emoji as agent_emoji
-    FROM reviews r
-    JOIN agents ag ON r.agent_id = ag.id
+    ${REVIEW_SELECT}
     WHERE r.status = 'pending'
-    ORDER BY 
-      CASE r.priority 
-        WHEN 'high' THEN 1 
-        WHEN 'medium' THEN 2 
-        WHEN 'low' THEN 3 
-        ELSE 4 
-      END,
-      r.created_at DESC
+    ORDER BY ${REVIEW_PRIORITY_ORDER}, r.created_at DESC
   `).all();
 }
 
+/** Get a single review with agent info */
+function getReview(reviewId) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  return db.prepare(`${REVIEW_SELECT} WHERE r.id = ?`).get(reviewId);
+}
+
+/**
+ * List reviews filtered by agent, statuses and last change (`since`).
+ * `unacknowledged` limits the list to decisions the agent hasn't confirmed yet.
+ */
+function getReviews({ agentId, statuses, since, unacknowledged = false, limit = 100 } = {}) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  const clauses = [];
+  const params = [];
+  if (agentId) { clauses.push('r.agent_id = ?'); params.push(agentId); }
+  if (statuses && statuses.length > 0) {
+    clauses.push(`r.status IN (${statuses.map(() => '?').join(', ')})`);
+    params.push(...statuses);
+  }
+  if (toSqlTimestamp(since)) {
+    clauses.push('COALESCE(r.updated_at, r.created_at) > ?');
+    params.push(toSqlTimestamp(since));
+  }
+  if (unacknowledged) clauses.push('r.acknowledged_at IS NULL');
+  
+  const where = clauses.length ? 'WHERE ' + clauses.join(' AND ') : '';
+  return db.prepare(`
+    ${REVIEW_SELECT}
+    ${where}
+    ORDER BY COALESCE(r.updated_at, r.created_at) DESC, r.id DESC
+    LIMIT ?
+  `).all(...params, limit);
+}
+
 /** Add a new review */
-function addReview(agentId, question, priority = 'medium') {
+function addReview(agentId, question, priority = 'medium', taskId = null) {
   if (!db) throw new Error('Database not initialized. Call initDb() first.');
   
   const stmt = db.prepare(`
-    INSERT INTO reviews (agent_id, question, priority, status)
-    VALUES (?, ?, ?, 'pending')
+    INSERT INTO reviews (agent_id, question, priority, status, task_id)
+    VALUES (?, ?, ?, 'pending', ?)
   `);
   
-  const result = stmt.run(agentId, question, priority);
+  const result = stmt.run(agentId, question, priority, taskId);
   
   logActivity(agentId, 'review_created', `Created review: ${question.substring(0, 50)}...`, { 
     review_id: result.lastInsertRowid,
-    priority 
+    priority,
+    ...(taskId ? { task_id: taskId } : {})
   });
   
   return result.lastInsertRowid;
 }
 
-/** Resolve a review */
-function resolveReview(reviewId) {
+/**
+ * Resolve an open (pending, snoozed or answered) review, optionally recording the answer that closed
+ * it. An answer already given is kept.
+ */
+function resolveReview(reviewId, answer = null, answeredBy = null) {
   if (!db) throw new Error('Database not initialized. Call initDb() first.');
   
-  const stmt = db.prepare(`
-    UPDATE reviews 
-    SET status = 'resolved', resolved_at = CURRENT_TIMESTAMP 
-    WHERE id = ?
-  `);
-  
-  const result = stmt.run(reviewId);
+  const result = db.transaction(() => {
+    if (answer) {
+      db.prepare(`
+        UPDATE reviews 
+        SET answer = ?, answered_by = ?, answered_at = CURRENT_TIMESTAMP, acknowledged_at = NULL
+        WHERE id = ? AND status IN ('pending', 'snoozed')
+      `).run(answer, answeredBy, reviewId);
+    }
+    
+    return db.prepare(`
+      UPDATE reviews 
+      SET status = 'resolved', resolved_at = CURRENT_TIMESTAMP, snoozed_until = NULL,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status IN ('pending', 'snoozed', 'answered')
+    `).run(reviewId);
+  })();
   
   if (result.changes > 0) {
     const review = db.prepare('SELECT agent_id, question FROM reviews WHERE id = ?').get(reviewId);
@@ -312,38 +617,1452 @@ function resolveReview(reviewId) {
   return result.changes > 0;
 }
 
+/** Record the human's answer to an open (pending or snoozed) review */
+function answerReview(reviewId, answer, answeredBy) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  const stmt = db.prepare(`
+    UPDATE reviews 
+    SET status = 'answered', answer = ?, answered_by = ?, answered_at = CURRENT_TIMESTAMP,
+        snoozed_until = NULL, acknowledged_at = NULL, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND status IN ('pending', 'snoozed')
+  `);
+  
+  const result = stmt.run(answer, answeredBy, reviewId);
+  
+  if (result.changes > 0) {
+    const review = db.prepare('SELECT agent_id, question FROM reviews WHERE id = ?').get(reviewId);
+    logActivity(review.agent_id, 'review_answered', `Answered review: ${review.question.substring(0, 50)}...`, { 
+      review_id: Number(reviewId),
+      answered_by: answeredBy
+    });
+  }
+  
+  return result.changes > 0;
+}
+
+/** Dismiss an open review without answering it; the reason is stored as the answer */
+function dismissReview(reviewId, reason, dismissedBy) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  const stmt = db.prepare(`
+    UPDATE reviews 
+    SET status = 'dismissed', answer = ?, answered_by = ?, answered_at = CURRENT_TIMESTAMP,
+        resolved_at = CURRENT_TIMESTAMP, snoozed_until = NULL, acknowledged_at = NULL,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND status IN ('pending', 'snoozed', 'answered')
+  `);
+  
+  const result = stmt.run(reason || null, dismissedBy, reviewId);
+  
+  if (result.changes > 0) {
+    const review = db.prepare('SELECT agent_id, question FROM reviews WHERE id = ?').get(reviewId);
+    logActivity(review.agent_id, 'review_dismissed', `Dismissed review: ${review.question.substring(0, 50)}...`, { 
+      review_id: Number(reviewId)
+    });
+  }
+  
+  return result.changes > 0;
+}
+
+/** Hide a pending review until the given time */
+function snoozeReview(reviewId, until) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  const stmt = db.prepare(`
+    UPDATE reviews 
+    SET status = 'snoozed', snoozed_until = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND status IN ('pending', 'snoozed')
+  `);
+  
+  const result = stmt.run(toSqlTimestamp(until), reviewId);
+  
+  if (result.changes > 0) {
+    const review = db.prepare('SELECT agent_id, question FROM reviews WHERE id = ?').get(reviewId);
+    logActivity(review.agent_id, 'review_snoozed', `Snoozed review: ${review.question.substring(0, 50)}...`, { 
+      review_id: Number(reviewId),
+      until: toSqlTimestamp(until)
+    });
+  }
+  
+  return result.changes > 0;
+}
+
+/** Move snoozed reviews whose time is up back to pending, returning their IDs */
+function wakeSnoozedReviews() {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  const due = db.prepare(`
+    SELECT id FROM reviews WHERE status = 'snoozed' AND snoozed_until <= CURRENT_TIMESTAMP
+  `).all().map(row => row.id);
+  
+  if (due.length > 0) {
+    db.prepare(`
+      UPDATE reviews 
+      SET status = 'pending', snoozed_until = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE status = 'snoozed' AND snoozed_until <= CURRENT_TIMESTAMP
+    `).run();
+  }
+  
+  return due;
+}
+
+/** Mark a decided review as received by its agent */
+function acknowledgeReview(reviewId) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  const stmt = db.prepare(`
+    UPDATE reviews 
+    SET acknowledged_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND status IN (${DECIDED_REVIEW_STATUSES.map(() => '?').join(', ')})
+  `);
+  
+  return stmt.run(reviewId, ...DECIDED_REVIEW_STATUSES).changes > 0;
+}
+
+/** Add a comment to a review's thread */
+function addReviewComment(reviewId, author, body) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  const result = db.prepare(`
+    INSERT INTO review_comments (review_id, author, body)
+    VALUES (?, ?, ?)
+  `).run(reviewId, author, body);
+  
+  db.prepare('UPDATE reviews SET updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(reviewId);
+  
+  return db.prepare('SELECT id, review_id, author, body, created_at FROM review_comments WHERE id = ?')
+    .get(result.lastInsertRowid);
+}
+
+/** Get a review's comment thread, oldest first */
+function getReviewComments(reviewId) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  return db.prepare(`
+    SELECT id, review_id, author, body, created_at
+    FROM review_comments
+    WHERE review_id = ?
+    ORDER BY created_at, id
+  `).all(reviewId);
+}
+
+/** Convert an ISO string, epoch ms or Date into SQLite's CURRENT_TIMESTAMP format (UTC) */
+function toSqlTimestamp(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = value instanceof Date ? value : new Date(typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value);
+  if (isNaN(date.getTime())) return null;
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/** Record the tokens (and cost) of one model call made by an agent */
+function recordTokenUsage(agentId, { model, promptTokens = 0, completionTokens = 0, costUsd = 0, metadata = {} }) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  const stmt = db.prepare(`
+    INSERT INTO token_usage (agent_id, model, prompt_tokens, completion_tokens, cost_usd, metadata_json)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+  
+  return stmt.run(agentId, model, promptTokens, completionTokens, costUsd, JSON.stringify(metadata)).lastInsertRowid;
+}
+
+// Aggregate columns shared by the usage queries
+const USAGE_SUMS = `
+  COUNT(*) as calls,
+  COALESCE(SUM(prompt_tokens), 0) as prompt_tokens,
+  COALESCE(SUM(completion_tokens), 0) as completion_tokens,
+  COALESCE(SUM(prompt_tokens + completion_tokens), 0) as total_tokens,
+  ROUND(COALESCE(SUM(cost_usd), 0), 6) as cost_usd
+`;
+
+/** Build the WHERE clause for usage queries filtered by agent and time range */
+function usageFilter({ agentId, since, until } = {}) {
+  const clauses = [];
+  const params = [];
+  if (agentId) { clauses.push('agent_id = ?'); params.push(agentId); }
+  if (toSqlTimestamp(since)) { clauses.push('timestamp >= ?'); params.push(toSqlTimestamp(since)); }
+  if (toSqlTimestamp(until)) { clauses.push('timestamp < ?'); params.push(toSqlTimestamp(until)); }
+  return { where: clauses.length ? 'WHERE ' + clauses.join(' AND ') : '', params };
+}
+
+/** Get token usage totals, optionally for one agent and/or time range */
+function getUsageTotals(filter) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  const { where, params } = usageFilter(filter);
+  return db.prepare(`SELECT ${USAGE_SUMS} FROM token_usage ${where}`).get(...params);
+}
+
+/** Get token usage grouped by agent or by model */
+function getUsageBreakdown(groupBy, filter) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  const column = groupBy === 'model' ? 'model' : 'agent_id';
+  const { where, params } = usageFilter(filter);
+  return db.prepare(`
+    SELECT ${column}, ${USAGE_SUMS}
+    FROM token_usage
+    ${where}
+    GROUP BY ${column}
+    ORDER BY total_tokens DESC
+  `).all(...params);
+}
+
+/** Get token usage rolled up into hourly or daily buckets */
+function getUsageRollup(bucket, filter) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  const format = bucket === 'day' ? '%Y-%m-%d' : '%Y-%m-%d %H:00:00';
+  const { where, params } = usageFilter(filter);
+  return db.prepare(`
+    SELECT strftime('${format}', timestamp) as period, ${USAGE_SUMS}
+    FROM token_usage
+    ${where}
+    GROUP BY period
+    ORDER BY period
+  `).all(...params);
+}
+
+/** Store a version of a watched file; a null hash records a deletion */
+function addFileSnapshot(agentId, filePath, { hash = null, content = null, size = 0, event }) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  const insert = db.transaction(() => {
+    if (hash) {
+      db.prepare('INSERT OR IGNORE INTO file_blobs (hash, content, size) VALUES (?, ?, ?)').run(hash, content, size);
+    }
+    return db.prepare(`
+      INSERT INTO file_snapshots (agent_id, path, hash, size, event)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(agentId, filePath, hash, size, event).lastInsertRowid;
+  });
+  
+  return insert();
+}
+
+/** Get one snapshot, with its content unless `withContent` is false */
+function getFileSnapshot(snapshotId, { withContent = true } = {}) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  return db.prepare(`
+    SELECT s.*${withContent ? ', b.content' : ''}
+    FROM file_snapshots s
+    LEFT JOIN file_blobs b ON b.hash = s.hash
+    WHERE s.id = ?
+  `).get(snapshotId);
+}
+
+/** Get the latest snapshot of a file (before `beforeId`, if given) */
+function getLatestFileSnapshot(filePath, beforeId = null) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  return db.prepare(`
+    SELECT * FROM file_snapshots
+    WHERE path = ? AND (? IS NULL OR id < ?)
+    ORDER BY id DESC
+    LIMIT 1
+  `).get(filePath, beforeId, beforeId);
+}
+
+/** List snapshots (newest first, without content), optionally for one file or agent */
+function getFileSnapshots({ path, agentId, limit = 50 } = {}) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  const clauses = [];
+  const params = [];
+  if (path) { clauses.push('path = ?'); params.push(path); }
+  if (agentId) { clauses.push('agent_id = ?'); params.push(agentId); }
+  
+  return db.prepare(`
+    SELECT * FROM file_snapshots
+    ${clauses.length ? 'WHERE ' + clauses.join(' AND ') : ''}
+    ORDER BY id DESC
+    LIMIT ?
+  `).all(...params, limit);
+}
+
+/** List files that have snapshots, with their version count and latest snapshot */
+function getSnapshotFiles({ agentId } = {}) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  return db.prepare(`
+    SELECT path, agent_id, COUNT(*) as versions, MAX(id) as latest_id, MAX(created_at) as updated_at
+    FROM file_snapshots
+    ${agentId ? 'WHERE agent_id = ?' : ''}
+    GROUP BY path, agent_id
+    ORDER BY updated_at DESC
+  `).all(...(agentId ? [agentId] : []));
+}
+
+/**
+ * Drop snapshots beyond the newest `keepVersions` of each file and those older than
+ * `keepDays` (the newest version of a file is always kept), then unreferenced blobs.
+ */
+function pruneFileSnapshots({ keepVersions, keepDays }) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  const prune = db.transaction(() => {
+    const removed = db.prepare(`
+      DELETE FROM file_snapshots WHERE id IN (
+        SELECT id FROM (
+          SELECT id, created_at, ROW_NUMBER() OVER (PARTITION BY path ORDER BY id DESC) as rank
+          FROM file_snapshots
+        )
+        WHERE rank > ? OR (rank > 1 AND created_at < datetime('now', ?))
+      )
+    `).run(keepVersions, `-${keepDays} days`).changes;
+    
+    db.prepare('DELETE FROM file_blobs WHERE hash NOT IN (SELECT hash FROM file_snapshots WHERE hash IS NOT NULL)').run();
+    return removed;
+  });
+  
+  return prune();
+}
+
+/** Activity types present in the database, with their row counts */
+function getActivityTypes() {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  return db.prepare('SELECT type, COUNT(*) as count FROM activities GROUP BY type ORDER BY type').all();
+}
+
+/** Oldest activities of one type logged before `cutoff`, up to `limit` rows */
+function getExpiredActivities(type, cutoff, limit) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  return db.prepare(`
+    SELECT * FROM activities
+    WHERE type = ? AND timestamp < ?
+    ORDER BY timestamp, id
+    LIMIT ?
+  `).all(type, toSqlTimestamp(cutoff), limit);
+}
+
+/** Delete activities, adding them to the hourly and daily per-agent rollups in the same transaction */
+function compactActivities(activities) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  const counts = new Map();
+  for (const activity of activities) {
+    const periods = { hour: activity.timestamp.slice(0, 13) + ':00:00', day: activity.timestamp.slice(0, 10) };
+    for (const [bucket, period] of Object.entries(periods)) {
+      const key = JSON.stringify([bucket, period, activity.agent_id, activity.type]);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  }
+  
+  const addToRollup = db.prepare(`
+    INSERT INTO activity_rollups (bucket, period, agent_id, type, count)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(bucket, period, agent_id, type) DO UPDATE SET count = count + excluded.count
+  `);
+  const remove = db.prepare('DELETE FROM activities WHERE id = ?');
+  
+  const compact = db.transaction(() => {
+    for (const [key, count] of counts) addToRollup.run(...JSON.parse(key), count);
+    for (const activity of activities) remove.run(activity.id);
+  });
+  
+  compact();
+  return activities.length;
+}
+
+/** Get rolled-up activity counts (hour or day buckets), optionally by agent, type and period range */
+function getActivityRollups({ bucket = 'day', agentId, type, since, until } = {}) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  const clauses = ['bucket = ?'];
+  const params = [bucket];
+  if (agentId) { clauses.push('agent_id = ?'); params.push(agentId); }
+  if (type) { clauses.push('type = ?'); params.push(type); }
+  if (toSqlTimestamp(since)) { clauses.push('period >= ?'); params.push(toSqlTimestamp(since).slice(0, bucket === 'day' ? 10 : 19)); }
+  if (toSqlTimestamp(until)) { clauses.push('period < ?'); params.push(toSqlTimestamp(until).slice(0, bucket === 'day' ? 10 : 19)); }
+  
+  return db.prepare(`
+    SELECT period, agent_id, type, count
+    FROM activity_rollups
+    WHERE ${clauses.join(' AND ')}
+    ORDER BY period, agent_id, type
+  `).all(...params);
+}
+
+/** Record the start of a maintenance run */
+function startMaintenanceRun() {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  return db.prepare('INSERT INTO maintenance_runs DEFAULT VALUES').run().lastInsertRowid;
+}
+
+/** Record how a maintenance run ended */
+function finishMaintenanceRun(runId, { status, removed = 0, archiveFile = null, details = {}, error = null }) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  db.prepare(`
+    UPDATE maintenance_runs
+    SET finished_at = CURRENT_TIMESTAMP, status = ?, removed = ?, archive_file = ?, details_json = ?, error = ?
+    WHERE id = ?
+  `).run(status, removed, archiveFile, JSON.stringify(details), error, runId);
+}
+
+/** Get recent maintenance runs, newest first */
+function getMaintenanceRuns(limit = 10) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  return db.prepare('SELECT * FROM maintenance_runs ORDER BY id DESC LIMIT ?').all(limit);
+}
+
+/** Fold the WAL back into the database file and truncate it */
+function checkpointWal() {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  return db.pragma('wal_checkpoint(TRUNCATE)')[0];
+}
+
+/** Write one system metrics row into its ring-buffer slot */
+function writeMetricsSample(resolution, slot, sample) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  db.prepare(`
+    INSERT OR REPLACE INTO system_metrics
+      (resolution, slot, ts, cpu, cpu_max, mem, mem_max, mem_used, load, disk, net_rx, net_tx, samples)
+    VALUES
+      (@resolution, @slot, @ts, @cpu, @cpu, @mem, @mem, @memUsed, @load, @disk, @netRx, @netTx, 1)
+  `).run({ resolution, slot, ...sample });
+}
+
+/**
+ * Average the rows of one resolution in [start, start + step) into a single row of a coarser
+ * resolution (maxima are kept as maxima). Does nothing if there are no rows in the window.
+ */
+function downsampleMetrics(fromResolution, toResolution, start, step, slot) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  db.prepare(`
+    INSERT OR REPLACE INTO system_metrics
+      (resolution, slot, ts, cpu, cpu_max, mem, mem_max, mem_used, load, disk, net_rx, net_tx, samples)
+    SELECT ?, ?, ?, AVG(cpu), MAX(cpu_max), AVG(mem), MAX(mem_max), AVG(mem_used), AVG(load),
+           AVG(disk), AVG(net_rx), AVG(net_tx), SUM(samples)
+    FROM system_metrics
+    WHERE resolution = ? AND ts >= ? AND ts < ?
+    HAVING COUNT(*) > 0
+  `).run(toResolution, slot, start, fromResolution, start, start + step);
+}
+
+/** Get system metrics rows of one resolution between two epoch-second timestamps, oldest first */
+function getMetricsHistory(resolution, since, until) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  return db.prepare(`
+    SELECT ts, cpu, cpu_max, mem, mem_max, mem_used, load, disk, net_rx, net_tx, samples
+    FROM system_metrics
+    WHERE resolution = ? AND ts >= ? AND ts < ?
+    ORDER BY ts
+  `).all(resolution, since, until);
+}
+
+/** Link a running process to an agent; returns the link id */
+function linkAgentProcess(agentId, pid, started = null) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  const existing = db.prepare(`
+    SELECT id FROM agent_processes WHERE agent_id = ? AND pid = ? AND ended_at IS NULL
+  `).get(agentId, pid);
+  if (existing) {
+    db.prepare('UPDATE agent_processes SET started = ? WHERE id = ?').run(started, existing.id);
+    return existing.id;
+  }
+  
+  return db.prepare('INSERT INTO agent_processes (agent_id, pid, started) VALUES (?, ?, ?)')
+    .run(agentId, pid, started).lastInsertRowid;
+}
+
+/** Process links that have not ended, optionally for one agent */
+function getAgentProcessLinks(agentId = null) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  return db.prepare(`
+    SELECT id, agent_id, pid, started, registered_at
+    FROM agent_processes
+    WHERE ended_at IS NULL AND (? IS NULL OR agent_id = ?)
+    ORDER BY id
+  `).all(agentId, agentId);
+}
+
+/** End process links by id; returns how many were still open */
+function endAgentProcessLinks(ids) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  const end = db.prepare('UPDATE agent_processes SET ended_at = CURRENT_TIMESTAMP WHERE id = ? AND ended_at IS NULL');
+  return db.transaction(() => ids.reduce((count, id) => count + end.run(id).changes, 0))();
+}
+
+/** Store one sample of an agent's processes (ts in epoch seconds) */
+function recordProcessSample(agentId, { ts, processes, cpu, rss, threads, uptime }) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  db.prepare(`
+    INSERT OR REPLACE INTO process_samples (agent_id, ts, processes, cpu, rss, threads, uptime)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(agentId, ts, processes, cpu, rss, threads, uptime);
+}
+
+/**
+ * Process samples of an agent between two epoch-second timestamps, averaged into `step`-second
+ * buckets (cpu_max keeps spikes and `processes` is the lowest count, so gaps stay visible)
+ */
+function getProcessHistory(agentId, since, until, step) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  return db.prepare(`
+    SELECT ts - ts % @step as bucket, MIN(processes) as processes, AVG(cpu) as cpu, MAX(cpu) as cpu_max,
+           AVG(rss) as rss, MAX(threads) as threads, MAX(uptime) as uptime, COUNT(*) as samples
+    FROM process_samples
+    WHERE agent_id = @agentId AND ts >= @since AND ts < @until
+    GROUP BY bucket
+    ORDER BY bucket
+  `).all({ agentId, since, until, step }).map(({ bucket, ...row }) => ({ ts: bucket, ...row }));
+}
+
+/** Delete process samples older than an epoch-second timestamp; returns how many were removed */
+function pruneProcessSamples(before) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  return db.prepare('DELETE FROM process_samples WHERE ts < ?').run(before).changes;
+}
+
+/**
+ * An agent's activity and token counts in `step`-second buckets between two epoch-second
+ * timestamps. Only buckets with something in them are returned.
+ */
+function getAgentActivityRate(agentId, since, until, step) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  const range = { agentId, since: toSqlTimestamp(since * 1000), until: toSqlTimestamp(until * 1000), step };
+  const buckets = new Map();
+  const bucket = ts => {
+    if (!buckets.has(ts)) buckets.set(ts, { ts, count: 0, errors: 0, tokens: 0 });
+    return buckets.get(ts);
+  };
+  
+  const activityRows = db.prepare(`
+    SELECT ts - ts % @step as bucket, COUNT(*) as count, SUM(type = 'error') as errors
+    FROM (
+      SELECT CAST(strftime('%s', timestamp) AS INTEGER) as ts, type
+      FROM activities
+      WHERE agent_id = @agentId AND timestamp >= @since AND timestamp < @until
+    )
+    GROUP BY bucket
+  `).all(range);
+  for (const row of activityRows) Object.assign(bucket(row.bucket), { count: row.count, errors: row.errors });
+  
+  const tokenRows = db.prepare(`
+    SELECT ts - ts % @step as bucket, SUM(tokens) as tokens
+    FROM (
+      SELECT CAST(strftime('%s', timestamp) AS INTEGER) as ts, prompt_tokens + completion_tokens as tokens
+      FROM token_usage
+      WHERE agent_id = @agentId AND timestamp >= @since AND timestamp < @until
+    )
+    GROUP BY bucket
+  `).all(range);
+  for (const row of tokenRows) bucket(row.bucket).tokens = row.tokens;
+  
+  return [...buckets.values()].sort((a, b) => a.ts - b.ts);
+}
+
+/** Count activities of a type since a timestamp, per agent */
+function countRecentActivities(type, since) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  return db.prepare(`
+    SELECT agent_id, COUNT(*) as count
+    FROM activities
+    WHERE type = ? AND timestamp >= ?
+    GROUP BY agent_id
+  `).all(type, toSqlTimestamp(since));
+}
+
+const ALERT_SELECT = `
+  SELECT id, rule_id, subject, severity, status, summary, details_json,
+         started_at, resolved_at, notified_at
+  FROM alerts
+`;
+
+/** Open a firing alert; returns its id */
+function openAlert({ ruleId, subject, severity, summary, details = {} }) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  return db.prepare(`
+    INSERT INTO alerts (rule_id, subject, severity, summary, details_json)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(ruleId, subject, severity, summary, JSON.stringify(details)).lastInsertRowid;
+}
+
+/** Mark a firing alert resolved; returns whether it was still firing */
+function resolveAlert(alertId) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  return db.prepare(`
+    UPDATE alerts SET status = 'resolved', resolved_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND status = 'firing'
+  `).run(alertId).changes > 0;
+}
+
+/** Record that an alert's firing notification went out */
+function markAlertNotified(alertId) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  db.prepare('UPDATE alerts SET notified_at = CURRENT_TIMESTAMP WHERE id = ?').run(alertId);
+}
+
+/** Get a single alert */
+function getAlert(alertId) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  return db.prepare(`${ALERT_SELECT} WHERE id = ?`).get(alertId);
+}
+
+/** Get alerts, newest first, optionally only those with a status */
+function getAlerts({ status, limit = 100 } = {}) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  return db.prepare(`
+    ${ALERT_SELECT}
+    WHERE (? IS NULL OR status = ?)
+    ORDER BY started_at DESC, id DESC
+    LIMIT ?
+  `).all(status || null, status || null, limit);
+}
+
+/** Add a silence for a rule, a subject or both, ending at `endsAt`; returns its id */
+function addAlertSilence({ ruleId = null, subject = null, endsAt, comment = null }) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  return db.prepare(`
+    INSERT INTO alert_silences (rule_id, subject, ends_at, comment)
+    VALUES (?, ?, ?, ?)
+  `).run(ruleId, subject, toSqlTimestamp(endsAt), comment).lastInsertRowid;
+}
+
+/** Silences that have not ended yet */
+function getActiveAlertSilences() {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  return db.prepare(`
+    SELECT id, rule_id, subject, ends_at, comment, created_at
+    FROM alert_silences
+    WHERE ends_at > CURRENT_TIMESTAMP
+    ORDER BY ends_at
+  `).all();
+}
+
+/** End a silence now; returns whether it was active */
+function endAlertSilence(silenceId) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  return db.prepare(`
+    UPDATE alert_silences SET ends_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND ends_at > CURRENT_TIMESTAMP
+  `).run(silenceId).changes > 0;
+}
+
+/** A webhooks row with its filters as arrays; the secret only when asked for */
+function webhookFromRow(row, withSecret) {
+  if (!row) return null;
+  const { secret, ...webhook } = row;
+  return {
+    ...webhook,
+    events: row.events.split(','),
+    agents: row.agents ? row.agents.split(',') : null,
+    enabled: !!row.enabled,
+    ...(withSecret ? { secret } : {})
+  };
+}
+
+/** Register a webhook; returns its id */
+function createWebhook({ url, secret, events = ['*'], agents = null, description = null, enabled = true }) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  return db.prepare(`
+    INSERT INTO webhooks (url, secret, events, agents, description, enabled)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(url, secret, events.join(','), agents ? agents.join(',') : null, description, enabled ? 1 : 0).lastInsertRowid;
+}
+
+/** Update some fields of a webhook; returns whether it exists */
+function updateWebhook(webhookId, fields) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  const columns = {
+    url: fields.url,
+    secret: fields.secret,
+    events: fields.events && fields.events.join(','),
+    agents: fields.agents === null ? null : fields.agents && fields.agents.join(','),
+    description: fields.description,
+    enabled: fields.enabled === undefined ? undefined : (fields.enabled ? 1 : 0)
+  };
+  const set = Object.keys(columns).filter(column => fields[column] !== undefined);
+  if (set.length === 0) return !!db.prepare('SELECT 1 FROM webhooks WHERE id = ?').get(webhookId);
+  
+  return db.prepare(`
+    UPDATE webhooks SET ${set.map(column => `${column} = @${column}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+    WHERE id = @id
+  `).run({ ...Object.fromEntries(set.map(column => [column, columns[column]])), id: webhookId }).changes > 0;
+}
+
+/** Delete a webhook and its delivery log; returns whether it existed */
+function deleteWebhook(webhookId) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  return db.transaction(() => {
+    db.prepare('DELETE FROM webhook_deliveries WHERE webhook_id = ?').run(webhookId);
+    return db.prepare('DELETE FROM webhooks WHERE id = ?').run(webhookId).changes > 0;
+  })();
+}
+
+/** Get a single webhook */
+function getWebhook(webhookId, { withSecret = false } = {}) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  return webhookFromRow(db.prepare('SELECT * FROM webhooks WHERE id = ?').get(webhookId), withSecret);
+}
+
+/** Get all webhooks (only enabled ones when asked) */
+function getWebhooks({ enabledOnly = false, withSecret = false } = {}) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  return db.prepare(`SELECT * FROM webhooks ${enabledOnly ? 'WHERE enabled = 1' : ''} ORDER BY id`)
+    .all()
+    .map(row => webhookFromRow(row, withSecret));
+}
+
+/** Queue an event body for a webhook; returns the delivery id */
+function enqueueWebhookDelivery(webhookId, eventType, body) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  return db.prepare(`
+    INSERT INTO webhook_deliveries (webhook_id, event_type, body) VALUES (?, ?, ?)
+  `).run(webhookId, eventType, body).lastInsertRowid;
+}
+
+/** Pending deliveries whose next attempt is due, oldest first */
+function getDueWebhookDeliveries(limit = 20) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  // Deliveries of disabled webhooks wait until the webhook is enabled again
+  return db.prepare(`
+    SELECT d.* FROM webhook_deliveries d
+    JOIN webhooks w ON w.id = d.webhook_id AND w.enabled = 1
+    WHERE d.status = 'pending' AND d.next_attempt_at <= CURRENT_TIMESTAMP
+    ORDER BY d.next_attempt_at, d.id
+    LIMIT ?
+  `).all(limit);
+}
+
+/**
+ * Record the outcome of a delivery attempt. `status` is 'delivered', 'failed' (given up) or
+ * 'pending' with the time of the next attempt.
+ */
+function recordWebhookAttempt(deliveryId, { status, responseStatus = null, error = null, nextAttemptAt = null }) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  db.prepare(`
+    UPDATE webhook_deliveries
+    SET attempts = attempts + 1, status = ?, response_status = ?, error = ?,
+        next_attempt_at = COALESCE(?, next_attempt_at),
+        finished_at = CASE WHEN ? = 'pending' THEN NULL ELSE CURRENT_TIMESTAMP END
+    WHERE id = ?
+  `).run(status, responseStatus, error, toSqlTimestamp(nextAttemptAt), status, deliveryId);
+}
+
+/** Put a delivery back in the queue for an attempt now (attempts start over) */
+function requeueWebhookDelivery(deliveryId) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  return db.prepare(`
+    UPDATE webhook_deliveries
+    SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP, finished_at = NULL
+    WHERE id = ?
+  `).run(deliveryId).changes > 0;
+}
+
+/** Get a single delivery */
+function getWebhookDelivery(deliveryId) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  return db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(deliveryId);
+}
+
+/** The delivery log of a webhook, newest first */
+function getWebhookDeliveries(webhookId, { status, limit = 50 } = {}) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  return db.prepare(`
+    SELECT * FROM webhook_deliveries
+    WHERE webhook_id = ? AND (? IS NULL OR status = ?)
+    ORDER BY id DESC
+    LIMIT ?
+  `).all(webhookId, status || null, status || null, limit);
+}
+
+/** Delete finished deliveries older than a date; returns how many were removed */
+function pruneWebhookDeliveries(before) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  return db.prepare(`
+    DELETE FROM webhook_deliveries WHERE status != 'pending' AND created_at < ?
+  `).run(toSqlTimestamp(before)).changes;
+}
+
+// Task states; queued, in_progress and blocked tasks are still open
+const TASK_STATUSES = ['queued', 'in_progress', 'blocked', 'done', 'failed'];
+const OPEN_TASK_STATUSES = ['queued', 'in_progress', 'blocked'];
+
+// Lifecycle actions: the states a task may be in, the state it moves to and how it is logged
+const TASK_ACTIONS = {
+  start: { from: ['queued', 'blocked'], to: 'in_progress', activity: 'task_started', verb: 'Started' },
+  block: { from: ['in_progress'], to: 'blocked', activity: 'task_blocked', verb: 'Blocked' },
+  complete: { from: ['in_progress', 'blocked'], to: 'done', activity: 'task_completed', verb: 'Completed' },
+  fail: { from: ['queued', 'in_progress', 'blocked'], to: 'failed', activity: 'task_failed', verb: 'Failed' }
+};
+
+// time_spent_seconds only counts time in progress, including the current stretch
+const TASK_COLUMNS = `
+  t.id, t.agent_id, t.title, t.description, t.status, t.outcome, t.blocked_reason, t.active_seconds,
+  t.created_by, t.lease_expires_at, t.created_at, t.started_at, t.resumed_at, t.ended_at, t.updated_at,
+  t.active_seconds + CASE WHEN t.status = 'in_progress'
+    THEN CAST(strftime('%s', 'now') - strftime('%s', t.resumed_at) AS INTEGER) ELSE 0 END as time_spent_seconds
+`;
+
+/** Point an agent's current task at its latest in-progress task, else its latest blocked one */
+function syncCurrentTask(agentId) {
+  db.prepare(`
+    UPDATE agents
+    SET (current_task_id, current_task) = (
+      SELECT id, title FROM tasks
+      WHERE agent_id = agents.id AND status IN ('in_progress', 'blocked')
+      ORDER BY status = 'in_progress' DESC, resumed_at DESC, id DESC
+      LIMIT 1
+    ), updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(agentId);
+}
+
+/**
+ * Create a task, started right away unless `status` is 'queued'; returns its id. A task without
+ * an agent goes to the shared queue (always queued). `createdBy` defaults to the agent.
+ */
+function createTask(agentId, { title, description = null, status = 'in_progress', createdBy = agentId }) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  const started = !!agentId && status === 'in_progress';
+  const taskId = db.prepare(`
+    INSERT INTO tasks (agent_id, title, description, status, created_by, started_at, resumed_at)
+    VALUES (?, ?, ?, ?, ?, ${started ? 'CURRENT_TIMESTAMP, CURRENT_TIMESTAMP' : 'NULL, NULL'})
+  `).run(agentId, title, description, started ? 'in_progress' : 'queued', createdBy).lastInsertRowid;
+  
+  if (agentId) {
+    logActivity(agentId, started ? 'task_started' : 'task_queued', `${started ? 'Started' : 'Queued'}: ${title}`, {
+      task_id: taskId,
+      ...(createdBy !== agentId ? { by: createdBy } : {})
+    });
+  }
+  if (started) syncCurrentTask(agentId);
+  return taskId;
+}
+
+/**
+ * Apply a lifecycle action (start, block, complete or fail) to a task. `outcome` is kept for
+ * done and failed tasks, `reason` for blocked ones. Returns false if the task is not in a state
+ * the action applies to.
+ */
+function transitionTask(taskId, action, { outcome = null, reason = null } = {}) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  const { from, to, activity, verb } = TASK_ACTIONS[action];
+  const result = db.prepare(`
+    UPDATE tasks SET
+      status = @to,
+      outcome = CASE WHEN @to IN ('done', 'failed') THEN @outcome ELSE outcome END,
+      blocked_reason = CASE WHEN @to = 'blocked' THEN @reason ELSE NULL END,
+      active_seconds = active_seconds + CASE WHEN status = 'in_progress'
+        THEN CAST(strftime('%s', 'now') - strftime('%s', resumed_at) AS INTEGER) ELSE 0 END,
+      started_at = CASE WHEN @to = 'in_progress' THEN COALESCE(started_at, CURRENT_TIMESTAMP) ELSE started_at END,
+      resumed_at = CASE WHEN @to = 'in_progress' THEN CURRENT_TIMESTAMP ELSE NULL END,
+      ended_at = CASE WHEN @to IN ('done', 'failed') THEN CURRENT_TIMESTAMP ELSE NULL END,
+      lease_expires_at = NULL,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = @id AND status IN (${from.map(status => `'${status}'`).join(', ')})
+  `).run({ id: taskId, to, outcome, reason });
+  if (result.changes === 0) return false;
+  
+  const task = getTask(taskId);
+  const note = to === 'blocked' ? reason : outcome;
+  logActivity(task.agent_id, activity, `${verb}: ${task.title}${note ? ` - ${note}` : ''}`, {
+    task_id: task.id,
+    ...(note ? { [to === 'blocked' ? 'reason' : 'outcome']: note } : {}),
+    time_spent_seconds: task.time_spent_seconds
+  });
+  syncCurrentTask(task.agent_id);
+  return true;
+}
+
+/** Get a single task */
+function getTask(taskId) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  return db.prepare(`SELECT ${TASK_COLUMNS} FROM tasks t WHERE t.id = ?`).get(taskId);
+}
+
+/**
+ * Get tasks newest first, optionally for one agent (or only unassigned ones) and some statuses.
+ * With `perAgent` the limit applies to each agent rather than to the whole list.
+ */
+function getTasks({ agentId = null, unassigned = false, statuses = null, limit = 50, perAgent = false } = {}) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  const clauses = [];
+  const params = [];
+  if (agentId) {
+    clauses.push('t.agent_id = ?');
+    params.push(agentId);
+  } else if (unassigned) {
+    clauses.push('t.agent_id IS NULL');
+  }
+  if (statuses && statuses.length) {
+    clauses.push(`t.status IN (${statuses.map(() => '?').join(', ')})`);
+    params.push(...statuses);
+  }
+  const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+  
+  if (perAgent) {
+    return db.prepare(`
+      SELECT * FROM (
+        SELECT ${TASK_COLUMNS}, ROW_NUMBER() OVER (PARTITION BY t.agent_id ORDER BY t.id DESC) as position
+        FROM tasks t ${where}
+      )
+      WHERE position <= ?
+      ORDER BY agent_id, id DESC
+    `).all(...params, limit).map(({ position, ...task }) => task);
+  }
+  return db.prepare(`SELECT ${TASK_COLUMNS} FROM tasks t ${where} ORDER BY t.id DESC LIMIT ?`).all(...params, limit);
+}
+
+/** Activity logged when a task changes hands, by assignment kind */
+function logAssignment(task, kind, fromAgent, toAgent, metadata) {
+  if (kind === 'handoff') {
+    logActivity(fromAgent, 'task_handoff', `Handed off to ${toAgent}: ${task.title}`, metadata);
+  } else if (kind === 'expired') {
+    logActivity(fromAgent, 'task_lease_expired', `Lease expired: ${task.title}`, metadata);
+  } else if (kind === 'release') {
+    logActivity(fromAgent, 'task_released', `Released: ${task.title}`, metadata);
+  } else if (toAgent) {
+    logActivity(toAgent, 'task_assigned', `Assigned: ${task.title}`, metadata);
+  } else if (fromAgent) {
+    logActivity(fromAgent, 'task_unassigned', `Unassigned: ${task.title}`, metadata);
+  }
+}
+
+/**
+ * Move an open task to another agent, or back to the shared queue with a null `agentId`, where
+ * it waits as queued. `kind` is 'assign', 'handoff', 'expired' (lease ran out) or 'release'
+ * (agent archived). Returns the agent that had it (possibly null), or false if the task is closed.
+ */
+function assignTask(taskId, agentId, { kind = 'assign', note = null, by = null } = {}) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  const task = getTask(taskId);
+  if (!task || !OPEN_TASK_STATUSES.includes(task.status)) return false;
+  
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE tasks SET
+        agent_id = ?,
+        status = 'queued',
+        active_seconds = active_seconds + CASE WHEN status = 'in_progress'
+          THEN CAST(strftime('%s', 'now') - strftime('%s', resumed_at) AS INTEGER) ELSE 0 END,
+        resumed_at = NULL,
+        blocked_reason = NULL,
+        lease_expires_at = NULL,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(agentId, taskId);
+    db.prepare(`
+      INSERT INTO task_assignments (task_id, kind, from_agent, to_agent, note, assigned_by)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(taskId, kind, task.agent_id, agentId, note, by);
+    
+    logAssignment(task, kind, task.agent_id, agentId, {
+      task_id: taskId,
+      from: task.agent_id,
+      to: agentId,
+      ...(note ? { note } : {}),
+      ...(by ? { by } : {})
+    });
+    if (task.agent_id) syncCurrentTask(task.agent_id);
+    if (agentId && agentId !== task.agent_id) syncCurrentTask(agentId);
+  })();
+  return task.agent_id;
+}
+
+/**
+ * Claim a queued task that is unassigned or assigned to the agent, starting it with a lease
+ * that ends after `leaseSeconds`. Claiming a task the agent already holds under a lease renews
+ * it; tasks the agent started directly have no lease and are not claimable. Returns 'claimed',
+ * 'renewed' or false.
+ */
+function claimTask(taskId, agentId, leaseSeconds) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  const task = getTask(taskId);
+  if (!task) return false;
+  
+  return db.transaction(() => {
+    const result = db.prepare(`
+      UPDATE tasks SET
+        agent_id = @agentId,
+        status = 'in_progress',
+        started_at = COALESCE(started_at, CURRENT_TIMESTAMP),
+        resumed_at = CASE WHEN status = 'in_progress' THEN resumed_at ELSE CURRENT_TIMESTAMP END,
+        lease_expires_at = datetime('now', @lease),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = @id AND (
+        (status = 'queued' AND (agent_id IS NULL OR agent_id = @agentId)) OR
+        (status = 'in_progress' AND agent_id = @agentId AND lease_expires_at IS NOT NULL)
+      )
+    `).run({ id: taskId, agentId, lease: `+${leaseSeconds} seconds` });
+    if (result.changes === 0) return false;
+    if (task.status === 'in_progress') return 'renewed';
+    
+    if (!task.agent_id) {
+      db.prepare(`
+        INSERT INTO task_assignments (task_id, kind, from_agent, to_agent, assigned_by)
+        VALUES (?, 'claim', NULL, ?, ?)
+      `).run(taskId, agentId, agentId);
+    }
+    logActivity(agentId, 'task_claimed', `Claimed: ${task.title}`, { task_id: taskId, lease_seconds: leaseSeconds });
+    syncCurrentTask(agentId);
+    return 'claimed';
+  })();
+}
+
+/** Claim the agent's oldest queued task, else the oldest unassigned one; returns its id or null */
+function claimNextTask(agentId, leaseSeconds) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  const next = db.prepare(`
+    SELECT id FROM tasks
+    WHERE status = 'queued' AND (agent_id = ? OR agent_id IS NULL)
+    ORDER BY agent_id IS NULL, id
+    LIMIT 1
+  `).get(agentId);
+  if (!next) return null;
+  
+  claimTask(next.id, agentId, leaseSeconds);
+  return next.id;
+}
+
+/** Return in-progress tasks whose lease has run out to the shared queue; returns [{ taskId, agentId }] */
+function expireTaskLeases() {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  const expired = db.prepare(`
+    SELECT id, agent_id FROM tasks
+    WHERE status = 'in_progress' AND lease_expires_at IS NOT NULL AND lease_expires_at <= CURRENT_TIMESTAMP
+  `).all();
+  for (const task of expired) assignTask(task.id, null, { kind: 'expired' });
+  return expired.map(task => ({ taskId: task.id, agentId: task.agent_id }));
+}
+
+/** Put an agent's open tasks back in the shared queue (when it is archived); returns their ids */
+function releaseAgentTasks(agentId) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  const open = db.prepare(`
+    SELECT id FROM tasks WHERE agent_id = ? AND status IN (${OPEN_TASK_STATUSES.map(status => `'${status}'`).join(', ')})
+  `).all(agentId);
+  for (const task of open) assignTask(task.id, null, { kind: 'release' });
+  return open.map(task => task.id);
+}
+
+/** A task's assignment history, oldest first */
+function getTaskAssignments(taskId) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  return db.prepare(`
+    SELECT id, task_id, kind, from_agent, to_agent, note, assigned_by, created_at
+    FROM task_assignments
+    WHERE task_id = ?
+    ORDER BY id
+  `).all(taskId);
+}
+
+/** Reviews opened for a task, oldest first */
+function getTaskReviews(taskId) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  return db.prepare(`${REVIEW_SELECT} WHERE r.task_id = ? ORDER BY r.created_at`).all(taskId);
+}
+
+/**
+ * A page of activities for export, oldest first: the same filters as the history, and only rows
+ * with an id above `afterId`
+ */
+function getActivitiesForExport(filter, { afterId = 0, limit = 1000 } = {}) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  const clauses = activityFilterClauses(filter);
+  if (!clauses) return [];
+  return db.prepare(`
+    SELECT 
+      a.id, a.timestamp, a.agent_id, ag.name as agent_name, a.type, a.description, a.metadata_json
+    FROM activities a
+    JOIN agents ag ON a.agent_id = ag.id
+    WHERE a.id > ? ${clauses.clauses.map(clause => `AND ${clause}`).join(' ')}
+    ORDER BY a.id
+    LIMIT ?
+  `).all(afterId, ...clauses.params, limit);
+}
+
+/** A page of reviews for export, oldest first, by agent, statuses and creation time */
+function getReviewsForExport({ agentId, statuses, since, until } = {}, { afterId = 0, limit = 1000 } = {}) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  const clauses = ['r.id > ?'];
+  const params = [afterId];
+  if (agentId) { clauses.push('r.agent_id = ?'); params.push(agentId); }
+  if (statuses && statuses.length > 0) {
+    clauses.push(`r.status IN (${statuses.map(() => '?').join(', ')})`);
+    params.push(...statuses);
+  }
+  if (toSqlTimestamp(since)) { clauses.push('r.created_at >= ?'); params.push(toSqlTimestamp(since)); }
+  if (toSqlTimestamp(until)) { clauses.push('r.created_at < ?'); params.push(toSqlTimestamp(until)); }
+  
+  return db.prepare(`
+    SELECT 
+      r.id, r.agent_id, r.question, r.priority, r.status, r.answer, r.answered_by, r.task_id,
+      r.created_at, r.answered_at, r.resolved_at, r.updated_at
+    FROM reviews r
+    WHERE ${clauses.join(' AND ')}
+    ORDER BY r.id
+    LIMIT ?
+  `).all(...params, limit);
+}
+
+/** A page of tasks for export, oldest first, by agent, statuses and creation time */
+function getTasksForExport({ agentId, statuses, since, until } = {}, { afterId = 0, limit = 1000 } = {}) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  const clauses = ['t.id > ?'];
+  const params = [afterId];
+  if (agentId) { clauses.push('t.agent_id = ?'); params.push(agentId); }
+  if (statuses && statuses.length > 0) {
+    clauses.push(`t.status IN (${statuses.map(() => '?').join(', ')})`);
+    params.push(...statuses);
+  }
+  if (toSqlTimestamp(since)) { clauses.push('t.created_at >= ?'); params.push(toSqlTimestamp(since)); }
+  if (toSqlTimestamp(until)) { clauses.push('t.created_at < ?'); params.push(toSqlTimestamp(until)); }
+  
+  return db.prepare(`SELECT ${TASK_COLUMNS} FROM tasks t WHERE ${clauses.join(' AND ')} ORDER BY t.id LIMIT ?`)
+    .all(...params, limit);
+}
+
+/** Activity counts per agent and type between two times */
+function countActivitiesByAgent(since, until) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  return db.prepare(`
+    SELECT a.agent_id, ag.name as agent_name, ag.emoji as agent_emoji, a.type, COUNT(*) as count
+    FROM activities a
+    JOIN agents ag ON a.agent_id = ag.id
+    WHERE a.timestamp >= ? AND a.timestamp < ?
+    GROUP BY a.agent_id, a.type
+    ORDER BY a.agent_id, count DESC, a.type
+  `).all(toSqlTimestamp(since), toSqlTimestamp(until));
+}
+
+/** Tasks that were completed or failed between two times, in the order they ended */
+function getTasksEnded(since, until) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  return db.prepare(`
+    SELECT ${TASK_COLUMNS} FROM tasks t
+    WHERE t.status IN ('done', 'failed') AND t.ended_at >= ? AND t.ended_at < ?
+    ORDER BY t.ended_at, t.id
+  `).all(toSqlTimestamp(since), toSqlTimestamp(until));
+}
+
+/**
+ * Reviews opened between two times, and reviews decided (answered, dismissed or resolved) between
+ * them with their turnaround in seconds
+ */
+function getReviewTurnaround(since, until) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  const range = [toSqlTimestamp(since), toSqlTimestamp(until)];
+  const opened = db.prepare(`
+    ${REVIEW_SELECT}
+    WHERE r.created_at >= ? AND r.created_at < ?
+    ORDER BY r.created_at, r.id
+  `).all(...range);
+  const decided = db.prepare(`
+    SELECT * FROM (
+      SELECT r.id, r.agent_id, ag.name as agent_name, r.question, r.priority, r.status, r.answered_by,
+        r.created_at, COALESCE(r.answered_at, r.resolved_at) as decided_at,
+        CAST(strftime('%s', COALESCE(r.answered_at, r.resolved_at)) - strftime('%s', r.created_at) AS INTEGER) as turnaround_seconds
+      FROM reviews r
+      JOIN agents ag ON r.agent_id = ag.id
+      WHERE r.status IN (${DECIDED_REVIEW_STATUSES.map(status => `'${status}'`).join(', ')})
+    )
+    WHERE decided_at >= ? AND decided_at < ?
+    ORDER BY decided_at, id
+  `).all(...range);
+  return { opened, decided };
+}
+
+/** The most frequent error messages between two times, per agent */
+function getErrorSummary(since, until, limit = 10) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  return db.prepare(`
+    SELECT a.agent_id, ag.name as agent_name, a.description, COUNT(*) as count,
+      MIN(a.timestamp) as first_at, MAX(a.timestamp) as last_at
+    FROM activities a
+    JOIN agents ag ON a.agent_id = ag.id
+    WHERE a.type = 'error' AND a.timestamp >= ? AND a.timestamp < ?
+    GROUP BY a.agent_id, a.description
+    ORDER BY count DESC, last_at DESC
+    LIMIT ?
+  `).all(toSqlTimestamp(since), toSqlTimestamp(until), limit);
+}
+
+/**
+ * Import JSON-era records in one transaction. Every record has a `key` that is unique within
+ * its `source` file; keys already in legacy_imports are skipped, so running an import twice is
+ * harmless. Reviews that already exist (same agent and question, e.g. the seeded samples) are
+ * linked rather than copied. Returns how many records of each kind were added.
+ */
+function importLegacyRecords(source, { agents = [], activities = [], reviews = [] }) {
+  if (!db) throw new Error('Database not initialized. Call initDb() first.');
+  
+  const isImported = db.prepare('SELECT 1 FROM legacy_imports WHERE source = ? AND legacy_key = ?');
+  const remember = db.prepare(`
+    INSERT INTO legacy_imports (source, legacy_key, target_table, target_id)
+    VALUES (?, ?, ?, ?)
+  `);
+  const counts = { agents: 0, activities: 0, reviews: 0, skipped: 0 };
+  
+  const run = db.transaction(() => {
+    for (const agent of agents) {
+      if (isImported.get(source, agent.key)) { counts.skipped++; continue; }
+      
+      // Agents that already exist keep their profile and only gain a missing summary
+      db.prepare(`
+        INSERT INTO agents (id, name, emoji, role, model, status, summary)
+        VALUES (@id, @name, @emoji, @role, @model, 'idle', @summary)
+        ON CONFLICT(id) DO UPDATE SET summary = COALESCE(agents.summary, excluded.summary)
+      `).run({
+        id: agent.id,
+        name: agent.name || agent.id,
+        emoji: agent.emoji || '🐕',
+        role: agent.role || 'Agent',
+        model: agent.model || 'unknown',
+        summary: agent.summary || null
+      });
+      remember.run(source, agent.key, 'agents', agent.id);
+      counts.agents++;
+    }
+    
+    for (const activity of activities) {
+      if (isImported.get(source, activity.key) || !getAgent(activity.agentId, { includeArchived: true })) {
+        counts.skipped++;
+        continue;
+      }
+      
+      const activityId = db.prepare(`
+        INSERT INTO activities (agent_id, type, description, metadata_json, timestamp)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(
+        activity.agentId,
+        activity.type,
+        activity.description,
+        JSON.stringify(activity.metadata || {}),
+        toSqlTimestamp(activity.timestamp)
+      ).lastInsertRowid;
+      remember.run(source, activity.key, 'activities', String(activityId));
+      counts.activities++;
+    }
+    
+    for (const review of reviews) {
+      if (isImported.get(source, review.key) || !getAgent(review.agentId, { includeArchived: true })) {
+        counts.skipped++;
+        continue;
+      }
+      
+      const existing = db.prepare('SELECT id FROM reviews WHERE agent_id = ? AND question = ?').get(review.agentId, review.question);
+      if (existing) {
+        remember.run(source, review.key, 'reviews', String(existing.id));
+        counts.skipped++;
+        continue;
+      }
+      
+      const reviewId = db.prepare(`
+        INSERT INTO reviews (agent_id, question, priority, status, answer, created_at, resolved_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        review.agentId,
+        review.question,
+        review.priority,
+        review.status,
+        review.answer || null,
+        toSqlTimestamp(review.timestamp),
+        toSqlTimestamp(review.resolvedAt)
+      ).lastInsertRowid;
+      remember.run(source, review.key, 'reviews', String(reviewId));
+      counts.reviews++;
+    }
+  });
+  
+  run();
+  return counts;
+}
+
 /** Get database stats for debugging */
 function getStats() {
   if (!db) throw new Error('Database not initialized. Call initDb() first.');
   
   return {
+    schemaVersion: getSchemaVersion(db),
     agents: db.prepare('SELECT COUNT(*) as count FROM agents').get(),
     activities: db.prepare('SELECT COUNT(*) as count FROM activities').get(),
     reviews: db.prepare('SELECT COUNT(*) as count FROM reviews').get(),
-    pendingReviews: db.prepare("SELECT COUNT(*) as count FROM reviews WHERE status = 'pending'").get()
+    pendingReviews: db.prepare("SELECT COUNT(*) as count FROM reviews WHERE status = 'pending'").get(),
+    tokenUsage: db.prepare('SELECT COUNT(*) as count FROM token_usage').get(),
+    fileSnapshots: db.prepare('SELECT COUNT(*) as count FROM file_snapshots').get(),
+    activityRollups: db.prepare('SELECT COUNT(*) as count FROM activity_rollups').get()
   };
 }
 
 /** Close database connection */
 function closeDb() {
   if (db) {
+    statementCache.clear();
     db.close();
     db = null;
   }
 }
 
 module.exports = {
+  DB_PATH,
+  AGENT_PROFILE_FIELDS,
   initDb,
   closeDb,
+  onActivity,
+  logActivities,
   logActivity,
   updateAgentTask,
   updateAgentStatus,
+  TASK_STATUSES,
+  OPEN_TASK_STATUSES,
+  TASK_ACTIONS,
+  createTask,
+  transitionTask,
+  getTask,
+  getTasks,
+  assignTask,
+  claimTask,
+  claimNextTask,
+  expireTaskLeases,
+  releaseAgentTasks,
+  getTaskAssignments,
+  getTaskReviews,
+  getActivitiesForExport,
+  getReviewsForExport,
+  getTasksForExport,
+  countActivitiesByAgent,
+  getTasksEnded,
+  getReviewTurnaround,
+  getErrorSummary,
+  markAgentSeen,
+  getAgentLiveness,
   getAllAgents,
   getAgent,
+  createAgent,
+  updateAgent,
+  archiveAgent,
+  setAgentApiKeyHash,
+  getAgentIdByApiKeyHash,
+  createSession,
+  isSessionValid,
+  deleteSession,
   getRecentActivities,
+  getActivitiesSince,
+  queryActivities,
+  decodeActivityCursor,
   getAgentActivities,
+  DECIDED_REVIEW_STATUSES,
   getPendingReviews,
+  getReview,
+  getReviews,
   addReview,
   resolveReview,
+  answerReview,
+  dismissReview,
+  snoozeReview,
+  wakeSnoozedReviews,
+  acknowledgeReview,
+  addReviewComment,
+  getReviewComments,
+  toSqlTimestamp,
+  recordTokenUsage,
+  getUsageTotals,
+  getUsageBreakdown,
+  getUsageRollup,
+  addFileSnapshot,
+  getFileSnapshot,
+  getLatestFileSnapshot,
+  getFileSnapshots,
+  getSnapshotFiles,
+  pruneFileSnapshots,
+  getActivityTypes,
+  getExpiredActivities,
+  compactActivities,
+  getActivityRollups,
+  startMaintenanceRun,
+  finishMaintenanceRun,
+  getMaintenanceRuns,
+  checkpointWal,
+  writeMetricsSample,
+  downsampleMetrics,
+  getMetricsHistory,
+  linkAgentProcess,
+  getAgentProcessLinks,
+  endAgentProcessLinks,
+  recordProcessSample,
+  getProcessHistory,
+  pruneProcessSamples,
+  getAgentActivityRate,
+  countRecentActivities,
+  openAlert,
+  resolveAlert,
+  markAlertNotified,
+  getAlert,
+  getAlerts,
+  addAlertSilence,
+  getActiveAlertSilences,
+  endAlertSilence,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhook,
+  getWebhooks,
+  enqueueWebhookDelivery,
+  getDueWebhookDeliveries,
+  recordWebhookAttempt,
+  requeueWebhookDelivery,
+  getWebhookDelivery,
+  getWebhookDeliveries,
+  pruneWebhookDeliveries,
+  importLegacyRecords,
   getStats
 };
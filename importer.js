@@ -0,0 +1,103 @@
+/** Legacy importer for Puppy Station - brings the JSON-era history in data/agents.json and data/reviews.json into SQLite */
+const fs = require('fs');
+const path = require('path');
+const { initDb, closeDb, importLegacyRecords, DECIDED_REVIEW_STATUSES } = require('./db');
+
+const DATA_DIR = path.join(__dirname, 'data');
+const IMPORTABLE_REVIEW_STATUSES = ['pending', ...DECIDED_REVIEW_STATUSES];
+
+/** Read agent profiles and their activity logs from an agents.json file */
+function readLegacyAgents(file) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const agents = [];
+  const activities = [];
+  
+  for (const agent of data.agents || []) {
+    if (!agent.id) continue;
+    const { activities: log = [], ...profile } = agent;
+    agents.push({ ...profile, key: `agent:${agent.id}` });
+    
+    for (const activity of log) {
+      if (!activity.type || !activity.description || !activity.timestamp) continue;
+      activities.push({
+        key: `activity:${agent.id}:${activity.id || activity.timestamp}`,
+        agentId: agent.id,
+        type: activity.type,
+        description: activity.description,
+        metadata: { ...activity.metadata, legacyId: activity.id },
+        timestamp: activity.timestamp
+      });
+    }
+  }
+  return { agents, activities };
+}
+
+/** Read reviews from a reviews.json file */
+function readLegacyReviews(file) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const reviews = [];
+  
+  for (const review of data.reviews || []) {
+    if (!review.agentId || !review.question) continue;
+    reviews.push({
+      key: `review:${review.id || review.timestamp}`,
+      agentId: review.agentId,
+      question: review.question,
+      priority: ['high', 'medium', 'low'].includes(review.priority) ? review.priority : 'medium',
+      status: IMPORTABLE_REVIEW_STATUSES.includes(review.status) ? review.status : 'pending',
+      answer: review.answer,
+      timestamp: review.timestamp,
+      resolvedAt: review.resolvedAt
+    });
+  }
+  return { reviews };
+}
+
+/**
+ * Import whichever of the legacy files exist. Agents are imported before reviews so reviews
+ * from agents that only exist in agents.json find their agent. Returns counts per file.
+ */
+function importLegacyFiles({
+  agentsFile = path.join(DATA_DIR, 'agents.json'),
+  reviewsFile = path.join(DATA_DIR, 'reviews.json')
+} = {}) {
+  const results = {};
+  if (fs.existsSync(agentsFile)) {
+    results[path.basename(agentsFile)] = importLegacyRecords(path.basename(agentsFile), readLegacyAgents(agentsFile));
+  }
+  if (fs.existsSync(reviewsFile)) {
+    results[path.basename(reviewsFile)] = importLegacyRecords(path.basename(reviewsFile), readLegacyReviews(reviewsFile));
+  }
+  return results;
+}
+
+module.exports = { importLegacyFiles, readLegacyAgents, readLegacyReviews };
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = name => {
+    const index = args.indexOf(name);
+    return index >= 0 ? args[index + 1] : undefined;
+  };
+  if (args.includes('--help')) {
+    console.log('Usage: node importer.js [--agents <agents.json>] [--reviews <reviews.json>] [--db <dashboard.db>]');
+    process.exit(0);
+  }
+  
+  try {
+    initDb(option('--db') ? path.resolve(option('--db')) : undefined);
+    const results = importLegacyFiles({
+      agentsFile: option('--agents') && path.resolve(option('--agents')),
+      reviewsFile: option('--reviews') && path.resolve(option('--reviews'))
+    });
+    for (const [file, counts] of Object.entries(results)) {
+      console.log(`✅ ${file}: ${counts.agents} agents, ${counts.activities} activities, ${counts.reviews} reviews imported (${counts.skipped} skipped)`);
+    }
+    if (!Object.keys(results).length) console.log('Nothing to import');
+  } catch (err) {
+    console.error('❌ Import failed:', err.message);
+    process.exitCode = 1;
+  } finally {
+    closeDb();
+  }
+}
@@ -0,0 +1,52 @@
+/** Liveness monitor for Puppy Station - marks silent agents stale, then offline */
+const { config } = require('./config');
+const { getAgentLiveness } = require('./db');
+
+// Statuses the monitor sets itself; a heartbeat brings an agent back from either
+const SILENT_STATUSES = ['stale', 'offline'];
+
+let timer = null;
+let startedAt = Date.now();
+
+/**
+ * Decide which agents have gone quiet. Agents never seen since the station
+ * started are measured from startup, so they get one grace period.
+ */
+function findTransitions() {
+  const { staleAfterSeconds, offlineAfterSeconds } = config.liveness;
+  const uptime = Math.floor((Date.now() - startedAt) / 1000);
+  const transitions = [];
+  
+  for (const agent of getAgentLiveness()) {
+    const silent = agent.silent_seconds === null ? uptime : agent.silent_seconds;
+    const transition = { agentId: agent.id, from: agent.status, silentSeconds: agent.silent_seconds };
+    
+    if (silent >= offlineAfterSeconds && agent.status !== 'offline') {
+      transitions.push({ ...transition, to: 'offline' });
+    } else if (silent >= staleAfterSeconds && silent < offlineAfterSeconds && !SILENT_STATUSES.includes(agent.status)) {
+      transitions.push({ ...transition, to: 'stale' });
+    }
+  }
+  return transitions;
+}
+
+/** Start checking liveness; `onTransition` applies each status change */
+function startLivenessMonitor(onTransition) {
+  startedAt = Date.now();
+  timer = setInterval(() => {
+    try {
+      for (const transition of findTransitions()) onTransition(transition);
+    } catch (err) {
+      console.error('Liveness check error:', err);
+    }
+  }, config.liveness.checkIntervalSeconds * 1000);
+  
+  console.log(`✅ Liveness monitor started (stale after ${config.liveness.staleAfterSeconds}s, offline after ${config.liveness.offlineAfterSeconds}s)`);
+}
+
+function stopLivenessMonitor() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = { SILENT_STATUSES, startLivenessMonitor, stopLivenessMonitor, findTransitions };
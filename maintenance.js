@@ -0,0 +1,145 @@
+/** Maintenance job for Puppy Station - activity retention, rollups, archiving and WAL checkpoints */
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const picomatch = require('picomatch');
+const { config } = require('./config');
+const {
+  getActivityTypes,
+  getExpiredActivities,
+  compactActivities,
+  startMaintenanceRun,
+  finishMaintenanceRun,
+  getMaintenanceRuns,
+  checkpointWal
+} = require('./db');
+
+let timer = null;
+let running = null;
+let nextRunAt = null;
+
+/**
+ * Days to keep an activity type, or null to keep it forever. An exact key wins,
+ * then the longest matching glob, then '*'.
+ */
+function getRetentionDays(type, rules = config.retention.activities) {
+  if (Object.prototype.hasOwnProperty.call(rules, type)) return rules[type];
+  
+  const globs = Object.keys(rules)
+    .filter(key => key !== '*' && picomatch.isMatch(type, key))
+    .sort((a, b) => b.length - a.length);
+  if (globs.length) return rules[globs[0]];
+  
+  return rules['*'] === undefined ? null : rules['*'];
+}
+
+/** Append activities to a gzipped NDJSON archive (each batch is its own gzip member) */
+function appendToArchive(file, activities) {
+  const lines = activities.map(activity => {
+    const { metadata_json, ...rest } = activity;
+    let metadata = {};
+    try { metadata = JSON.parse(metadata_json || '{}'); } catch (err) { metadata = { raw: metadata_json }; }
+    return JSON.stringify({ ...rest, metadata });
+  });
+  fs.appendFileSync(file, zlib.gzipSync(lines.join('\n') + '\n'));
+}
+
+/** Archive file for a run started at `startedAt` */
+function archivePath(startedAt) {
+  const dir = path.resolve(__dirname, config.retention.archive.dir);
+  fs.mkdirSync(dir, { recursive: true });
+  return path.join(dir, `activities-${startedAt.toISOString().replace(/[:.]/g, '-')}.ndjson.gz`);
+}
+
+/** Expire, roll up (and optionally archive) old activities, then checkpoint the WAL */
+async function performMaintenance() {
+  const startedAt = new Date();
+  const runId = startMaintenanceRun();
+  const removedByType = {};
+  let removed = 0;
+  let archiveFile = null;
+  
+  try {
+    for (const { type } of getActivityTypes()) {
+      const days = getRetentionDays(type);
+      if (days === null || days === undefined) continue;
+      
+      const cutoff = new Date(startedAt.getTime() - days * 86400000);
+      let batch;
+      while ((batch = getExpiredActivities(type, cutoff, config.retention.batchSize)).length) {
+        // Archive before deleting, so a crash can duplicate archived rows but never lose them
+        if (config.retention.archive.enabled) {
+          archiveFile = archiveFile || archivePath(startedAt);
+          appendToArchive(archiveFile, batch);
+        }
+        removed += compactActivities(batch);
+        removedByType[type] = (removedByType[type] || 0) + batch.length;
+        
+        // Let requests through between batches
+        await new Promise(resolve => setImmediate(resolve));
+      }
+    }
+    
+    const checkpoint = checkpointWal();
+    finishMaintenanceRun(runId, { status: 'ok', removed, archiveFile, details: { removedByType, checkpoint } });
+    console.log(`✅ Maintenance removed ${removed} expired activities${archiveFile ? ' (archived to ' + archiveFile + ')' : ''}`);
+  } catch (err) {
+    finishMaintenanceRun(runId, { status: 'failed', removed, archiveFile, details: { removedByType }, error: err.message });
+    console.error('Maintenance error:', err);
+  }
+  
+  return getMaintenanceRuns(1)[0];
+}
+
+/** Run maintenance now; resolves with the finished run. Only one run happens at a time */
+function runMaintenance() {
+  if (!running) {
+    running = performMaintenance().finally(() => { running = null; });
+  }
+  return running;
+}
+
+function isMaintenanceRunning() {
+  return running !== null;
+}
+
+/** Status for the API: whether a run is in progress, when the next one is due and recent runs */
+function getMaintenanceStatus() {
+  return {
+    enabled: config.retention.enabled,
+    running: isMaintenanceRunning(),
+    nextRunAt: nextRunAt && nextRunAt.toISOString(),
+    retention: config.retention.activities,
+    archive: config.retention.archive.enabled,
+    runs: getMaintenanceRuns(10).map(({ details_json, ...run }) => ({ ...run, details: JSON.parse(details_json || '{}') }))
+  };
+}
+
+/** Schedule maintenance: once after `startDelaySeconds`, then every `intervalHours` */
+function startMaintenance() {
+  const schedule = (delayMs) => {
+    nextRunAt = new Date(Date.now() + delayMs);
+    timer = setTimeout(async () => {
+      await runMaintenance();
+      schedule(config.retention.intervalHours * 3600000);
+    }, delayMs);
+  };
+  schedule(config.retention.startDelaySeconds * 1000);
+  
+  console.log(`✅ Maintenance scheduled every ${config.retention.intervalHours}h`);
+}
+
+function stopMaintenance() {
+  clearTimeout(timer);
+  timer = null;
+  nextRunAt = null;
+}
+
+module.exports = {
+  getRetentionDays,
+  runMaintenance,
+  isMaintenanceRunning,
+  getMaintenanceStatus,
+  startMaintenance,
+  stopMaintenance
+};
@@ -0,0 +1,138 @@
+/** System metrics for Puppy Station - samples CPU, memory, load, disk and network into a downsampled history */
+const si = require('systeminformation');
+const { config } = require('./config');
+const { writeMetricsSample, downsampleMetrics, getMetricsHistory } = require('./db');
+
+// Disk usage changes slowly and `df` is comparatively expensive, so it is sampled less often
+const DISK_REFRESH_MS = 60000;
+
+let timer = null;
+let latest = null;
+let disk = { percentage: null, checkedAt: 0 };
+let lastMinute = null;
+let lastHour = null;
+
+/** Step (seconds) and ring-buffer size of each resolution, finest first */
+function getResolutions() {
+  const { sampleSeconds, rawHours, minuteDays, hourDays } = config.metrics;
+  return {
+    raw: { step: sampleSeconds, slots: Math.ceil(rawHours * 3600 / sampleSeconds) },
+    '1m': { step: 60, slots: minuteDays * 1440 },
+    '1h': { step: 3600, slots: hourDays * 24 }
+  };
+}
+
+const slotFor = (resolution, ts) => Math.floor(ts / resolution.step) % resolution.slots;
+const round = (value, places = 2) => value === null || value === undefined ? null : Math.round(value * 10 ** places) / 10 ** places;
+
+/** Usage of the root filesystem (or the fullest one if there is no root mount) */
+async function getDiskUsage() {
+  if (Date.now() - disk.checkedAt < DISK_REFRESH_MS) return disk.percentage;
+  
+  const filesystems = await si.fsSize();
+  const root = filesystems.find(fs => fs.mount === '/') ||
+    filesystems.reduce((fullest, fs) => !fullest || fs.use > fullest.use ? fs : fullest, null);
+  disk = { percentage: root ? round(root.use, 1) : null, checkedAt: Date.now() };
+  return disk.percentage;
+}
+
+/** Take one sample of the host */
+async function collectSample() {
+  const [load, mem, network, diskPercentage] = await Promise.all([
+    si.currentLoad(),
+    si.mem(),
+    si.networkStats('*'),
+    getDiskUsage()
+  ]);
+  
+  // Interface rates are null until the second reading; loopback traffic is not interesting
+  const external = network.filter(iface => iface.iface !== 'lo');
+  const sum = key => external.reduce((total, iface) => total + (iface[key] || 0), 0);
+  
+  return {
+    ts: Math.floor(Date.now() / 1000),
+    cpu: Math.round(load.currentLoad),
+    cores: load.cpus.length,
+    load: round(load.avgLoad),
+    mem: Math.round(mem.used / mem.total * 100),
+    memUsed: round(mem.used / 1024 / 1024 / 1024),
+    memTotal: round(mem.total / 1024 / 1024 / 1024),
+    disk: diskPercentage,
+    netRx: Math.round(sum('rx_sec')),
+    netTx: Math.round(sum('tx_sec'))
+  };
+}
+
+/** Store a raw sample and roll finished minutes and hours up into the coarser resolutions */
+function recordSample(sample) {
+  const resolutions = getResolutions();
+  writeMetricsSample('raw', slotFor(resolutions.raw, sample.ts), sample);
+  
+  // After a restart, (re)build the step that was interrupted
+  const minute = Math.floor(sample.ts / 60);
+  if (lastMinute === null) lastMinute = minute - 1;
+  if (minute > lastMinute) {
+    downsampleMetrics('raw', '1m', lastMinute * 60, 60, slotFor(resolutions['1m'], lastMinute * 60));
+    lastMinute = minute;
+  }
+  
+  const hour = Math.floor(sample.ts / 3600);
+  if (lastHour === null) lastHour = hour - 1;
+  if (hour > lastHour) {
+    downsampleMetrics('1m', '1h', lastHour * 3600, 3600, slotFor(resolutions['1h'], lastHour * 3600));
+    lastHour = hour;
+  }
+}
+
+/** The most recent sample, or null before the first one */
+function getLatestSample() {
+  return latest;
+}
+
+/**
+ * History between two epoch-second timestamps at the finest resolution that still
+ * reaches back to `since` and keeps the answer under `maxPoints` rows.
+ */
+function getHistory(since, until, maxPoints = 1500) {
+  const resolutions = getResolutions();
+  const now = Math.floor(Date.now() / 1000);
+  
+  let name = '1h';
+  for (const candidate of ['raw', '1m']) {
+    const { step, slots } = resolutions[candidate];
+    if (since >= now - step * slots && (until - since) / step <= maxPoints) {
+      name = candidate;
+      break;
+    }
+  }
+  
+  return { resolution: name, step: resolutions[name].step, samples: getMetricsHistory(name, since, until) };
+}
+
+/** Sample every `sampleSeconds`; `onSample` receives each sample after it is stored */
+function startMetricsSampler(onSample) {
+  timer = setInterval(async () => {
+    try {
+      latest = await collectSample();
+      recordSample(latest);
+      onSample(latest);
+    } catch (err) {
+      console.error('System metrics error:', err);
+    }
+  }, config.metrics.sampleSeconds * 1000);
+}
+
+function stopMetricsSampler() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  getResolutions,
+  collectSample,
+  recordSample,
+  getLatestSample,
+  getHistory,
+  startMetricsSampler,
+  stopMetricsSampler
+};
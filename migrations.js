@@ -0,0 +1,521 @@
+/** Schema migrations for Puppy Station - ordered, versioned, each applied in its own transaction */
+
+/**
+ * Migrations 1-6 describe the schema as it grew before versioning existed. Databases from
+ * that era can be anywhere along the way, so those steps only create what is missing.
+ * Later migrations run exactly once and can be written plainly.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS agents (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          emoji TEXT DEFAULT '🐕',
+          role TEXT DEFAULT 'Agent',
+          model TEXT DEFAULT 'unknown',
+          status TEXT DEFAULT 'idle',
+          current_task TEXT DEFAULT NULL,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS activities (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          agent_id TEXT NOT NULL,
+          type TEXT DEFAULT 'info',
+          description TEXT NOT NULL,
+          metadata_json TEXT DEFAULT '{}',
+          timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (agent_id) REFERENCES agents(id) ON DELETE CASCADE
+        );
+        CREATE INDEX IF NOT EXISTS idx_activities_agent_id ON activities(agent_id);
+        CREATE INDEX IF NOT EXISTS idx_activities_timestamp ON activities(timestamp DESC);
+
+        CREATE TABLE IF NOT EXISTS reviews (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          agent_id TEXT NOT NULL,
+          question TEXT NOT NULL,
+          priority TEXT DEFAULT 'medium',
+          status TEXT DEFAULT 'pending',
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          resolved_at DATETIME DEFAULT NULL,
+          FOREIGN KEY (agent_id) REFERENCES agents(id) ON DELETE CASCADE
+        );
+        CREATE INDEX IF NOT EXISTS idx_reviews_status ON reviews(status);
+        CREATE INDEX IF NOT EXISTS idx_reviews_agent_id ON reviews(agent_id);
+      `);
+    }
+  },
+  {
+    version: 2,
+    name: 'agent_registry_and_auth',
+    up(db) {
+      addColumnIfMissing(db, 'agents', 'archived_at', 'DATETIME DEFAULT NULL');
+      addColumnIfMissing(db, 'agents', 'api_key_hash', 'TEXT DEFAULT NULL');
+      addColumnIfMissing(db, 'agents', 'last_seen_at', 'DATETIME DEFAULT NULL');
+      db.exec(`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_agents_api_key ON agents(api_key_hash);
+
+        -- Only token hashes are stored
+        CREATE TABLE IF NOT EXISTS admin_sessions (
+          token_hash TEXT PRIMARY KEY,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          expires_at DATETIME NOT NULL
+        );
+      `);
+    }
+  },
+  {
+    version: 3,
+    name: 'activity_search',
+    up(db) {
+      // Full-text index over activity descriptions and metadata, kept in sync by triggers
+      db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_activities_timestamp_id ON activities(timestamp DESC, id DESC);
+
+        CREATE VIRTUAL TABLE IF NOT EXISTS activities_fts USING fts5(
+          description, metadata_json, content='activities', content_rowid='id'
+        );
+
+        CREATE TRIGGER IF NOT EXISTS activities_fts_insert AFTER INSERT ON activities BEGIN
+          INSERT INTO activities_fts(rowid, description, metadata_json)
+          VALUES (new.id, new.description, new.metadata_json);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS activities_fts_delete AFTER DELETE ON activities BEGIN
+          INSERT INTO activities_fts(activities_fts, rowid, description, metadata_json)
+          VALUES ('delete', old.id, old.description, old.metadata_json);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS activities_fts_update AFTER UPDATE ON activities BEGIN
+          INSERT INTO activities_fts(activities_fts, rowid, description, metadata_json)
+          VALUES ('delete', old.id, old.description, old.metadata_json);
+          INSERT INTO activities_fts(rowid, description, metadata_json)
+          VALUES (new.id, new.description, new.metadata_json);
+        END;
+      `);
+      // Index the activities logged before search existed
+      db.exec("INSERT INTO activities_fts(activities_fts) VALUES ('rebuild')");
+    }
+  },
+  {
+    version: 4,
+    name: 'review_workflow',
+    up(db) {
+      addColumnIfMissing(db, 'reviews', 'answer', 'TEXT DEFAULT NULL');
+      addColumnIfMissing(db, 'reviews', 'answered_by', 'TEXT DEFAULT NULL');
+      addColumnIfMissing(db, 'reviews', 'answered_at', 'DATETIME DEFAULT NULL');
+      addColumnIfMissing(db, 'reviews', 'snoozed_until', 'DATETIME DEFAULT NULL');
+      addColumnIfMissing(db, 'reviews', 'acknowledged_at', 'DATETIME DEFAULT NULL');
+      addColumnIfMissing(db, 'reviews', 'updated_at', 'DATETIME DEFAULT NULL');
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS review_comments (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          review_id INTEGER NOT NULL,
+          author TEXT NOT NULL,
+          body TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (review_id) REFERENCES reviews(id) ON DELETE CASCADE
+        );
+        CREATE INDEX IF NOT EXISTS idx_review_comments_review ON review_comments(review_id);
+      `);
+    }
+  },
+  {
+    version: 5,
+    name: 'token_usage',
+    up(db) {
+      // One row per reported model call
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS token_usage (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          agent_id TEXT NOT NULL,
+          model TEXT NOT NULL,
+          prompt_tokens INTEGER NOT NULL DEFAULT 0,
+          completion_tokens INTEGER NOT NULL DEFAULT 0,
+          cost_usd REAL NOT NULL DEFAULT 0,
+          metadata_json TEXT DEFAULT '{}',
+          timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (agent_id) REFERENCES agents(id) ON DELETE CASCADE
+        );
+        CREATE INDEX IF NOT EXISTS idx_token_usage_timestamp ON token_usage(timestamp);
+        CREATE INDEX IF NOT EXISTS idx_token_usage_agent ON token_usage(agent_id, timestamp);
+      `);
+    }
+  },
+  {
+    version: 6,
+    name: 'file_snapshots',
+    up(db) {
+      // Content is stored once per distinct hash
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS file_blobs (
+          hash TEXT PRIMARY KEY,
+          content TEXT NOT NULL,
+          size INTEGER NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE TABLE IF NOT EXISTS file_snapshots (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          agent_id TEXT NOT NULL,
+          path TEXT NOT NULL,
+          hash TEXT DEFAULT NULL,
+          size INTEGER NOT NULL DEFAULT 0,
+          event TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (agent_id) REFERENCES agents(id) ON DELETE CASCADE,
+          FOREIGN KEY (hash) REFERENCES file_blobs(hash)
+        );
+        CREATE INDEX IF NOT EXISTS idx_file_snapshots_path ON file_snapshots(path, id DESC);
+        CREATE INDEX IF NOT EXISTS idx_file_snapshots_agent ON file_snapshots(agent_id, id DESC);
+      `);
+    }
+  },
+  {
+    version: 7,
+    name: 'agent_summary',
+    up(db) {
+      db.exec('ALTER TABLE agents ADD COLUMN summary TEXT DEFAULT NULL');
+    }
+  },
+  {
+    version: 8,
+    name: 'legacy_import_log',
+    up(db) {
+      // Which records from the JSON-era files have been imported, so re-running the import is a no-op
+      db.exec(`
+        CREATE TABLE legacy_imports (
+          source TEXT NOT NULL,
+          legacy_key TEXT NOT NULL,
+          target_table TEXT NOT NULL,
+          target_id TEXT,
+          imported_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (source, legacy_key)
+        )
+      `);
+    }
+  },
+  {
+    version: 9,
+    name: 'activity_retention',
+    up(db) {
+      // Counts left behind by expired activities, per agent and type, in hourly and daily buckets
+      db.exec(`
+        CREATE TABLE activity_rollups (
+          bucket TEXT NOT NULL,
+          period TEXT NOT NULL,
+          agent_id TEXT NOT NULL,
+          type TEXT NOT NULL,
+          count INTEGER NOT NULL DEFAULT 0,
+          PRIMARY KEY (bucket, period, agent_id, type)
+        );
+
+        CREATE TABLE maintenance_runs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          finished_at DATETIME DEFAULT NULL,
+          status TEXT NOT NULL DEFAULT 'running',
+          removed INTEGER NOT NULL DEFAULT 0,
+          archive_file TEXT DEFAULT NULL,
+          details_json TEXT DEFAULT '{}',
+          error TEXT DEFAULT NULL
+        );
+      `);
+    }
+  },
+  {
+    version: 10,
+    name: 'system_metrics',
+    up(db) {
+      // Ring buffer per resolution: a sample's slot is (ts / step) % slots, so old rows are overwritten in place.
+      // ts is the start of the step in epoch seconds; *_max columns keep spikes through downsampling.
+      db.exec(`
+        CREATE TABLE system_metrics (
+          resolution TEXT NOT NULL,
+          slot INTEGER NOT NULL,
+          ts INTEGER NOT NULL,
+          cpu REAL,
+          cpu_max REAL,
+          mem REAL,
+          mem_max REAL,
+          mem_used REAL,
+          load REAL,
+          disk REAL,
+          net_rx REAL,
+          net_tx REAL,
+          samples INTEGER NOT NULL DEFAULT 1,
+          PRIMARY KEY (resolution, slot)
+        );
+        CREATE INDEX idx_system_metrics_ts ON system_metrics(resolution, ts);
+      `);
+    }
+  },
+  {
+    version: 11,
+    name: 'agent_processes',
+    up(db) {
+      // PIDs reported by agents. `started` is the process start time seen at registration, so a
+      // recycled PID is not mistaken for the agent; ended_at is set once the process is gone.
+      db.exec(`
+        CREATE TABLE agent_processes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          agent_id TEXT NOT NULL,
+          pid INTEGER NOT NULL,
+          started TEXT,
+          registered_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          ended_at DATETIME DEFAULT NULL,
+          FOREIGN KEY (agent_id) REFERENCES agents(id) ON DELETE CASCADE
+        );
+        CREATE INDEX idx_agent_processes_live ON agent_processes(agent_id, ended_at);
+
+        CREATE TABLE process_samples (
+          agent_id TEXT NOT NULL,
+          ts INTEGER NOT NULL,
+          processes INTEGER NOT NULL,
+          cpu REAL,
+          rss REAL,
+          threads INTEGER,
+          uptime INTEGER,
+          PRIMARY KEY (agent_id, ts)
+        );
+        CREATE INDEX idx_process_samples_ts ON process_samples(ts);
+      `);
+    }
+  },
+  {
+    version: 12,
+    name: 'alerts',
+    up(db) {
+      // One row per firing episode of a rule for a subject (an agent, a review or 'system').
+      // notified_at stays null while the alert is silenced, so it is delivered once the silence ends.
+      db.exec(`
+        CREATE TABLE alerts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          rule_id TEXT NOT NULL,
+          subject TEXT NOT NULL,
+          severity TEXT NOT NULL DEFAULT 'warning',
+          status TEXT NOT NULL DEFAULT 'firing',
+          summary TEXT NOT NULL,
+          details_json TEXT DEFAULT '{}',
+          started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          resolved_at DATETIME DEFAULT NULL,
+          notified_at DATETIME DEFAULT NULL
+        );
+        CREATE UNIQUE INDEX idx_alerts_firing ON alerts(rule_id, subject) WHERE status = 'firing';
+        CREATE INDEX idx_alerts_started ON alerts(started_at);
+
+        CREATE TABLE alert_silences (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          rule_id TEXT DEFAULT NULL,
+          subject TEXT DEFAULT NULL,
+          ends_at DATETIME NOT NULL,
+          comment TEXT DEFAULT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+    }
+  },
+  {
+    version: 13,
+    name: 'webhooks',
+    up(db) {
+      // events and agents are comma-separated filters (agents NULL = any agent). Each delivery keeps
+      // the exact body it sends, so retries are byte-for-byte the same and the signature stays valid.
+      db.exec(`
+        CREATE TABLE webhooks (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          url TEXT NOT NULL,
+          secret TEXT NOT NULL,
+          events TEXT NOT NULL DEFAULT '*',
+          agents TEXT DEFAULT NULL,
+          description TEXT DEFAULT NULL,
+          enabled INTEGER NOT NULL DEFAULT 1,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE webhook_deliveries (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          webhook_id INTEGER NOT NULL,
+          event_type TEXT NOT NULL,
+          body TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'pending',
+          attempts INTEGER NOT NULL DEFAULT 0,
+          next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          response_status INTEGER DEFAULT NULL,
+          error TEXT DEFAULT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          finished_at DATETIME DEFAULT NULL,
+          FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE
+        );
+        CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+        CREATE INDEX idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, id);
+      `);
+    }
+  },
+  {
+    version: 14,
+    name: 'tasks',
+    up(db) {
+      // active_seconds is time spent in_progress up to resumed_at, when the current stretch began.
+      // agents.current_task stays as the title of the current task for older clients.
+      db.exec(`
+        CREATE TABLE tasks (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          agent_id TEXT NOT NULL,
+          title TEXT NOT NULL,
+          description TEXT DEFAULT NULL,
+          status TEXT NOT NULL DEFAULT 'queued',
+          outcome TEXT DEFAULT NULL,
+          blocked_reason TEXT DEFAULT NULL,
+          active_seconds INTEGER NOT NULL DEFAULT 0,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          started_at DATETIME DEFAULT NULL,
+          resumed_at DATETIME DEFAULT NULL,
+          ended_at DATETIME DEFAULT NULL,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (agent_id) REFERENCES agents(id) ON DELETE CASCADE
+        );
+        CREATE INDEX idx_tasks_agent ON tasks(agent_id, id);
+        CREATE INDEX idx_tasks_status ON tasks(status);
+
+        ALTER TABLE agents ADD COLUMN current_task_id INTEGER DEFAULT NULL;
+        ALTER TABLE reviews ADD COLUMN task_id INTEGER DEFAULT NULL REFERENCES tasks(id);
+
+        INSERT INTO tasks (agent_id, title, status, created_at, started_at, resumed_at, updated_at)
+        SELECT id, current_task, 'in_progress', updated_at, updated_at, updated_at, updated_at
+        FROM agents
+        WHERE current_task IS NOT NULL AND archived_at IS NULL;
+
+        UPDATE agents
+        SET current_task_id = (SELECT MAX(t.id) FROM tasks t WHERE t.agent_id = agents.id)
+        WHERE current_task IS NOT NULL AND archived_at IS NULL;
+      `);
+    }
+  },
+  {
+    version: 15,
+    name: 'task_queue',
+    up(db) {
+      // Shared queue: tasks may be unassigned (agent_id NULL), so the table is rebuilt without
+      // NOT NULL. lease_expires_at is set while an agent holds a claimed task.
+      db.exec(`
+        CREATE TABLE tasks_new (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          agent_id TEXT DEFAULT NULL,
+          title TEXT NOT NULL,
+          description TEXT DEFAULT NULL,
+          status TEXT NOT NULL DEFAULT 'queued',
+          outcome TEXT DEFAULT NULL,
+          blocked_reason TEXT DEFAULT NULL,
+          active_seconds INTEGER NOT NULL DEFAULT 0,
+          created_by TEXT DEFAULT NULL,
+          lease_expires_at DATETIME DEFAULT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          started_at DATETIME DEFAULT NULL,
+          resumed_at DATETIME DEFAULT NULL,
+          ended_at DATETIME DEFAULT NULL,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (agent_id) REFERENCES agents(id) ON DELETE CASCADE
+        );
+        INSERT INTO tasks_new (id, agent_id, title, description, status, outcome, blocked_reason, active_seconds,
+          created_by, created_at, started_at, resumed_at, ended_at, updated_at)
+        SELECT id, agent_id, title, description, status, outcome, blocked_reason, active_seconds,
+          agent_id, created_at, started_at, resumed_at, ended_at, updated_at
+        FROM tasks;
+        DROP TABLE tasks;
+        ALTER TABLE tasks_new RENAME TO tasks;
+        CREATE INDEX idx_tasks_agent ON tasks(agent_id, id);
+        CREATE INDEX idx_tasks_status ON tasks(status);
+        CREATE INDEX idx_tasks_lease ON tasks(lease_expires_at) WHERE lease_expires_at IS NOT NULL;
+
+        -- Who a task was assigned, handed off or released to, and by whom
+        CREATE TABLE task_assignments (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          task_id INTEGER NOT NULL,
+          kind TEXT NOT NULL,
+          from_agent TEXT DEFAULT NULL,
+          to_agent TEXT DEFAULT NULL,
+          note TEXT DEFAULT NULL,
+          assigned_by TEXT DEFAULT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE
+        );
+        CREATE INDEX idx_task_assignments_task ON task_assignments(task_id, id);
+      `);
+    }
+  }
+];
+
+/** Add a column unless the table already has it */
+function addColumnIfMissing(db, table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(c => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+/** Current schema version (0 for a new or pre-versioning database) */
+function getSchemaVersion(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  return db.prepare('SELECT COALESCE(MAX(version), 0) as version FROM schema_version').get().version;
+}
+
+/** Number of rows breaking a foreign key, per table */
+function foreignKeyViolations(db) {
+  const counts = {};
+  for (const { table } of db.pragma('foreign_key_check')) counts[table] = (counts[table] || 0) + 1;
+  return counts;
+}
+
+/**
+ * Apply pending migrations in order. Each one commits together with its schema_version row,
+ * so a failure leaves the database at the last good version. Returns the migrations applied.
+ *
+ * Foreign keys are off while migrating, as SQLite requires for rebuilding a table that other
+ * tables reference (create, copy, drop, rename). Instead, a migration that leaves more broken
+ * references than there were before is rolled back.
+ */
+function migrate(db, migrations = MIGRATIONS) {
+  const current = getSchemaVersion(db);
+  const latest = migrations.length ? migrations[migrations.length - 1].version : 0;
+  if (current > latest) {
+    throw new Error(`Database schema version ${current} is newer than this build supports (${latest})`);
+  }
+  
+  const applied = [];
+  const foreignKeys = db.pragma('foreign_keys', { simple: true });
+  db.pragma('foreign_keys = OFF');
+  try {
+    for (const migration of migrations) {
+      if (migration.version <= current) continue;
+      
+      db.transaction(() => {
+        const before = foreignKeyViolations(db);
+        migration.up(db);
+        const after = foreignKeyViolations(db);
+        const broken = Object.keys(after).find(table => after[table] > (before[table] || 0));
+        if (broken) {
+          throw new Error(`Migration ${migration.version} (${migration.name}) broke foreign keys in ${broken}`);
+        }
+        db.prepare('INSERT INTO schema_version (version, name) VALUES (?, ?)').run(migration.version, migration.name);
+      })();
+      applied.push(migration);
+      console.log(`✅ Applied migration ${migration.version} (${migration.name})`);
+    }
+  } finally {
+    db.pragma(`foreign_keys = ${foreignKeys ? 'ON' : 'OFF'}`);
+  }
+  return applied;
+}
+
+module.exports = { MIGRATIONS, migrate, getSchemaVersion };
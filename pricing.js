@@ -0,0 +1,24 @@
+/** Token pricing for Puppy Station - per-model USD rates from the config price table */
+const { config } = require('./config');
+
+/** Get the price entry for a model, falling back to the '*' entry */
+function getModelPrice(model) {
+  if (typeof model === 'string' && Object.hasOwn(config.pricing, model)) return config.pricing[model];
+  return Object.hasOwn(config.pricing, '*') ? config.pricing['*'] : null;
+}
+
+/** Calculate the USD cost of a call from its prompt and completion token counts */
+function calculateCost(model, promptTokens, completionTokens) {
+  const price = getModelPrice(model);
+  if (!price) return 0;
+  
+  const cost = (promptTokens * (price.prompt || 0) + completionTokens * (price.completion || 0)) / 1e6;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+/** Get the full price table as configured */
+function getPriceTable() {
+  return config.pricing;
+}
+
+module.exports = { getModelPrice, calculateCost, getPriceTable };
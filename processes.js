@@ -0,0 +1,232 @@
+/** Process monitor for Puppy Station - links agents to OS processes and samples their resources */
+const fs = require('fs');
+const path = require('path');
+const si = require('systeminformation');
+const { config } = require('./config');
+const { expandHome } = require('./watcher');
+const {
+  getAllAgents,
+  getAgentProcessLinks,
+  endAgentProcessLinks,
+  recordProcessSample,
+  pruneProcessSamples
+} = require('./db');
+
+// Samples older than historyDays are pruned at most this often
+const PRUNE_INTERVAL_MS = 3600000;
+
+let timer = null;
+let lastPrune = 0;
+// Latest state per linked agent: status is 'running', or 'missing' once every process is gone
+const states = new Map();
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+/** Full command line of a process as listed by systeminformation */
+function commandLine(proc) {
+  return proc.params ? `${proc.command} ${proc.params}` : proc.command;
+}
+
+/** Thread count from /proc (null where /proc is not available) */
+function readThreads(pid) {
+  try {
+    const match = /^Threads:\s+(\d+)/m.exec(fs.readFileSync(`/proc/${pid}/status`, 'utf8'));
+    return match ? Number(match[1]) : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/** Working directory from /proc (null if unreadable, e.g. another user's process) */
+function readCwd(pid) {
+  try {
+    return fs.readlinkSync(`/proc/${pid}/cwd`);
+  } catch (err) {
+    return null;
+  }
+}
+
+/** Compile a configured rule: `command` is a regular expression, `cwd` a directory prefix */
+function compileRule(rule) {
+  return {
+    agent: rule.agent,
+    command: rule.command ? new RegExp(rule.command) : null,
+    cwd: rule.cwd ? path.resolve(expandHome(rule.cwd)) : null
+  };
+}
+
+/** Whether a process matches a compiled rule; a rule with neither condition matches nothing */
+function matchesRule(rule, proc) {
+  if (!rule.command && !rule.cwd) return false;
+  if (rule.command && !rule.command.test(commandLine(proc))) return false;
+  if (rule.cwd) {
+    // Reading the cwd costs a syscall, so only do it once per process and only when needed
+    if (proc.cwd === undefined) proc.cwd = readCwd(proc.pid);
+    if (!proc.cwd || (proc.cwd !== rule.cwd && !proc.cwd.startsWith(rule.cwd + path.sep))) return false;
+  }
+  return true;
+}
+
+/** Figures for one process */
+function describeProcess(proc, source, now) {
+  const started = new Date(proc.started.replace(' ', 'T')).getTime();
+  return {
+    pid: proc.pid,
+    name: proc.name,
+    command: commandLine(proc).slice(0, 200),
+    source,
+    cpu: round(proc.cpu || 0),
+    rss: round((proc.memRss || 0) / 1024),
+    threads: readThreads(proc.pid),
+    uptime: isNaN(started) ? null : Math.max(0, Math.round((now - started) / 1000))
+  };
+}
+
+/** Look up a running process by PID, or null */
+async function findProcess(pid) {
+  const { list } = await si.processes();
+  return list.find(proc => proc.pid === pid) || null;
+}
+
+/**
+ * Sample every linked process once. Reported PIDs whose process is gone (or whose PID now
+ * belongs to a different process) are ended. Returns one update per linked agent with the
+ * processes that disappeared since the last sample (`lost`) and whether a missing agent's
+ * processes came back (`found`).
+ */
+async function sampleProcesses() {
+  const { list } = await si.processes();
+  const now = Date.now();
+  const byPid = new Map(list.map(proc => [proc.pid, proc]));
+  const known = new Set(getAllAgents().map(agent => agent.id));
+  const matched = new Map();
+  const ended = new Map();
+  
+  const add = (agentId, proc, source) => {
+    if (!matched.has(agentId)) matched.set(agentId, new Map());
+    const procs = matched.get(agentId);
+    if (!procs.has(proc.pid)) procs.set(proc.pid, describeProcess(proc, source, now));
+  };
+  
+  const gone = [];
+  for (const link of getAgentProcessLinks()) {
+    const proc = byPid.get(link.pid);
+    if (proc && (!link.started || proc.started === link.started)) {
+      add(link.agent_id, proc, 'reported');
+    } else {
+      gone.push(link.id);
+      if (!ended.has(link.agent_id)) ended.set(link.agent_id, []);
+      ended.get(link.agent_id).push({ pid: link.pid, name: null });
+    }
+  }
+  if (gone.length) endAgentProcessLinks(gone);
+  
+  const rules = config.processes.rules.map(compileRule).filter(rule => known.has(rule.agent));
+  if (rules.length) {
+    for (const proc of list) {
+      if (proc.pid === process.pid) continue;
+      for (const rule of rules) {
+        if (matchesRule(rule, proc)) add(rule.agent, proc, 'rule');
+      }
+    }
+  }
+  
+  const updates = [];
+  const agentIds = new Set([...states.keys(), ...matched.keys(), ...ended.keys()]);
+  for (const agentId of agentIds) {
+    // Archived agents are no longer shown, so stop tracking them
+    if (!known.has(agentId)) {
+      states.delete(agentId);
+      continue;
+    }
+    
+    const previous = states.get(agentId);
+    const processes = [...(matched.get(agentId) || new Map()).values()];
+    const current = new Set(processes.map(proc => proc.pid));
+    const lost = previous
+      ? previous.processes.filter(proc => !current.has(proc.pid))
+      : (ended.get(agentId) || []);
+    
+    const state = {
+      agentId,
+      status: processes.length ? 'running' : 'missing',
+      processes,
+      cpu: round(processes.reduce((sum, proc) => sum + proc.cpu, 0)),
+      rss: round(processes.reduce((sum, proc) => sum + proc.rss, 0)),
+      threads: processes.some(proc => proc.threads !== null)
+        ? processes.reduce((sum, proc) => sum + (proc.threads || 0), 0) : null,
+      uptime: processes.length ? Math.max(...processes.map(proc => proc.uptime || 0)) : null,
+      missingSince: processes.length ? null : (previous && previous.missingSince) || new Date(now).toISOString(),
+      sampledAt: new Date(now).toISOString()
+    };
+    states.set(agentId, state);
+    updates.push({ state, lost, found: !!previous && previous.status === 'missing' && state.status === 'running' });
+  }
+  return updates;
+}
+
+/** Store an update's figures in the history and prune old samples now and then */
+function recordUpdate({ state }) {
+  const ts = Math.floor(new Date(state.sampledAt).getTime() / 1000);
+  recordProcessSample(state.agentId, {
+    ts,
+    processes: state.processes.length,
+    cpu: state.cpu,
+    rss: state.rss,
+    threads: state.threads,
+    uptime: state.uptime
+  });
+  
+  if (Date.now() - lastPrune >= PRUNE_INTERVAL_MS) {
+    lastPrune = Date.now();
+    pruneProcessSamples(ts - config.processes.historyDays * 86400);
+  }
+}
+
+/** Latest state of one agent's processes, or null if it has none linked */
+function getProcessState(agentId) {
+  return states.get(agentId) || null;
+}
+
+/** Latest states of all linked agents */
+function getProcessStates() {
+  return [...states.values()];
+}
+
+/** Forget an agent's processes (after its links are removed), so it is no longer flagged */
+function clearProcessState(agentId) {
+  states.delete(agentId);
+}
+
+/** Sample every `sampleSeconds`; `onUpdate` receives each agent's update after it is stored */
+function startProcessMonitor(onUpdate) {
+  timer = setInterval(async () => {
+    try {
+      for (const update of await sampleProcesses()) {
+        recordUpdate(update);
+        onUpdate(update);
+      }
+    } catch (err) {
+      console.error('Process monitor error:', err);
+    }
+  }, config.processes.sampleSeconds * 1000);
+  
+  console.log(`✅ Process monitor started (every ${config.processes.sampleSeconds}s, ${config.processes.rules.length} rules)`);
+}
+
+function stopProcessMonitor() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  compileRule,
+  matchesRule,
+  findProcess,
+  sampleProcesses,
+  getProcessState,
+  getProcessStates,
+  clearProcessState,
+  startProcessMonitor,
+  stopProcessMonitor
+};
@@ -1,8 +1,53 @@
 // Live Dashboard Data System for Puppy Station
 let agents = [];
 let reviews = [];
+// Latest process figures per agent id, for agents with linked processes
+let agentProcesses = {};
+// Recent tasks per agent id, newest first
+let agentTasks = {};
+// Open tasks of the whole fleet, loaded while the board is shown
+let boardTasks = [];
+// Agent detail view (#/agents/<id>): its timeline page, rate chart, tasks and reviews
+let agentDetail = { agentId: null, range: '24h', filter: { type: '', q: '' }, activities: [], cursor: null, rate: null, tasks: [], reviews: [] };
+// Firing alerts shown in the banner
+let alerts = [];
 let activities = [];
 let pollInterval = null;
+let socket = null;
+let reconnectTimer = null;
+let reconnectAttempts = 0;
+let lastActivityId = 0;
+let usageRefreshTimer = null;
+let activityFilter = { agent: '', type: '', q: '' };
+let activityCursor = null;
+let olderActivitiesLoaded = false;
+let searchTimer = null;
+// Open answer form or comment thread on the review card, plus unsent text
+let reviewPanel = { id: null, kind: null };
+let reviewDraft = '';
+const reviewComments = {};
+// Who we are to the server; the socket and admin controls need an admin session
+let diffSnapshotId = null;
+let sparkSamples = [];
+let historyView = { metric: 'cpu', range: '1h', since: null, until: null };
+let session = { authEnabled: true, authenticated: false, role: null };
+// Statuses, activity types and review priorities, from /api/registry
+let registry = { statuses: {}, activityTypes: {}, defaultActivityType: { icon: '📌', color: '' }, priorities: {} };
+
+// Reconnect backoff: 1s doubling up to 30s, with jitter so tabs don't reconnect in lockstep
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+// Activities kept client-side while following the live feed
+const MAX_ACTIVITIES = 50;
+// Series shown as sparklines and in the history chart; `max` fixes the scale for percentages
+const METRIC_SERIES = [
+  { key: 'cpu', label: 'CPU', max: 100, peak: 'cpu_max', format: v => Math.round(v) + '%' },
+  { key: 'mem', label: 'Memory', max: 100, peak: 'mem_max', format: v => Math.round(v) + '%' },
+  { key: 'load', label: 'Load', format: v => v.toFixed(2) },
+  { key: 'disk', label: 'Disk', max: 100, format: v => Math.round(v) + '%' },
+  { key: 'net', label: 'Network', value: s => (s.net_rx || 0) + (s.net_tx || 0), format: v => formatRate(v) }
+];
+const SPARKLINE_SECONDS = 3600;
 
 // Init
 async function init() {
@@ -20,21 +65,500 @@ async function init() {
     localStorage.setItem('darkMode', !isDark);
   });
   
+  await loadRegistry();
+  setupLogin();
+  setupActivityFilters();
+  setupReviewActions();
+  setupAgentActions();
+  setupAlertActions();
+  setupDiffView();
+  setupBoard();
+  setupAgentDetail();
+  setupHistoryChart();
+  
   // Initial data load
+  await refreshSession();
   await refreshAllData();
   
-  // Start live polling every 5 seconds
-  startLivePolling();
+  // Live updates come over the WebSocket; polling only runs while it is down
+  if (session.authenticated) {
+    connectSocket();
+  } else {
+    startLivePolling();
+    setConnectionState('polling');
+  }
+  
+  // Token usage rollups and the metrics history change slowly, refresh every minute
+  refreshMetricsHistory();
+  setInterval(refreshUsage, 60000);
+  setInterval(refreshMetricsHistory, 60000);
+}
+
+/** Fetch the vocabularies the server validates against; without them types fall back to a plain pin */
+async function loadRegistry() {
+  try {
+    const res = await fetch('/api/registry');
+    if (res.ok) registry = await res.json();
+  } catch (err) {
+    console.error('Failed to load the registry:', err);
+  }
+}
+
+/** Open the WebSocket, resuming after the last activity we have seen */
+function connectSocket() {
+  clearTimeout(reconnectTimer);
+  setConnectionState('connecting');
   
-  // Refresh system metrics every 5 seconds
-  setInterval(async () => {
+  const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+  try {
+    socket = new WebSocket(protocol + '//' + location.host + '/?since=' + lastActivityId);
+  } catch (err) {
+    console.error('WebSocket unavailable:', err);
+    socket = null;
+    startLivePolling();
+    scheduleReconnect();
+    return;
+  }
+  
+  socket.addEventListener('open', () => {
+    reconnectAttempts = 0;
+    stopLivePolling();
+    setConnectionState('live');
+    console.log('🔌 WebSocket connected');
+  });
+  
+  socket.addEventListener('message', (event) => {
     try {
-      const res = await fetch('/api/system');
-      updateSystem(await res.json());
-    } catch (e) {
-      console.error('System metrics error:', e);
+      handleSocketMessage(JSON.parse(event.data));
+    } catch (err) {
+      console.error('❌ Bad socket message:', err);
     }
-  }, 5000);
+  });
+  
+  socket.addEventListener('close', () => {
+    socket = null;
+    startLivePolling();
+    // Without a session the upgrade is refused, so keep polling until someone logs in
+    if (session.authenticated) scheduleReconnect();
+    else setConnectionState('polling');
+  });
+}
+
+/** Fetch the current session and update the login button */
+async function refreshSession() {
+  try {
+    const res = await fetch('/api/auth/session');
+    session = await res.json();
+  } catch (err) {
+    console.error('Session check failed:', err);
+  }
+  document.querySelector('#loginToggle .theme-icon').textContent = isAdmin() ? '🔓' : '🔒';
+  document.getElementById('loginToggle').title = isAdmin() ? 'Log out' : 'Admin login';
+}
+
+function isAdmin() {
+  return session.role === 'admin';
+}
+
+/** Wire up the admin login form and log out button */
+function setupLogin() {
+  const form = document.getElementById('loginForm');
+  
+  document.getElementById('loginToggle').addEventListener('click', async () => {
+    if (isAdmin()) {
+      await fetch('/api/auth/logout', { method: 'POST' });
+      await refreshSession();
+      if (socket) socket.close();
+      renderAgents();
+      renderReviews();
+      renderAlerts();
+      if (isBoardOpen()) renderBoard();
+      return;
+    }
+    form.hidden = !form.hidden;
+    if (!form.hidden) form.elements.password.focus();
+  });
+  
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const res = await fetch('/api/auth/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ password: form.elements.password.value })
+    });
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      alert('Login failed: ' + (data.error || res.statusText));
+      return;
+    }
+    form.reset();
+    form.hidden = true;
+    await refreshSession();
+    renderAgents();
+    renderReviews();
+    renderAlerts();
+    if (isBoardOpen()) renderBoard();
+    // The socket is open to admins only, so connect now
+    reconnectAttempts = 0;
+    connectSocket();
+  });
+}
+
+/** Admin controls on agent cards; clicking elsewhere on a card opens the agent's detail view */
+function setupAgentActions() {
+  document.getElementById('agentsGrid').addEventListener('click', async (e) => {
+    const button = e.target.closest('button[data-action="issue-key"]');
+    if (!button) {
+      const card = e.target.closest('.agent-card[data-agent-id]');
+      if (card) location.hash = '#/agents/' + card.dataset.agentId;
+      return;
+    }
+    const agentId = button.dataset.agentId;
+    if (!confirm('Issue a new API key for ' + agentId + '? Its current key stops working.')) return;
+    
+    const res = await fetch('/api/agents/' + encodeURIComponent(agentId) + '/key', { method: 'POST' });
+    const data = await res.json();
+    if (!res.ok) {
+      alert('Could not issue key: ' + (data.error || res.statusText));
+      return;
+    }
+    prompt('API key for ' + agentId + ' (shown only once):', data.apiKey);
+  });
+}
+
+/** Silence buttons on the alert banner (admin) */
+function setupAlertActions() {
+  document.getElementById('alertBanner').addEventListener('click', async (e) => {
+    const button = e.target.closest('button[data-action="silence-alert"]');
+    if (!button) return;
+    
+    const res = await fetch('/api/alerts/silences', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ rule: button.dataset.rule, subject: button.dataset.subject, minutes: 60 })
+    });
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      alert('Could not silence alert: ' + (data.error || res.statusText));
+      return;
+    }
+    // Without the socket there is no push, so fetch the new state
+    if (!socket || socket.readyState !== WebSocket.OPEN) refreshAlerts();
+  });
+}
+
+/** Retry the socket with exponential backoff */
+function scheduleReconnect() {
+  const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** reconnectAttempts);
+  const jittered = Math.round(delay * (0.5 + Math.random() / 2));
+  reconnectAttempts++;
+  setConnectionState('polling');
+  updateDebugInfo('Socket disconnected, polling; reconnecting in ' + Math.round(jittered / 1000) + 's');
+  reconnectTimer = setTimeout(connectSocket, jittered);
+}
+
+/** Apply a pushed server event to local state */
+function handleSocketMessage(msg) {
+  switch (msg.type) {
+    case 'init':
+      agents = msg.agents;
+      reviews = msg.reviews;
+      setAgentProcesses(msg.processes || []);
+      setAgentTasks(msg.tasks || []);
+      alerts = msg.alerts || [];
+      renderAlerts();
+      if (msg.resumed) {
+        addActivities(msg.activities);
+        // Missed more than the server will replay, start over from the latest page
+        if (msg.truncated) refreshActivities();
+      } else if (hasActivityFilter()) {
+        // The snapshot is unfiltered, so fetch the filtered page instead
+        trackLastActivity(msg.activities);
+        refreshActivities();
+      } else {
+        activities = msg.activities;
+        activityCursor = msg.nextCursor;
+        olderActivitiesLoaded = false;
+        trackLastActivity(activities);
+      }
+      renderAgents();
+      renderReviews();
+      renderActivities();
+      break;
+    case 'activity':
+      addActivities([msg.activity]);
+      patchAgent(msg.activity.agent_id, { updated_at: msg.activity.timestamp });
+      break;
+    case 'activities':
+      // A batch for one agent, oldest first; backdated items can be older than the feed's newest
+      addActivities(msg.activities);
+      patchAgent(msg.agentId, { updated_at: msg.activities.map(act => act.timestamp).sort().pop() });
+      break;
+    case 'task_update':
+      if (msg.record) {
+        addAgentTask(msg.record);
+        updateBoardTask(msg.record);
+      }
+      if (msg.previous) {
+        patchAgent(msg.previous.agentId, { current_task: msg.previous.task, current_task_id: msg.previous.currentTaskId });
+      }
+      patchAgent(msg.agentId, {
+        current_task: msg.task,
+        current_task_id: msg.currentTaskId,
+        ...(msg.summary ? { summary: msg.summary } : {}),
+        updated_at: msg.timestamp
+      });
+      break;
+    case 'status_update':
+      patchAgent(msg.agentId, { status: msg.status, updated_at: msg.timestamp });
+      break;
+    case 'heartbeat':
+      patchAgent(msg.agentId, { last_seen_at: msg.lastSeenAt });
+      break;
+    case 'process_update':
+      if (msg.processes.status === 'unlinked') delete agentProcesses[msg.agentId];
+      else agentProcesses[msg.agentId] = msg.processes;
+      renderAgents();
+      break;
+    case 'agent_created':
+    case 'agent_updated':
+      agents = agents.filter(a => a.id !== msg.agent.id).concat(msg.agent);
+      agents.sort((a, b) => a.name.localeCompare(b.name));
+      renderAgents();
+      break;
+    case 'agent_removed':
+      agents = agents.filter(a => a.id !== msg.agentId);
+      renderAgents();
+      break;
+    case 'review':
+      reviews = reviews.filter(r => r.id !== msg.review.id).concat(msg.review);
+      sortReviews();
+      renderReviews();
+      break;
+    case 'review-resolved':
+      reviews = reviews.filter(r => String(r.id) !== String(msg.reviewId));
+      renderReviews();
+      break;
+    case 'review-updated':
+      // Only pending reviews are listed; answered, dismissed and snoozed ones drop off
+      reviews = reviews.filter(r => r.id !== msg.review.id);
+      if (msg.review.status === 'pending') reviews.push(msg.review);
+      sortReviews();
+      renderReviews();
+      break;
+    case 'review-comment': {
+      if (reviewComments[msg.reviewId]) reviewComments[msg.reviewId].push(msg.comment);
+      const commented = reviews.find(r => r.id === msg.reviewId);
+      if (commented) commented.comment_count = (commented.comment_count || 0) + 1;
+      renderReviews();
+      break;
+    }
+    case 'alerts':
+      alerts = msg.alerts;
+      renderAlerts();
+      break;
+    case 'system':
+      updateSystem(msg.data);
+      break;
+    case 'usage':
+      updateTokens(msg.tokens, msg.cost);
+      // Coalesce bursts of usage reports into one rollup fetch
+      clearTimeout(usageRefreshTimer);
+      usageRefreshTimer = setTimeout(refreshUsage, 2000);
+      break;
+  }
+  
+  updateAgentDetail(msg);
+  updateDebugInfo(`Live: ${agents.length} agents, ${activities.length} activities, ${reviews.length} reviews | ${new Date().toLocaleTimeString()}`);
+}
+
+/** Merge new activities into the list, newest first, without duplicates */
+function addActivities(items) {
+  if (!items || items.length === 0) return;
+  const seen = new Set(activities.map(a => a.id));
+  const fresh = items.filter(a => !seen.has(a.id));
+  trackLastActivity(fresh);
+  
+  activities = fresh.filter(matchesActivityFilter).concat(activities)
+    .sort((a, b) => b.id - a.id);
+  // Keep the live list bounded, unless the user has paged back through history
+  if (!olderActivitiesLoaded) activities = activities.slice(0, MAX_ACTIVITIES);
+  renderActivities();
+}
+
+/** Wire up the activity filter bar and "load older" button */
+function setupActivityFilters() {
+  const typeSelect = document.getElementById('activityTypeFilter');
+  addActivityTypeOptions(typeSelect);
+  
+  document.getElementById('activityAgentFilter').addEventListener('change', (e) => {
+    activityFilter.agent = e.target.value;
+    refreshActivities();
+  });
+  typeSelect.addEventListener('change', (e) => {
+    activityFilter.type = e.target.value;
+    refreshActivities();
+  });
+  document.getElementById('activitySearch').addEventListener('input', (e) => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => {
+      activityFilter.q = e.target.value.trim();
+      refreshActivities();
+    }, 300);
+  });
+  document.getElementById('loadOlder').addEventListener('click', loadOlderActivities);
+}
+
+/** Keep the agent filter options in sync with the fleet */
+function renderActivityAgentFilter() {
+  const select = document.getElementById('activityAgentFilter');
+  if (!select) return;
+  
+  let html = '<option value="">All agents</option>';
+  for (const agent of agents) {
+    html += '<option value="' + escapeHtml(agent.id) + '">' + agentEmoji(agent.emoji) + ' ' + escapeHtml(agent.name) + '</option>';
+  }
+  select.innerHTML = html;
+  select.value = agents.some(a => a.id === activityFilter.agent) ? activityFilter.agent : '';
+}
+
+function hasActivityFilter() {
+  return !!(activityFilter.agent || activityFilter.type || activityFilter.q);
+}
+
+/** Client-side check for pushed activities; the server does the real filtering */
+function matchesActivityFilter(act) {
+  if (activityFilter.agent && act.agent_id !== activityFilter.agent) return false;
+  if (activityFilter.type && act.type !== activityFilter.type) return false;
+  if (activityFilter.q) {
+    const text = (act.description + ' ' + (act.metadata_json || '')).toLowerCase();
+    return activityFilter.q.toLowerCase().split(/\s+/).every(word => text.includes(word));
+  }
+  return true;
+}
+
+/** Build the /api/activities URL for the current filters */
+function activitiesUrl(cursor) {
+  const params = new URLSearchParams({ limit: 20 });
+  if (activityFilter.agent) params.set('agent', activityFilter.agent);
+  if (activityFilter.type) params.set('type', activityFilter.type);
+  if (activityFilter.q) params.set('q', activityFilter.q);
+  if (cursor) params.set('cursor', cursor);
+  return '/api/activities?' + params;
+}
+
+/** Fetch the next page of older activities */
+async function loadOlderActivities() {
+  if (!activityCursor) return;
+  try {
+    const res = await fetch(activitiesUrl(activityCursor));
+    const older = await res.json();
+    activityCursor = res.headers.get('X-Next-Cursor');
+    olderActivitiesLoaded = true;
+    const seen = new Set(activities.map(a => a.id));
+    activities = activities.concat(older.filter(a => !seen.has(a.id)));
+    renderActivities();
+  } catch (err) {
+    console.error('❌ Error loading older activities:', err);
+  }
+}
+
+/** Remember the highest activity ID seen so a reconnect can resume from it */
+function trackLastActivity(items) {
+  for (const act of items) {
+    if (act.id > lastActivityId) lastActivityId = act.id;
+  }
+}
+
+/** Update fields on one agent and re-render the grid */
+function patchAgent(agentId, fields) {
+  const agent = agents.find(a => a.id === agentId);
+  if (!agent) return;
+  Object.assign(agent, fields);
+  renderAgents();
+}
+
+/** Rank of a review priority in the registry; unknown priorities sort last */
+function priorityRank(priority) {
+  return Object.hasOwn(registry.priorities, priority) ? registry.priorities[priority].rank : Infinity;
+}
+
+/** Order reviews by priority, then newest first */
+function sortReviews() {
+  reviews.sort((a, b) =>
+    priorityRank(a.priority) - priorityRank(b.priority) ||
+    parseTimestamp(b.created_at) - parseTimestamp(a.created_at)
+  );
+}
+
+/** Show whether updates are pushed, polled or reconnecting */
+function setConnectionState(state) {
+  const dot = document.getElementById('connectionStatus');
+  const label = document.getElementById('connectionLabel');
+  if (!dot || !label) return;
+  dot.className = 'connection-' + state;
+  label.textContent = state === 'live' ? 'Live' : state === 'polling' ? 'Polling' : 'Connecting';
+}
+
+/** Fetch token usage for the performance card */
+async function refreshUsage() {
+  try {
+    const now = new Date();
+    const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    const [usageRes, rollupRes] = await Promise.all([
+      fetch('/api/usage?since=' + encodeURIComponent(today.toISOString())),
+      fetch('/api/usage/rollup?bucket=hour')
+    ]);
+    renderUsage(await usageRes.json(), await rollupRes.json());
+  } catch (err) {
+    console.error('Usage fetch error:', err);
+  }
+}
+
+/** Render hourly token bars and the per-agent breakdown */
+function renderUsage(usage, hourly) {
+  const chart = document.getElementById('usageChart');
+  const list = document.getElementById('usageAgents');
+  if (!chart || !list) return;
+  
+  // One bar per hour for the last 24 hours, including empty hours
+  const byPeriod = {};
+  for (const row of hourly) byPeriod[row.period] = row.total_tokens;
+  const bars = [];
+  for (let i = 23; i >= 0; i--) {
+    const hour = new Date(Date.now() - i * 3600000);
+    const period = hour.toISOString().slice(0, 13).replace('T', ' ') + ':00:00';
+    bars.push({ period, tokens: byPeriod[period] || 0 });
+  }
+  const max = Math.max(1, ...bars.map(b => b.tokens));
+  
+  let html = '';
+  for (const bar of bars) {
+    const height = Math.round(bar.tokens / max * 100);
+    html += '<span class="usage-bar" style="height:' + Math.max(height, 2) + '%" title="' +
+      bar.period.slice(11, 16) + ' UTC · ' + bar.tokens.toLocaleString() + ' tokens"></span>';
+  }
+  chart.innerHTML = html;
+  
+  if (!usage.agents || usage.agents.length === 0) {
+    list.innerHTML = '<div class="usage-empty">No tokens reported today</div>';
+    return;
+  }
+  
+  html = '';
+  for (const row of usage.agents) {
+    const agent = agents.find(a => a.id === row.agent_id);
+    html += '<div class="usage-agent">';
+    html += '<span>' + (agent ? agentEmoji(agent.emoji) + ' ' + escapeHtml(agent.name) : escapeHtml(row.agent_id)) + '</span>';
+    html += '<span>' + row.total_tokens.toLocaleString() + ' · ' + formatCost(row.cost_usd) + '</span>';
+    html += '</div>';
+  }
+  list.innerHTML = html;
+}
+
+/** Format a USD amount, keeping precision for fractions of a cent */
+function formatCost(usd) {
+  return '$' + (usd > 0 && usd < 0.01 ? usd.toFixed(4) : (usd || 0).toFixed(2));
 }
 
 /** Fetch all data from the server */
@@ -44,13 +568,18 @@ async function refreshAllData() {
     const agentsRes = await fetch('/api/agents');
     agents = await agentsRes.json();
     console.log('📊 Fetched', agents.length, 'agents');
+    const processesRes = await fetch('/api/processes');
+    setAgentProcesses(await processesRes.json());
+    const tasksRes = await fetch('/api/tasks?perAgent=1&limit=' + TASK_HISTORY_LIMIT);
+    setAgentTasks(await tasksRes.json());
     renderAgents();
+    // The board and detail view show agent names, so draw them again now they are loaded
+    if (isBoardOpen()) renderBoard();
+    if (agentDetail.agentId) renderDetailOverview();
 
     // Fetch all activities (live from DB)
-    const activitiesRes = await fetch('/api/activities?limit=20');
-    activities = await activitiesRes.json();
+    await refreshActivities();
     console.log('📋 Fetched', activities.length, 'activities');
-    renderActivities();
 
     // Fetch reviews
     const reviewsRes = await fetch('/api/reviews');
@@ -58,11 +587,15 @@ async function refreshAllData() {
     console.log('👁️ Fetched', reviews.length, 'pending reviews');
     renderReviews();
     
+    await refreshAlerts();
+    
     // Fetch system
     const sysRes = await fetch('/api/system');
     const sysData = await sysRes.json();
     updateSystem(sysData);
     
+    await refreshUsage();
+    
     updateDebugInfo(`Live data: ${agents.length} agents, ${activities.length} activities, ${reviews.length} reviews`);
   } catch (err) {
     console.error('❌ Error refreshing data:', err);
@@ -70,32 +603,42 @@ async function refreshAllData() {
   }
 }
 
-/** Start live polling for real-time updates */
+/** Refetch the latest page of activities for the current filters */
+async function refreshActivities() {
+  const res = await fetch(activitiesUrl());
+  activities = await res.json();
+  activityCursor = res.headers.get('X-Next-Cursor');
+  olderActivitiesLoaded = false;
+  trackLastActivity(activities);
+  renderActivities();
+}
+
+/** Poll the API while the WebSocket is unavailable */
 function startLivePolling() {
+  if (pollInterval) return;
+  
   // Poll every 5 seconds
   pollInterval = setInterval(async () => {
     try {
       // Poll for new activities
-      const activitiesRes = await fetch('/api/activities?limit=20');
-      const newActivities = await activitiesRes.json();
-      
-      // Only update if data changed
-      if (JSON.stringify(newActivities) !== JSON.stringify(activities)) {
-        activities = newActivities;
-        renderActivities();
-        console.log('🔄 Activities updated:', activities.length);
-      }
+      const activitiesRes = await fetch(activitiesUrl());
+      addActivities(await activitiesRes.json());
       
       // Poll for agent updates (tasks, status)
       const agentsRes = await fetch('/api/agents');
       const newAgents = await agentsRes.json();
+      const processesRes = await fetch('/api/processes');
+      const processesBefore = JSON.stringify(agentProcesses);
+      setAgentProcesses(await processesRes.json());
+      const tasksRes = await fetch('/api/tasks?perAgent=1&limit=' + TASK_HISTORY_LIMIT);
+      const tasksBefore = JSON.stringify(agentTasks);
+      setAgentTasks(await tasksRes.json());
       
       // Check if any agent data changed
-      const hasChanges = JSON.stringify(newAgents) !== JSON.stringify(agents);
-      if (hasChanges) {
+      if (JSON.stringify(newAgents) !== JSON.stringify(agents) || JSON.stringify(agentProcesses) !== processesBefore ||
+          JSON.stringify(agentTasks) !== tasksBefore) {
         agents = newAgents;
         renderAgents();
-        console.log('🔄 Agents updated');
       }
       
       // Poll for reviews
@@ -105,11 +648,18 @@ function startLivePolling() {
       if (JSON.stringify(newReviews) !== JSON.stringify(reviews)) {
         reviews = newReviews;
         renderReviews();
-        console.log('🔄 Reviews updated:', reviews.length);
       }
       
+      await refreshAlerts();
+      if (isBoardOpen()) await refreshBoard();
+      if (agentDetail.agentId) await refreshAgentDetail();
+      
+      // System metrics are pushed over the socket, so poll them here too
+      const sysRes = await fetch('/api/system');
+      updateSystem(await sysRes.json());
+      
       // Update debug timestamp
-      updateDebugInfo(`Last sync: ${new Date().toLocaleTimeString()} | ${agents.length} agents, ${activities.length} activities, ${reviews.length} reviews`);
+      updateDebugInfo(`Last poll: ${new Date().toLocaleTimeString()} | ${agents.length} agents, ${activities.length} activities, ${reviews.length} reviews`);
       
     } catch (err) {
       console.error('❌ Polling error:', err);
@@ -120,6 +670,38 @@ function startLivePolling() {
   console.log('🔄 Live polling started (5s interval)');
 }
 
+/** Fetch the firing alerts */
+async function refreshAlerts() {
+  const res = await fetch('/api/alerts?status=firing&limit=500');
+  alerts = await res.json();
+  renderAlerts();
+}
+
+/** Replace the process figures with a list of process states from the server */
+function setAgentProcesses(states) {
+  agentProcesses = {};
+  for (const state of states) agentProcesses[state.agentId] = state;
+}
+
+// Tasks kept per agent for the history on its card
+const TASK_HISTORY_LIMIT = 5;
+
+/** Replace the task histories with a list of tasks from the server (newest first per agent) */
+function setAgentTasks(tasks) {
+  agentTasks = {};
+  for (const task of tasks) (agentTasks[task.agent_id] = agentTasks[task.agent_id] || []).push(task);
+}
+
+/** Add or replace one task in its agent's history (and drop it from an agent it left) */
+function addAgentTask(task) {
+  for (const agentId of Object.keys(agentTasks)) {
+    agentTasks[agentId] = agentTasks[agentId].filter(t => t.id !== task.id);
+  }
+  if (!task.agent_id) return;
+  const list = (agentTasks[task.agent_id] || []).concat(task);
+  agentTasks[task.agent_id] = list.sort((a, b) => b.id - a.id).slice(0, TASK_HISTORY_LIMIT);
+}
+
 /** Stop live polling */
 function stopLivePolling() {
   if (pollInterval) {
@@ -132,6 +714,8 @@ function stopLivePolling() {
 function renderAgents() {
   const grid = document.getElementById('agentsGrid');
   
+  renderActivityAgentFilter();
+  
   if (!agents || agents.length === 0) {
     grid.innerHTML = '<div class="empty-state">No agents found</div>';
     return;
@@ -141,40 +725,129 @@ function renderAgents() {
   for (const agent of agents) {
     const modelName = agent.model ? (agent.model.split('/')[1] || agent.model) : 'Unknown';
     const currentTask = agent.current_task || 'No current task';
-    const statusClass = agent.status === 'active' ? 'status-active' : 
-                       agent.status === 'idle' ? 'status-idle' : 'status-busy';
+    const status = Object.hasOwn(registry.statuses, agent.status) ? registry.statuses[agent.status] : null;
+    const statusClass = status ? 'status-' + agent.status : 'status-unknown';
     
-    html += '<article class="agent-card ' + agent.id + '">';
+    const procs = agentProcesses[agent.id];
+    html += '<article class="agent-card ' + agent.id + (procs && procs.status === 'missing' ? ' process-missing' : '') +
+      '" data-agent-id="' + escapeHtml(agent.id) + '" title="Open ' + escapeHtml(agent.name) + '">';
     html += '<div class="agent-header">';
-    html += '<span class="agent-avatar">' + (agent.emoji || '🐕') + '</span>';
-    html += '<div class="agent-info"><h3>' + agent.name + '</h3></div>';
-    html += '<span class="agent-status ' + statusClass + '"><span class="status-dot"></span>' + agent.status + '</span>';
+    html += '<span class="agent-avatar">' + agentEmoji(agent.emoji) + '</span>';
+    html += '<div class="agent-info"><h3>' + escapeHtml(agent.name) + '</h3></div>';
+    html += '<span class="agent-status ' + statusClass + '"' + (status ? ' style="--status-color: ' + escapeHtml(status.color) + '"' : '') +
+      ' title="' + escapeHtml(status ? status.label : 'Unknown status') + '"><span class="status-dot"></span>' + escapeHtml(agent.status) + '</span>';
     html += '</div>';
     
     html += '<div class="agent-role-section">';
     html += '<div class="agent-role-label">Current Role</div>';
-    html += '<div class="agent-role">' + agent.role + '</div>';
+    html += '<div class="agent-role">' + escapeHtml(agent.role) + '</div>';
     html += '</div>';
     
-    // NEW: Current Task section
+    const tasks = agentTasks[agent.id] || [];
+    const current = tasks.find(t => t.id === agent.current_task_id);
     html += '<div class="agent-task-section">';
-    html += '<div class="agent-task-label">🎯 Current Task</div>';
+    html += '<div class="agent-task-label">🎯 Current Task';
+    if (current) html += '<span class="agent-task-time">' + TASK_STATUS_ICONS[current.status] + ' ' + formatUptime(taskSeconds(current)) + '</span>';
+    html += '</div>';
     html += '<div class="agent-task-content">' + escapeHtml(currentTask) + '</div>';
+    if (current && current.blocked_reason) {
+      html += '<div class="agent-task-note">' + escapeHtml(current.blocked_reason) + '</div>';
+    }
+    html += renderTaskHistory(tasks.filter(t => t !== current));
     html += '</div>';
     
     html += '<div class="agent-work-section">';
     html += '<div class="agent-work-label">💼 Summary</div>';
-    html += '<div class="agent-work-content">' + (agent.summary || 'No summary available') + '</div>';
+    html += '<div class="agent-work-content">' + escapeHtml(agent.summary || 'No summary available') + '</div>';
     html += '</div>';
     
-    html += '<div class="agent-meta"><span>🤖 ' + modelName + '</span>';
-    html += '<span class="agent-updated">Updated: ' + formatTime(agent.updated_at) + '</span></div>';
+    html += '<div class="agent-meta"><span>🤖 ' + escapeHtml(modelName) + '</span>';
+    html += '<span class="agent-updated" title="Updated: ' + formatTime(agent.updated_at) + '">Last seen: ' +
+      (agent.last_seen_at ? formatTime(agent.last_seen_at) : 'never') + '</span></div>';
+    if (procs) html += renderAgentProcesses(procs);
+    if (isAdmin()) {
+      html += '<div class="agent-admin"><button data-action="issue-key" data-agent-id="' + escapeHtml(agent.id) + '">🔑 New API key</button></div>';
+    }
     html += '</article>';
   }
   
   grid.innerHTML = html;
 }
 
+const TASK_STATUS_ICONS = { queued: '🗂️', in_progress: '▶️', blocked: '⛔', done: '✅', failed: '❌' };
+
+/** Seconds a task has been in progress, counting up while it still is */
+function taskSeconds(task) {
+  if (task.status !== 'in_progress' || !task.resumed_at) return task.active_seconds;
+  return task.active_seconds + Math.max(0, Math.floor((Date.now() - parseTimestamp(task.resumed_at)) / 1000));
+}
+
+/** An agent's other recent tasks with their status and time spent */
+function renderTaskHistory(tasks) {
+  if (tasks.length === 0) return '';
+  
+  let html = '<ul class="agent-task-history">';
+  for (const task of tasks) {
+    const note = task.outcome || task.blocked_reason;
+    html += '<li class="task-' + task.status + '" title="' + escapeHtml(task.status.replace('_', ' ') + (note ? ': ' + note : '')) + '">';
+    html += '<span>' + TASK_STATUS_ICONS[task.status] + '</span>';
+    html += '<span class="task-title">' + escapeHtml(task.title) + '</span>';
+    html += '<span class="task-time">' + (task.started_at ? formatUptime(taskSeconds(task)) : '—') + '</span>';
+    html += '</li>';
+  }
+  return html + '</ul>';
+}
+
+/** CPU, memory, threads and uptime of an agent's processes, or a warning once they are gone */
+function renderAgentProcesses(procs) {
+  if (procs.status === 'missing') {
+    return '<div class="agent-processes missing">⚠️ Process missing since ' + formatTime(procs.missingSince) + '</div>';
+  }
+  
+  const title = procs.processes.map(p => p.pid + ' ' + p.command).join('\n');
+  let html = '<div class="agent-processes" title="' + escapeHtml(title) + '">';
+  html += '<span>⚙️ ' + procs.processes.length + (procs.processes.length === 1 ? ' process' : ' processes') + '</span>';
+  html += '<span>' + procs.cpu + '% CPU</span>';
+  html += '<span>' + Math.round(procs.rss) + ' MB</span>';
+  if (procs.threads !== null) html += '<span>' + procs.threads + (procs.threads === 1 ? ' thread' : ' threads') + '</span>';
+  if (procs.uptime !== null) html += '<span>up ' + formatUptime(procs.uptime) + '</span>';
+  return html + '</div>';
+}
+
+/** Compact duration such as 45s, 12m, 3h 4m or 2d 5h */
+function formatUptime(seconds) {
+  if (seconds < 60) return seconds + 's';
+  if (seconds < 3600) return Math.floor(seconds / 60) + 'm';
+  if (seconds < 86400) return Math.floor(seconds / 3600) + 'h ' + Math.floor(seconds % 3600 / 60) + 'm';
+  return Math.floor(seconds / 86400) + 'd ' + Math.floor(seconds % 86400 / 3600) + 'h';
+}
+
+const SEVERITY_ICONS = { critical: '🚨', warning: '⚠️', info: 'ℹ️' };
+
+/** Banner of firing alerts; silenced ones are only counted */
+function renderAlerts() {
+  const banner = document.getElementById('alertBanner');
+  const loud = alerts.filter(a => !a.silenced);
+  const silenced = alerts.length - loud.length;
+  banner.hidden = alerts.length === 0;
+  banner.className = 'alert-banner' + (loud.some(a => a.severity === 'critical') ? ' critical' : loud.length ? '' : ' quiet');
+  
+  let html = '';
+  for (const a of loud) {
+    html += '<div class="alert-item">';
+    html += '<span class="alert-icon">' + (SEVERITY_ICONS[a.severity] || '⚠️') + '</span>';
+    html += '<span class="alert-summary">' + escapeHtml(a.summary) + '</span>';
+    html += '<span class="alert-since">since ' + formatTime(a.started_at) + '</span>';
+    if (isAdmin()) {
+      html += '<button data-action="silence-alert" data-rule="' + escapeHtml(a.rule_id) + '" data-subject="' +
+        escapeHtml(a.subject) + '" title="Silence this alert for an hour">🔕 1h</button>';
+    }
+    html += '</div>';
+  }
+  if (silenced) html += '<div class="alert-item alert-silenced">🔕 ' + silenced + ' silenced</div>';
+  banner.innerHTML = html;
+}
+
 function renderReviews() {
   const list = document.getElementById('reviewList');
   if (!reviews || reviews.length === 0) {
@@ -184,80 +857,951 @@ function renderReviews() {
 
   let html = '';
   for (const r of reviews) {
-    const priorityClass = r.priority === 'high' ? 'priority-high' : 
-                         r.priority === 'medium' ? 'priority-medium' : 'priority-low';
+    const priority = Object.hasOwn(registry.priorities, r.priority) ? registry.priorities[r.priority] : null;
+    const open = reviewPanel.id === r.id ? reviewPanel.kind : null;
     
-    html += '<div class="review-item">';
-    html += '<span class="review-avatar">' + (r.agent_emoji || '🐕') + '</span>';
+    html += '<div class="review-item" data-review-id="' + r.id + '">';
+    html += '<span class="review-avatar">' + agentEmoji(r.agent_emoji) + '</span>';
     html += '<div class="review-content">';
     html += '<div class="review-question">' + escapeHtml(r.question) + '</div>';
     html += '<div class="review-meta">';
-    html += '<span class="review-agent">' + (r.agent_name || 'Unknown') + '</span>';
-    html += '<span class="review-priority ' + priorityClass + '">' + r.priority + '</span>';
+    html += '<span class="review-agent">' + escapeHtml(r.agent_name || 'Unknown') + '</span>';
+    html += '<span class="review-priority priority-' + escapeHtml(r.priority) + '"' +
+      (priority ? ' style="--priority-color: ' + escapeHtml(priority.color) + '"' : '') + '>' + escapeHtml(r.priority) + '</span>';
     html += '<span class="review-time">' + formatTime(r.created_at) + '</span>';
-    html += '</div></div></div>';
+    html += '</div>';
+    
+    html += '<div class="review-actions">';
+    if (isAdmin()) {
+      html += '<button data-action="answer">✍️ Answer</button>';
+      html += '<select data-action="snooze" aria-label="Snooze">';
+      html += '<option value="">😴 Snooze…</option><option value="60">1 hour</option>';
+      html += '<option value="240">4 hours</option><option value="tomorrow">Tomorrow 9:00</option>';
+      html += '</select>';
+      html += '<button data-action="dismiss">🚫 Dismiss</button>';
+    }
+    html += '<button data-action="comments">💬 ' + (r.comment_count || 0) + '</button>';
+    html += '</div>';
+    
+    if (open === 'answer') {
+      html += '<form class="review-form" data-action="send-answer">';
+      html += '<textarea name="text" rows="3" placeholder="Your answer for ' + escapeHtml(r.agent_name || 'the agent') + '…">' + escapeHtml(reviewDraft) + '</textarea>';
+      html += '<button type="submit">Send answer</button>';
+      html += '</form>';
+    }
+    
+    if (open === 'comments') {
+      const comments = reviewComments[r.id];
+      html += '<div class="review-thread">';
+      if (!comments) {
+        html += '<div class="review-comment">Loading…</div>';
+      } else if (comments.length === 0) {
+        html += '<div class="review-comment">No comments yet</div>';
+      } else {
+        for (const c of comments) {
+          html += '<div class="review-comment"><strong>' + escapeHtml(c.author) + '</strong> ' + escapeHtml(c.body);
+          html += ' <span class="review-time">' + formatTime(c.created_at) + '</span></div>';
+        }
+      }
+      html += '</div>';
+      if (isAdmin()) {
+        html += '<form class="review-form" data-action="send-comment">';
+        html += '<input name="text" placeholder="Add a comment…" value="' + escapeHtml(reviewDraft) + '">';
+        html += '<button type="submit">Comment</button>';
+        html += '</form>';
+      }
+    }
+    
+    html += '</div></div>';
   }
   list.innerHTML = html;
 }
 
+/** Handle answer, snooze, dismiss and comment controls on review cards */
+function setupReviewActions() {
+  const list = document.getElementById('reviewList');
+  const reviewIdOf = (el) => Number(el.closest('[data-review-id]').dataset.reviewId);
+  
+  list.addEventListener('click', async (e) => {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+    const id = reviewIdOf(button);
+    const action = button.dataset.action;
+    
+    if (action === 'answer' || action === 'comments') {
+      toggleReviewPanel(id, action);
+      if (action === 'comments' && reviewPanel.id === id) loadReviewComments(id);
+    } else if (action === 'dismiss') {
+      const reason = prompt('Reason for dismissing (optional):');
+      if (reason === null) return;
+      await reviewRequest(id, 'dismiss', { reason: reason || undefined });
+    }
+  });
+  
+  list.addEventListener('change', async (e) => {
+    if (e.target.dataset.action !== 'snooze' || !e.target.value) return;
+    const id = reviewIdOf(e.target);
+    if (e.target.value === 'tomorrow') {
+      const until = new Date();
+      until.setDate(until.getDate() + 1);
+      until.setHours(9, 0, 0, 0);
+      await reviewRequest(id, 'snooze', { until: until.toISOString() });
+    } else {
+      await reviewRequest(id, 'snooze', { minutes: Number(e.target.value) });
+    }
+  });
+  
+  list.addEventListener('input', (e) => {
+    if (e.target.name === 'text') reviewDraft = e.target.value;
+  });
+  
+  list.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const form = e.target;
+    const id = reviewIdOf(form);
+    const text = form.elements.text.value.trim();
+    if (!text) return;
+    
+    if (form.dataset.action === 'send-answer') {
+      if (await reviewRequest(id, 'answer', { answer: text })) toggleReviewPanel(id, null);
+    } else if (await reviewRequest(id, 'comments', { body: text })) {
+      reviewDraft = '';
+      renderReviews();
+    }
+  });
+}
+
+/** Open (or close, if already open) the answer form or comment thread of a review */
+function toggleReviewPanel(id, kind) {
+  const same = reviewPanel.id === id && reviewPanel.kind === kind;
+  reviewPanel = same || !kind ? { id: null, kind: null } : { id, kind };
+  reviewDraft = '';
+  renderReviews();
+}
+
+async function loadReviewComments(id) {
+  try {
+    const res = await fetch('/api/reviews/' + id + '/comments');
+    reviewComments[id] = await res.json();
+    renderReviews();
+  } catch (err) {
+    console.error('❌ Error loading comments:', err);
+  }
+}
+
+/** POST a review action, returning true on success */
+async function reviewRequest(id, action, body) {
+  try {
+    const res = await fetch('/api/reviews/' + id + '/' + action, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      alert('Could not ' + action + ' review: ' + (data.error || res.statusText));
+      return false;
+    }
+    return true;
+  } catch (err) {
+    console.error('❌ Review ' + action + ' failed:', err);
+    return false;
+  }
+}
+
 function renderActivities() {
   const list = document.getElementById('activityList');
   if (!list) return;
 
+  document.getElementById('loadOlder').hidden = !activityCursor;
+
   if (!activities || activities.length === 0) {
-    list.innerHTML = '<div class="empty-state">No recent activity</div>';
+    list.innerHTML = '<div class="empty-state">' + (hasActivityFilter() ? 'No matching activity' : 'No recent activity') + '</div>';
     return;
   }
 
+  list.innerHTML = activities.map(renderActivityItem).join('');
+}
+
+function renderActivityItem(act) {
+  const color = activityType(act.type).color;
+  let html = '<div class="activity-item" data-type="' + escapeHtml(act.type) + '"' +
+    (color ? ' style="border-left: 3px solid ' + escapeHtml(color) + '"' : '') + '>';
+  html += '<span class="activity-emoji">' + agentEmoji(act.agent_emoji) + '</span>';
+  html += '<div class="activity-content">';
+  html += '<div class="activity-desc">' + getActivityIcon(act.type) + ' ' + escapeHtml(act.description) + '</div>';
+  html += '<div class="activity-meta">';
+  html += '<a class="activity-agent" href="#/agents/' + escapeHtml(act.agent_id) + '">' + escapeHtml(act.agent_name || 'Unknown') + '</a>';
+  html += '<span class="activity-type">' + escapeHtml(act.type) + '</span>';
+  html += '<span class="activity-time">' + formatTime(act.timestamp) + '</span>';
+  const snapshotId = activitySnapshotId(act);
+  if (snapshotId) html += '<a class="activity-link" href="#/diff/' + snapshotId + '">View diff</a>';
+  return html + '</div></div></div>';
+}
+
+const BOARD_COLUMNS = [
+  { status: 'queued', label: '🗂️ Queued' },
+  { status: 'in_progress', label: '▶️ In progress' },
+  { status: 'blocked', label: '⛔ Blocked' }
+];
+
+/** Wire up the board route, the new task form and the assign pickers (admin) */
+function setupBoard() {
+  window.addEventListener('hashchange', showBoardFromHash);
+  
+  document.getElementById('boardForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const form = e.target;
+    const res = await fetch('/api/tasks', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ title: form.elements.title.value, agentId: form.elements.agentId.value || null })
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      alert('Could not add task: ' + (data.error || res.statusText));
+      return;
+    }
+    form.elements.title.value = '';
+    updateBoardTask(data);
+  });
+  
+  document.getElementById('boardColumns').addEventListener('change', async (e) => {
+    const select = e.target.closest('select[data-action="assign-task"]');
+    if (!select) return;
+    const res = await fetch('/api/tasks/' + select.dataset.taskId + '/assign', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ agentId: select.value || null })
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      alert('Could not assign task: ' + (data.error || res.statusText));
+      renderBoard();
+      return;
+    }
+    updateBoardTask(data);
+  });
+  
+  showBoardFromHash();
+}
+
+function isBoardOpen() {
+  return location.hash === '#/board';
+}
+
+/** Show the board for #/board in place of the dashboard sections, or hide it */
+async function showBoardFromHash() {
+  const open = isBoardOpen();
+  document.querySelector('.app').classList.toggle('board-view', open);
+  document.getElementById('boardSection').hidden = !open;
+  if (open) await refreshBoard();
+}
+
+/** Fetch the open tasks of every agent */
+async function refreshBoard() {
+  try {
+    const res = await fetch('/api/tasks?status=queued,in_progress,blocked&limit=500');
+    boardTasks = await res.json();
+    renderBoard();
+  } catch (err) {
+    console.error('❌ Error loading task board:', err);
+  }
+}
+
+/** Add, replace or drop (once closed) a task on the board */
+function updateBoardTask(task) {
+  boardTasks = boardTasks.filter(t => t.id !== task.id);
+  if (BOARD_COLUMNS.some(column => column.status === task.status)) boardTasks.push(task);
+  if (isBoardOpen()) renderBoard();
+}
+
+/** Options for picking an agent, with the shared queue first */
+function agentOptions(selected) {
+  let html = '<option value="">📥 Unassigned</option>';
+  for (const agent of agents) {
+    html += '<option value="' + escapeHtml(agent.id) + '"' + (agent.id === selected ? ' selected' : '') + '>' +
+      agentEmoji(agent.emoji) + ' ' + escapeHtml(agent.name) + '</option>';
+  }
+  return html;
+}
+
+function renderBoard() {
+  const form = document.getElementById('boardForm');
+  form.hidden = !isAdmin();
+  if (isAdmin() && form.elements.agentId.options.length !== agents.length + 1) {
+    form.elements.agentId.innerHTML = agentOptions('');
+  }
+  
   let html = '';
-  for (const act of activities.slice(0, 15)) {
-    const time = formatTime(act.timestamp);
-    const typeIcon = getActivityIcon(act.type);
-    
-    html += '<div class="activity-item" data-type="' + act.type + '">';
-    html += '<span class="activity-emoji">' + (act.agent_emoji || '🐕') + '</span>';
-    html += '<div class="activity-content">';
-    html += '<div class="activity-desc">' + typeIcon + ' ' + escapeHtml(act.description) + '</div>';
-    html += '<div class="activity-meta">';
-    html += '<span class="activity-agent">' + (act.agent_name || 'Unknown') + '</span>';
-    html += '<span class="activity-type">' + act.type + '</span>';
-    html += '<span class="activity-time">' + time + '</span>';
-    html += '</div></div></div>';
+  for (const column of BOARD_COLUMNS) {
+    // Oldest first, the order agents claim them in
+    const tasks = boardTasks.filter(t => t.status === column.status).sort((a, b) => a.id - b.id);
+    html += '<div class="board-column"><h4>' + column.label + ' · ' + tasks.length + '</h4>';
+    if (tasks.length === 0) html += '<div class="board-empty">Nothing here</div>';
+    for (const task of tasks) html += renderBoardTask(task);
+    html += '</div>';
+  }
+  document.getElementById('boardColumns').innerHTML = html;
+}
+
+function renderBoardTask(task) {
+  const agent = agents.find(a => a.id === task.agent_id);
+  let html = '<div class="board-task" title="' + escapeHtml(task.description || '') + '">';
+  html += '<div class="board-task-title">' + escapeHtml(task.title) + '</div>';
+  html += '<div class="board-task-meta">';
+  html += '<span>' + (agent ? agentEmoji(agent.emoji) + ' ' + escapeHtml(agent.name) : task.agent_id ? escapeHtml(task.agent_id) : '📥 Unassigned') + '</span>';
+  if (task.started_at) html += '<span>⏱️ ' + formatUptime(taskSeconds(task)) + '</span>';
+  if (task.lease_expires_at) html += '<span>⌛ lease ends ' + formatUntil(task.lease_expires_at) + '</span>';
+  if (task.created_by && task.created_by !== task.agent_id) html += '<span>by ' + escapeHtml(task.created_by) + '</span>';
+  html += '</div>';
+  if (task.blocked_reason) html += '<div class="board-task-note">' + escapeHtml(task.blocked_reason) + '</div>';
+  if (isAdmin()) {
+    html += '<select data-action="assign-task" data-task-id="' + task.id + '" aria-label="Assign task">' + agentOptions(task.agent_id) + '</select>';
+  }
+  return html + '</div>';
+}
+
+/** Relative time until a future timestamp, e.g. "in 12m" */
+function formatUntil(timestamp) {
+  const seconds = Math.round((parseTimestamp(timestamp) - Date.now()) / 1000);
+  return seconds > 0 ? 'in ' + formatUptime(seconds) : 'now';
+}
+
+const DETAIL_PATTERN = /^#\/agents\/([a-z0-9][a-z0-9_-]{0,31})$/;
+
+/** Wire up the agent detail route, its range buttons and its timeline filters */
+function setupAgentDetail() {
+  window.addEventListener('hashchange', showAgentDetailFromHash);
+  
+  const typeSelect = document.getElementById('detailTypeFilter');
+  addActivityTypeOptions(typeSelect);
+  typeSelect.addEventListener('change', (e) => {
+    agentDetail.filter.type = e.target.value;
+    loadDetailTimeline();
+  });
+  document.getElementById('detailSearch').addEventListener('input', (e) => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => {
+      agentDetail.filter.q = e.target.value.trim();
+      loadDetailTimeline();
+    }, 300);
+  });
+  document.getElementById('detailOlder').addEventListener('click', () => loadDetailTimeline(agentDetail.cursor));
+  document.getElementById('detailRanges').addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-range]');
+    if (!button) return;
+    agentDetail.range = button.dataset.range;
+    loadDetailCharts();
+  });
+  
+  showAgentDetailFromHash();
+}
+
+/** Open the detail view for #/agents/<id>, or close it */
+async function showAgentDetailFromHash() {
+  const match = location.hash.match(DETAIL_PATTERN);
+  const agentId = match ? match[1] : null;
+  document.querySelector('.app').classList.toggle('detail-view', !!agentId);
+  document.getElementById('agentDetailSection').hidden = !agentId;
+  if (agentId === agentDetail.agentId) return;
+  
+  agentDetail = { ...agentDetail, agentId, filter: { type: '', q: '' }, activities: [], cursor: null, rate: null, tasks: [], reviews: [] };
+  if (!agentId) return;
+  
+  document.getElementById('detailTypeFilter').value = '';
+  document.getElementById('detailSearch').value = '';
+  window.scrollTo(0, 0);
+  await refreshAgentDetail();
+}
+
+/** Load everything on the detail view */
+async function refreshAgentDetail() {
+  renderDetailOverview();
+  await Promise.all([loadDetailTimeline(), loadDetailCharts(), loadDetailTasks(), loadDetailReviews()]);
+}
+
+/** Fetch the first page of the timeline, or the page after `cursor` */
+async function loadDetailTimeline(cursor) {
+  const agentId = agentDetail.agentId;
+  const params = new URLSearchParams({ limit: 50 });
+  if (agentDetail.filter.type) params.set('type', agentDetail.filter.type);
+  if (agentDetail.filter.q) params.set('q', agentDetail.filter.q);
+  if (cursor) params.set('cursor', cursor);
+  
+  try {
+    const res = await fetch('/api/agents/' + encodeURIComponent(agentId) + '/activity?' + params);
+    const page = await res.json();
+    if (agentId !== agentDetail.agentId) return;
+    if (!res.ok) {
+      document.getElementById('detailTimeline').innerHTML = '<div class="empty-state">' + escapeHtml(page.error || 'Could not load activity') + '</div>';
+      return;
+    }
+    agentDetail.activities = cursor ? agentDetail.activities.concat(page) : page;
+    agentDetail.cursor = res.headers.get('X-Next-Cursor');
+    renderDetailTimeline();
+  } catch (err) {
+    console.error('❌ Error loading agent timeline:', err);
+  }
+}
+
+async function loadDetailCharts() {
+  const agentId = agentDetail.agentId;
+  try {
+    const res = await fetch('/api/agents/' + encodeURIComponent(agentId) + '/activity/rate?range=' + agentDetail.range);
+    const rate = await res.json();
+    if (agentId !== agentDetail.agentId) return;
+    agentDetail.rate = res.ok ? rate : null;
+    renderDetailCharts();
+  } catch (err) {
+    console.error('❌ Error loading activity rate:', err);
+  }
+}
+
+async function loadDetailTasks() {
+  const agentId = agentDetail.agentId;
+  try {
+    const res = await fetch('/api/agents/' + encodeURIComponent(agentId) + '/tasks?limit=50');
+    const tasks = await res.json();
+    if (agentId !== agentDetail.agentId) return;
+    agentDetail.tasks = res.ok ? tasks : [];
+    renderDetailTasks();
+  } catch (err) {
+    console.error('❌ Error loading agent tasks:', err);
+  }
+}
+
+async function loadDetailReviews() {
+  const agentId = agentDetail.agentId;
+  try {
+    const res = await fetch('/api/agents/' + encodeURIComponent(agentId) + '/reviews?status=all');
+    const list = await res.json();
+    if (agentId !== agentDetail.agentId) return;
+    agentDetail.reviews = res.ok ? list : [];
+    renderDetailReviews();
+  } catch (err) {
+    console.error('❌ Error loading agent reviews:', err);
+  }
+}
+
+/** Keep an open detail view current with a pushed event */
+function updateAgentDetail(msg) {
+  const agentId = agentDetail.agentId;
+  if (!agentId) return;
+  
+  switch (msg.type) {
+    case 'activity':
+    case 'activities': {
+      // Both carry activities of a single agent
+      const acts = msg.type === 'activity' ? [msg.activity] : msg.activities;
+      if (acts[0].agent_id !== agentId) return;
+      let added = false;
+      for (const act of acts) {
+        if (agentDetail.rate) countDetailActivity(act);
+        if (matchesDetailFilter(act) && !agentDetail.activities.some(a => a.id === act.id)) {
+          agentDetail.activities.unshift(act);
+          added = true;
+        }
+      }
+      if (agentDetail.rate) renderDetailCharts();
+      if (added) renderDetailTimeline();
+      break;
+    }
+    case 'task_update':
+      if (msg.record && (msg.record.agent_id === agentId || agentDetail.tasks.some(t => t.id === msg.record.id))) {
+        agentDetail.tasks = agentDetail.tasks.filter(t => t.id !== msg.record.id);
+        if (msg.record.agent_id === agentId) agentDetail.tasks.push(msg.record);
+        agentDetail.tasks.sort((a, b) => b.id - a.id);
+        renderDetailTasks();
+      }
+      renderDetailOverview();
+      break;
+    case 'review':
+    case 'review-updated':
+      if (msg.review.agent_id === agentId) {
+        agentDetail.reviews = agentDetail.reviews.filter(r => r.id !== msg.review.id);
+        agentDetail.reviews.unshift(msg.review);
+        renderDetailReviews();
+      }
+      break;
+    case 'review-resolved':
+      if (agentDetail.reviews.some(r => String(r.id) === String(msg.reviewId))) loadDetailReviews();
+      break;
+    case 'status_update':
+    case 'heartbeat':
+    case 'process_update':
+    case 'agent_updated':
+    case 'agent_removed':
+      renderDetailOverview();
+      break;
+  }
+}
+
+/** Client-side check for pushed activities against the timeline filters */
+function matchesDetailFilter(act) {
+  if (agentDetail.filter.type && act.type !== agentDetail.filter.type) return false;
+  if (agentDetail.filter.q) {
+    const text = (act.description + ' ' + (act.metadata_json || '')).toLowerCase();
+    return agentDetail.filter.q.toLowerCase().split(/\s+/).every(word => text.includes(word));
+  }
+  return true;
+}
+
+/** Add a pushed activity to the rate chart's latest bucket */
+function countDetailActivity(act) {
+  const { step, buckets } = agentDetail.rate;
+  const ts = Math.floor(parseTimestamp(act.timestamp).getTime() / 1000);
+  const start = ts - ts % step;
+  let bucket = buckets.find(b => b.ts === start);
+  if (!bucket) {
+    bucket = { ts: start, count: 0, errors: 0, tokens: 0 };
+    buckets.push(bucket);
+  }
+  bucket.count++;
+  if (act.type === 'error') bucket.errors++;
+}
+
+function renderDetailOverview() {
+  const agent = agents.find(a => a.id === agentDetail.agentId);
+  const overview = document.getElementById('detailOverview');
+  document.getElementById('detailEmoji').textContent = agent ? agent.emoji || '🐕' : '🐕';
+  document.getElementById('detailTitle').textContent = agent ? agent.name : agentDetail.agentId;
+  if (!agent) {
+    overview.innerHTML = '<div class="empty-state">This agent is not in the fleet (archived or unknown)</div>';
+    return;
+  }
+  
+  const procs = agentProcesses[agent.id];
+  let html = '<dl class="detail-facts">';
+  html += '<div><dt>Status</dt><dd>' + escapeHtml(agent.status) + '</dd></div>';
+  html += '<div><dt>Role</dt><dd>' + escapeHtml(agent.role) + '</dd></div>';
+  html += '<div><dt>Model</dt><dd>' + escapeHtml(agent.model || 'unknown') + '</dd></div>';
+  html += '<div><dt>Last seen</dt><dd>' + (agent.last_seen_at ? formatTime(agent.last_seen_at) : 'never') + '</dd></div>';
+  html += '<div><dt>Current task</dt><dd>' + escapeHtml(agent.current_task || 'None') + '</dd></div>';
+  html += '</dl>';
+  if (agent.summary) html += '<p class="detail-summary">' + escapeHtml(agent.summary) + '</p>';
+  if (procs) html += renderAgentProcesses(procs);
+  overview.innerHTML = html;
+}
+
+function renderDetailCharts() {
+  for (const button of document.querySelectorAll('#detailRanges button')) {
+    button.classList.toggle('selected', button.dataset.range === agentDetail.range);
+  }
+  const rate = agentDetail.rate;
+  if (!rate) return;
+  
+  // One bar per step across the whole range, including empty ones
+  const byTs = new Map(rate.buckets.map(b => [b.ts, b]));
+  const bars = [];
+  const from = Math.floor(new Date(rate.since).getTime() / 1000);
+  const to = Math.floor(Date.now() / 1000);
+  for (let ts = from; ts <= to; ts += rate.step) bars.push(byTs.get(ts) || { ts, count: 0, errors: 0, tokens: 0 });
+  
+  const span = to - from;
+  renderDetailBars('detailActivityChart', bars, b => b.count, (b, value) =>
+    formatChartTime(b.ts, span) + ' · ' + value + (value === 1 ? ' activity' : ' activities') + (b.errors ? ', ' + b.errors + ' errors' : ''));
+  renderDetailBars('detailTokenChart', bars, b => b.tokens, (b, value) =>
+    formatChartTime(b.ts, span) + ' · ' + value.toLocaleString() + ' tokens');
+  
+  const total = rate.buckets.reduce((sum, b) => sum + b.count, 0);
+  const tokens = rate.buckets.reduce((sum, b) => sum + b.tokens, 0);
+  document.getElementById('detailActivityTotal').textContent = total.toLocaleString() + ' in ' + agentDetail.range;
+  document.getElementById('detailTokenTotal').textContent = tokens.toLocaleString() + ' in ' + agentDetail.range;
+}
+
+/** Bars scaled to the largest value; `titleOf` describes one bar */
+function renderDetailBars(id, bars, valueOf, titleOf) {
+  const max = Math.max(1, ...bars.map(valueOf));
+  let html = '';
+  for (const bar of bars) {
+    const value = valueOf(bar);
+    html += '<span class="usage-bar' + (bar.errors ? ' has-errors' : '') + '" style="height:' +
+      Math.max(Math.round(value / max * 100), 2) + '%" title="' + escapeHtml(titleOf(bar, value)) + '"></span>';
+  }
+  document.getElementById(id).innerHTML = html;
+}
+
+function renderDetailTimeline() {
+  const list = document.getElementById('detailTimeline');
+  document.getElementById('detailOlder').hidden = !agentDetail.cursor;
+  if (agentDetail.activities.length === 0) {
+    const filtered = agentDetail.filter.type || agentDetail.filter.q;
+    list.innerHTML = '<div class="empty-state">' + (filtered ? 'No matching activity' : 'No activity yet') + '</div>';
+    return;
+  }
+  list.innerHTML = agentDetail.activities.map(renderActivityItem).join('');
+}
+
+function renderDetailTasks() {
+  const list = document.getElementById('detailTasks');
+  if (agentDetail.tasks.length === 0) {
+    list.innerHTML = '<div class="empty-state">No tasks yet</div>';
+    return;
+  }
+  
+  let html = '<ul class="agent-task-history detail-tasks">';
+  for (const task of agentDetail.tasks) {
+    const note = task.outcome || task.blocked_reason;
+    html += '<li class="task-' + task.status + '" title="' + escapeHtml(task.description || '') + '">';
+    html += '<span>' + TASK_STATUS_ICONS[task.status] + '</span>';
+    html += '<span class="task-title">' + escapeHtml(task.title) + (note ? ' <em>· ' + escapeHtml(note) + '</em>' : '') + '</span>';
+    html += '<span class="task-time">' + (task.started_at ? formatUptime(taskSeconds(task)) : '—') + '</span>';
+    html += '<span class="task-when">' + formatTime(task.ended_at || task.started_at || task.created_at) + '</span>';
+    html += '</li>';
+  }
+  list.innerHTML = html + '</ul>';
+}
+
+function renderDetailReviews() {
+  const list = document.getElementById('detailReviews');
+  if (agentDetail.reviews.length === 0) {
+    list.innerHTML = '<div class="empty-state">No reviews</div>';
+    return;
+  }
+  
+  const open = agentDetail.reviews.filter(r => r.status === 'pending' || r.status === 'snoozed');
+  const past = agentDetail.reviews.filter(r => !open.includes(r));
+  let html = '';
+  for (const [label, group] of [['Open', open], ['Past', past]]) {
+    if (group.length === 0) continue;
+    html += '<h5>' + label + ' · ' + group.length + '</h5>';
+    for (const r of group) {
+      html += '<div class="detail-review">';
+      html += '<div class="review-question">' + escapeHtml(r.question) + '</div>';
+      if (r.answer) html += '<div class="detail-review-answer">↳ ' + escapeHtml(r.answer) + '</div>';
+      html += '<div class="review-meta"><span class="review-priority">' + escapeHtml(r.priority) + '</span>';
+      html += '<span>' + escapeHtml(r.status) + '</span><span class="review-time">' + formatTime(r.created_at) + '</span></div>';
+      html += '</div>';
+    }
   }
   list.innerHTML = html;
 }
 
+/** Snapshot recorded with a file activity, if any */
+function activitySnapshotId(act) {
+  try {
+    const id = JSON.parse(act.metadata_json || '{}').snapshotId;
+    return Number.isInteger(id) ? id : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function setupDiffView() {
+  window.addEventListener('hashchange', showDiffFromHash);
+  document.getElementById('diffAgainst').addEventListener('change', (e) => {
+    if (diffSnapshotId && e.target.value) loadDiff(diffSnapshotId, e.target.value);
+  });
+  showDiffFromHash();
+}
+
+/** Open the file history panel for #/diff/<snapshot id>, or close it */
+async function showDiffFromHash() {
+  const section = document.getElementById('diffSection');
+  const match = location.hash.match(/^#\/diff\/(\d+)$/);
+  if (!match) {
+    section.hidden = true;
+    diffSnapshotId = null;
+    return;
+  }
+  
+  diffSnapshotId = Number(match[1]);
+  section.hidden = false;
+  await loadDiff(diffSnapshotId);
+  section.scrollIntoView({ behavior: 'smooth' });
+}
+
+/** Load the diff of a snapshot against another one (default: the previous version) */
+async function loadDiff(id, againstId) {
+  const view = document.getElementById('diffView');
+  try {
+    const res = await fetch('/api/snapshots/' + id + '/diff' + (againstId ? '?against=' + againstId : ''));
+    const data = await res.json();
+    if (!res.ok) {
+      view.textContent = res.status === 401 || res.status === 403
+        ? 'Log in as admin to see file contents'
+        : data.error || 'Could not load diff';
+      return;
+    }
+    
+    document.getElementById('diffTitle').textContent = data.to.path.split('/').pop() + ' history';
+    if (!againstId) await renderDiffVersions(data.to, data.from);
+    renderDiff(data.diff);
+  } catch (err) {
+    console.error('❌ Error loading diff:', err);
+  }
+}
+
+/** Fill the "compare with" picker with the other versions of the file */
+async function renderDiffVersions(to, from) {
+  const res = await fetch('/api/snapshots?path=' + encodeURIComponent(to.path));
+  const versions = await res.json();
+  
+  let html = from ? '' : '<option value="" selected disabled>Nothing (first version)</option>';
+  for (const version of versions) {
+    if (version.id === to.id) continue;
+    html += '<option value="' + version.id + '"' + (from && version.id === from.id ? ' selected' : '') + '>';
+    html += '#' + version.id + ' · ' + formatTime(version.created_at) + (version.hash ? '' : ' · deleted') + '</option>';
+  }
+  document.getElementById('diffAgainst').innerHTML = html;
+}
+
+function renderDiff(diff) {
+  const lines = diff.split('\n').filter(line => !line.startsWith('Index:') && !/^=+$/.test(line));
+  if (!lines.some(line => line.startsWith('@@'))) {
+    document.getElementById('diffView').innerHTML = '<span class="diff-line diff-hunk">No changes</span>';
+    return;
+  }
+  
+  let html = '';
+  for (const line of lines) {
+    let kind = '';
+    if (line.startsWith('+++') || line.startsWith('---')) kind = 'diff-file';
+    else if (line.startsWith('@@')) kind = 'diff-hunk';
+    else if (line.startsWith('+')) kind = 'diff-add';
+    else if (line.startsWith('-')) kind = 'diff-del';
+    html += '<span class="diff-line ' + kind + '">' + escapeHtml(line) + '</span>';
+  }
+  document.getElementById('diffView').innerHTML = html;
+}
+
 function updateSystem(data) {
   document.getElementById('cpuUsage').textContent = data.cpu.usage + '%';
   document.getElementById('memUsage').textContent = data.memory.used + '/' + data.memory.total + ' GB';
-  document.getElementById('tokenUsage').textContent = (data.tokens || 0).toLocaleString();
+  updateTokens(data.tokens, data.cost);
   document.getElementById('cpuProgress').style.width = Math.min(data.cpu.usage, 100) + '%';
+  document.getElementById('demoBadge').hidden = !data.demo;
+  addSparkSample(data);
+}
+
+const seriesValue = (series, sample) => series.value ? series.value(sample) : sample[series.key];
+
+/** Format a byte rate */
+function formatRate(bytesPerSecond) {
+  if (bytesPerSecond >= 1048576) return (bytesPerSecond / 1048576).toFixed(1) + ' MB/s';
+  if (bytesPerSecond >= 1024) return (bytesPerSecond / 1024).toFixed(1) + ' KB/s';
+  return Math.round(bytesPerSecond) + ' B/s';
+}
+
+/** Append a live system update to the sparklines, keeping the last hour */
+function addSparkSample(data) {
+  const ts = Math.floor(parseTimestamp(data.timestamp).getTime() / 1000);
+  const last = sparkSamples[sparkSamples.length - 1];
+  if (last && ts <= last.ts) return;
+  
+  sparkSamples.push({
+    ts,
+    cpu: data.cpu.usage,
+    mem: data.memory.percentage,
+    load: data.load,
+    disk: data.disk ? data.disk.percentage : null,
+    net_rx: data.network ? data.network.rx : null,
+    net_tx: data.network ? data.network.tx : null
+  });
+  sparkSamples = sparkSamples.filter(sample => sample.ts > ts - SPARKLINE_SECONDS);
+  renderSparklines();
+}
+
+/** SVG path through the values of a series, scaled into a width x height box (gaps break the line) */
+function seriesPath(samples, valueOf, { from, to, max, width, height }) {
+  let path = '';
+  let drawing = false;
+  for (const sample of samples) {
+    const value = valueOf(sample);
+    if (value === null || value === undefined) {
+      drawing = false;
+      continue;
+    }
+    const x = (sample.ts - from) / Math.max(to - from, 1) * width;
+    const y = height - Math.min(value / max, 1) * height;
+    path += (drawing ? ' L' : ' M') + x.toFixed(1) + ' ' + y.toFixed(1);
+    drawing = true;
+  }
+  return path.trim();
+}
+
+/** Upper bound of a chart: the series maximum for percentages, otherwise the largest value plus headroom */
+function seriesMax(series, samples, valueOf) {
+  if (series.max) return series.max;
+  return Math.max(...samples.map(sample => valueOf(sample) || 0)) * 1.2 || 1;
+}
+
+function renderSparklines() {
+  const container = document.getElementById('sparklines');
+  if (!container) return;
+  
+  const now = Math.floor(Date.now() / 1000);
+  let html = '';
+  for (const series of METRIC_SERIES) {
+    const valueOf = sample => seriesValue(series, sample);
+    const latest = [...sparkSamples].reverse().find(sample => valueOf(sample) !== null && valueOf(sample) !== undefined);
+    const path = seriesPath(sparkSamples, valueOf, {
+      from: now - SPARKLINE_SECONDS, to: now, max: seriesMax(series, sparkSamples, valueOf), width: 100, height: 24
+    });
+    
+    html += '<button class="sparkline' + (historyView.metric === series.key ? ' selected' : '') + '" data-metric="' + series.key + '">';
+    html += '<span class="sparkline-label">' + series.label + '</span>';
+    html += '<span class="sparkline-value">' + (latest ? series.format(valueOf(latest)) : '--') + '</span>';
+    html += '<svg viewBox="0 0 100 24" preserveAspectRatio="none"><path d="' + path + '"/></svg>';
+    html += '</button>';
+  }
+  container.innerHTML = html;
+}
+
+/** Reload the last hour for the sparklines and the chart's current range */
+async function refreshMetricsHistory() {
+  try {
+    const res = await fetch('/api/system/history?range=1h');
+    sparkSamples = (await res.json()).samples || [];
+    renderSparklines();
+  } catch (err) {
+    console.error('Metrics history fetch error:', err);
+  }
+  // A zoomed-in window is fixed in time; only the live ranges move
+  if (!historyView.since) loadHistoryChart();
+}
+
+function setupHistoryChart() {
+  document.getElementById('sparklines').addEventListener('click', (e) => {
+    const button = e.target.closest('[data-metric]');
+    if (!button) return;
+    historyView.metric = button.dataset.metric;
+    renderSparklines();
+    loadHistoryChart();
+  });
+  
+  document.getElementById('historyRanges').addEventListener('click', (e) => {
+    const button = e.target.closest('button');
+    if (!button) return;
+    if (button.dataset.range) historyView.range = button.dataset.range;
+    historyView.since = historyView.until = null;
+    loadHistoryChart();
+  });
+  
+  // Drag across the chart to zoom into that window
+  const chart = document.getElementById('historyChart');
+  let dragStart = null;
+  const fractionAt = (e) => {
+    const rect = chart.getBoundingClientRect();
+    return Math.min(Math.max((e.clientX - rect.left) / (rect.width || 1), 0), 1);
+  };
+  chart.addEventListener('mousedown', (e) => {
+    dragStart = fractionAt(e);
+  });
+  chart.addEventListener('mousemove', (e) => {
+    const selection = chart.querySelector('.history-selection');
+    if (dragStart === null || !selection) return;
+    const end = fractionAt(e);
+    selection.style.left = Math.min(dragStart, end) * 100 + '%';
+    selection.style.width = Math.abs(end - dragStart) * 100 + '%';
+  });
+  document.addEventListener('mouseup', (e) => {
+    if (dragStart === null) return;
+    const [a, b] = [dragStart, fractionAt(e)].sort((x, y) => x - y);
+    dragStart = null;
+    const shown = chart.dataset.from && { from: Number(chart.dataset.from), to: Number(chart.dataset.to) };
+    if (!shown || b - a < 0.02) {
+      loadHistoryChart();
+      return;
+    }
+    historyView.since = Math.round((shown.from + (shown.to - shown.from) * a) * 1000);
+    historyView.until = Math.round((shown.from + (shown.to - shown.from) * b) * 1000);
+    loadHistoryChart();
+  });
+}
+
+/** Fetch and draw the selected metric over the selected range or zoom window */
+async function loadHistoryChart() {
+  const query = historyView.since
+    ? 'since=' + historyView.since + '&until=' + historyView.until
+    : 'range=' + historyView.range;
+  try {
+    const res = await fetch('/api/system/history?' + query);
+    const history = await res.json();
+    if (!res.ok) throw new Error(history.error);
+    renderHistoryChart(history);
+  } catch (err) {
+    console.error('Metrics history fetch error:', err);
+  }
+}
+
+function renderHistoryChart(history) {
+  const chart = document.getElementById('historyChart');
+  const series = METRIC_SERIES.find(s => s.key === historyView.metric);
+  const valueOf = sample => seriesValue(series, sample);
+  const from = Math.floor(new Date(history.since).getTime() / 1000);
+  const to = Math.floor(new Date(history.until).getTime() / 1000);
+  const peakOf = series.peak ? sample => sample[series.peak] : valueOf;
+  const peak = Math.max(0, ...history.samples.map(sample => peakOf(sample) || 0));
+  const box = { from, to, max: seriesMax(series, history.samples, peakOf), width: 600, height: 120 };
+  
+  let html = '<svg viewBox="0 0 600 120" preserveAspectRatio="none">';
+  if (series.peak && history.resolution !== 'raw') {
+    html += '<path class="history-peak" d="' + seriesPath(history.samples, sample => sample[series.peak], box) + '"/>';
+  }
+  html += '<path d="' + seriesPath(history.samples, valueOf, box) + '"/>';
+  html += '</svg><div class="history-selection"></div>';
+  chart.innerHTML = html;
+  chart.dataset.from = from;
+  chart.dataset.to = to;
+  
+  const label = { raw: 'every ' + history.step + 's', '1m': 'per minute', '1h': 'per hour' }[history.resolution];
+  document.getElementById('historyAxis').innerHTML =
+    '<span>' + formatChartTime(from, to - from) + '</span>' +
+    '<span>' + series.label + (history.samples.length ? ' · peak ' + series.format(peak) : ' · no data') + ' · ' + label + '</span>' +
+    '<span>' + formatChartTime(to, to - from) + '</span>';
+  
+  document.getElementById('historyReset').hidden = !historyView.since;
+  for (const button of document.querySelectorAll('#historyRanges [data-range]')) {
+    button.classList.toggle('selected', !historyView.since && button.dataset.range === historyView.range);
+  }
+}
+
+/** Axis label for an epoch-second time; spans over a day show the date */
+function formatChartTime(ts, span) {
+  const date = new Date(ts * 1000);
+  return span > 86400
+    ? date.toLocaleDateString([], { month: 'short', day: 'numeric' }) + ' ' + date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+/** Update today's token count and cost */
+function updateTokens(tokens, cost) {
+  document.getElementById('tokenUsage').textContent = (tokens || 0).toLocaleString();
+  document.getElementById('tokenCost').textContent = formatCost(cost) + ' today';
+}
+
+// Icons for known activity types (also the options of the type filter)
+/** Registry entry of an activity type, or the default look for types it doesn't list */
+function activityType(type) {
+  return Object.hasOwn(registry.activityTypes, type) ? registry.activityTypes[type] : registry.defaultActivityType;
 }
 
 /** Get icon for activity type */
 function getActivityIcon(type) {
-  const icons = {
-    'command': '⌨️',
-    'file_update': '📝',
-    'memory_update': '🧠',
-    'soul_update': '✨',
-    'identity_update': '🆔',
-    'config_update': '⚙️',
-    'task_update': '📋',
-    'review_created': '👁️',
-    'review_resolved': '✅',
-    'status_change': '📡',
-    'system': '🔧',
-    'error': '❌',
-    'info': 'ℹ️'
-  };
-  return icons[type] || '📌';
+  return activityType(type).icon;
+}
+
+/** Add an option per registered activity type to a type filter */
+function addActivityTypeOptions(select) {
+  for (const [type, { icon }] of Object.entries(registry.activityTypes)) {
+    select.add(new Option(icon + ' ' + type, type));
+  }
+}
+
+/** Parse a timestamp; SQLite's CURRENT_TIMESTAMP format is UTC without a zone marker */
+function parseTimestamp(timestamp) {
+  if (/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(timestamp)) {
+    return new Date(timestamp.replace(' ', 'T') + 'Z');
+  }
+  return new Date(timestamp);
 }
 
 /** Format timestamp for display */
 function formatTime(timestamp) {
   if (!timestamp) return 'Unknown';
-  const date = new Date(timestamp);
+  const date = parseTimestamp(timestamp);
   const now = new Date();
   const diffMs = now - date;
   const diffMins = Math.floor(diffMs / 60000);
@@ -272,6 +1816,11 @@ function formatTime(timestamp) {
   return date.toLocaleDateString();
 }
 
+/** An agent's emoji (or the default puppy), escaped for HTML */
+function agentEmoji(emoji) {
+  return escapeHtml(emoji || '🐕');
+}
+
 /** Escape HTML to prevent XSS */
 function escapeHtml(text) {
   if (!text) return '';
@@ -294,4 +1843,6 @@ document.addEventListener('DOMContentLoaded', init);
 // Cleanup on page unload
 window.addEventListener('beforeunload', () => {
   stopLivePolling();
+  clearTimeout(reconnectTimer);
+  if (socket) socket.close();
 });
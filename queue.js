@@ -0,0 +1,34 @@
+/** Task queue for Puppy Station - returns claimed tasks whose lease ran out to the shared queue */
+const { config } = require('./config');
+const { expireTaskLeases } = require('./db');
+
+let timer = null;
+
+/** Check leases every `leaseCheckSeconds`; `onExpire` receives each { taskId, agentId } that was released */
+function startLeaseMonitor(onExpire) {
+  timer = setInterval(() => {
+    try {
+      for (const expired of expireTaskLeases()) onExpire(expired);
+    } catch (err) {
+      console.error('Task lease check error:', err);
+    }
+  }, config.tasks.leaseCheckSeconds * 1000);
+  
+  console.log(`✅ Task lease monitor started (default lease ${config.tasks.leaseMinutes}m)`);
+}
+
+function stopLeaseMonitor() {
+  clearInterval(timer);
+  timer = null;
+}
+
+/** Lease length in seconds for a requested number of minutes; returns { seconds } or { error } */
+function leaseSeconds(minutes) {
+  if (minutes === undefined || minutes === null) return { seconds: config.tasks.leaseMinutes * 60 };
+  if (typeof minutes !== 'number' || !(minutes > 0) || minutes > config.tasks.maxLeaseMinutes) {
+    return { error: `leaseMinutes must be a positive number of at most ${config.tasks.maxLeaseMinutes}` };
+  }
+  return { seconds: Math.round(minutes * 60) };
+}
+
+module.exports = { leaseSeconds, startLeaseMonitor, stopLeaseMonitor };
@@ -0,0 +1,137 @@
+/** Vocabularies shared by the station and the dashboard: agent statuses, activity types and review priorities */
+const { config } = require('./config');
+
+// `transitions` are the statuses an agent can move to from each one. `reported: false` statuses
+// are only set by the station itself (the liveness monitor), never through the API
+const AGENT_STATUSES = {
+  active: { label: 'Active', color: '#3ddc84', transitions: ['idle', 'busy', 'stale', 'offline'] },
+  idle: { label: 'Idle', color: '#f1c40f', transitions: ['active', 'busy', 'stale', 'offline'] },
+  busy: { label: 'Busy', color: '#e74c3c', transitions: ['active', 'idle', 'stale', 'offline'] },
+  stale: { label: 'Stale', color: '#e67e22', reported: false, transitions: ['active', 'idle', 'busy', 'offline'] },
+  offline: { label: 'Offline', color: '#95a5a6', transitions: ['active', 'idle', 'busy'] }
+};
+
+const BUILT_IN_ACTIVITY_TYPES = {
+  'command': { icon: '⌨️', color: '#3498db' },
+  'file_update': { icon: '📝', color: '#1abc9c' },
+  'memory_update': { icon: '🧠', color: '#1abc9c' },
+  'soul_update': { icon: '✨', color: '#1abc9c' },
+  'identity_update': { icon: '🆔', color: '#1abc9c' },
+  'config_update': { icon: '⚙️', color: '#1abc9c' },
+  'task_update': { icon: '📋', color: '#2ecc71' },
+  'task_queued': { icon: '🗂️', color: '#2ecc71' },
+  'task_started': { icon: '▶️', color: '#2ecc71' },
+  'task_blocked': { icon: '⛔', color: '#e67e22' },
+  'task_completed': { icon: '🏁', color: '#2ecc71' },
+  'task_failed': { icon: '💥', color: '#e74c3c' },
+  'task_claimed': { icon: '🙋', color: '#2ecc71' },
+  'task_assigned': { icon: '📥', color: '#2ecc71' },
+  'task_unassigned': { icon: '📤', color: '#2ecc71' },
+  'task_handoff': { icon: '🤝', color: '#2ecc71' },
+  'task_lease_expired': { icon: '⌛', color: '#e67e22' },
+  'task_released': { icon: '🔓', color: '#2ecc71' },
+  'review_created': { icon: '👁️', color: '#e67e22' },
+  'review_resolved': { icon: '✅', color: '#e67e22' },
+  'review_answered': { icon: '💬', color: '#e67e22' },
+  'review_dismissed': { icon: '🚫', color: '#e67e22' },
+  'review_snoozed': { icon: '😴', color: '#e67e22' },
+  'status_change': { icon: '📡', color: '#f1c40f' },
+  'agent_created': { icon: '🐣', color: '#9b59b6' },
+  'agent_updated': { icon: '✏️', color: '#9b59b6' },
+  'agent_removed': { icon: '📦', color: '#9b59b6' },
+  'process_linked': { icon: '🔗', color: '#95a5a6' },
+  'process_lost': { icon: '⚠️', color: '#e67e22' },
+  'process_found': { icon: '🔄', color: '#95a5a6' },
+  'system': { icon: '🔧', color: '#9b59b6' },
+  'error': { icon: '❌', color: '#e74c3c' },
+  'info': { icon: 'ℹ️', color: '#95a5a6' }
+};
+
+// Types without their own entry get these
+const DEFAULT_ACTIVITY_TYPE = { icon: '📌', color: '#95a5a6' };
+
+/**
+ * Built-in types, then types named by watcher rules, then `registry.activityTypes` from the config,
+ * which may add types or change the icon and colour of existing ones
+ */
+const ACTIVITY_TYPES = { ...BUILT_IN_ACTIVITY_TYPES };
+for (const rule of config.watcher.rules) {
+  if (rule.type && !Object.hasOwn(ACTIVITY_TYPES, rule.type)) ACTIVITY_TYPES[rule.type] = { ...DEFAULT_ACTIVITY_TYPE };
+}
+for (const [type, settings] of Object.entries(config.registry.activityTypes)) {
+  ACTIVITY_TYPES[type] = { ...DEFAULT_ACTIVITY_TYPE, ...ACTIVITY_TYPES[type], ...settings };
+}
+
+// Most urgent first; `rank` orders the review queue
+const REVIEW_PRIORITIES = {
+  high: { label: 'High', color: '#e74c3c', rank: 1 },
+  medium: { label: 'Medium', color: '#f1c40f', rank: 2 },
+  low: { label: 'Low', color: '#3acc82', rank: 3 }
+};
+
+const DEFAULT_STATUS = 'idle';
+const DEFAULT_PRIORITY = 'medium';
+
+/** A structured validation problem, sent as a 422 response body */
+function invalid(code, field, value, allowed, message) {
+  return { error: message, code, field, value, allowed };
+}
+
+/**
+ * Check an agent's move from status `from` to `to`, returning a problem or null. Agents whose
+ * current status predates the registry may move to any reported status.
+ */
+function checkStatusChange(from, to) {
+  const reportable = Object.keys(AGENT_STATUSES).filter(status => AGENT_STATUSES[status].reported !== false);
+  if (typeof to !== 'string' || !Object.hasOwn(AGENT_STATUSES, to)) {
+    return invalid('invalid_status', 'status', to, reportable, `status must be one of: ${reportable.join(', ')}`);
+  }
+  if (AGENT_STATUSES[to].reported === false) {
+    return invalid('invalid_status', 'status', to, reportable, `${to} is set by the station and can't be reported`);
+  }
+  if (from === to || !Object.hasOwn(AGENT_STATUSES, from)) return null;
+  
+  const allowed = AGENT_STATUSES[from].transitions.filter(status => AGENT_STATUSES[status].reported !== false);
+  if (!allowed.includes(to)) {
+    return { ...invalid('invalid_transition', 'status', to, allowed, `An agent can't go from ${from} to ${to} (allowed: ${allowed.join(', ')})`), from };
+  }
+  return null;
+}
+
+/** Check an activity type, returning a problem or null */
+function checkActivityType(type) {
+  if (typeof type === 'string' && Object.hasOwn(ACTIVITY_TYPES, type)) return null;
+  const allowed = Object.keys(ACTIVITY_TYPES);
+  return invalid('invalid_activity_type', 'type', type, allowed, 'type must be a registered activity type (see /api/registry)');
+}
+
+/** Check a review priority, returning a problem or null */
+function checkPriority(priority) {
+  if (typeof priority === 'string' && Object.hasOwn(REVIEW_PRIORITIES, priority)) return null;
+  const allowed = Object.keys(REVIEW_PRIORITIES);
+  return invalid('invalid_priority', 'priority', priority, allowed, `priority must be one of: ${allowed.join(', ')}`);
+}
+
+/** Everything the dashboard needs to label and colour statuses, activities and priorities */
+function getRegistry() {
+  return {
+    statuses: AGENT_STATUSES,
+    activityTypes: ACTIVITY_TYPES,
+    defaultActivityType: DEFAULT_ACTIVITY_TYPE,
+    priorities: REVIEW_PRIORITIES,
+    defaultStatus: DEFAULT_STATUS,
+    defaultPriority: DEFAULT_PRIORITY
+  };
+}
+
+module.exports = {
+  AGENT_STATUSES,
+  ACTIVITY_TYPES,
+  REVIEW_PRIORITIES,
+  DEFAULT_STATUS,
+  DEFAULT_PRIORITY,
+  checkStatusChange,
+  checkActivityType,
+  checkPriority,
+  getRegistry
+};
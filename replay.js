@@ -0,0 +1,71 @@
+/** Demo replay for Puppy Station - plays a recorded activity stream back at real or accelerated speed */
+const fs = require('fs');
+
+let timer = null;
+
+/**
+ * Load a recording. Accepts the data/agents.json layout ({ agents: [{ id, ..., activities }] })
+ * or a plain array of { agentId, type, description, metadata, timestamp } entries.
+ * Returns the agent profiles it mentions and its events, oldest first.
+ */
+function loadRecording(file) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const agents = Array.isArray(data) ? [] : (data.agents || []);
+  const entries = Array.isArray(data)
+    ? data
+    : agents.flatMap(agent => (agent.activities || []).map(activity => ({ ...activity, agentId: agent.id })));
+  
+  const events = entries
+    .map(entry => ({
+      agentId: entry.agentId,
+      type: entry.type,
+      description: entry.description,
+      metadata: entry.metadata || {},
+      at: Date.parse(entry.timestamp)
+    }))
+    .filter(event => event.agentId && event.type && event.description && !isNaN(event.at))
+    .sort((a, b) => a.at - b.at);
+  
+  return { agents: agents.map(({ activities, ...profile }) => profile), events };
+}
+
+/**
+ * Replay events with their recorded spacing divided by `speed`, calling `onEvent` for each.
+ * Gaps are capped at `maxGapSeconds` so long idle stretches don't stall the demo; with `loop`
+ * the recording starts over after its last event.
+ */
+function startReplay(events, { speed = 1, loop = true, maxGapSeconds = 300 } = {}, onEvent) {
+  stopReplay();
+  if (!events.length) return;
+  
+  let index = 0;
+  const scheduleNext = () => {
+    const previous = index > 0 ? events[index - 1] : null;
+    const gap = previous ? Math.min((events[index].at - previous.at) / speed, maxGapSeconds * 1000) : 1000;
+    
+    timer = setTimeout(() => {
+      try {
+        onEvent(events[index]);
+      } catch (err) {
+        console.error('Failed to replay event:', err);
+      }
+      
+      index++;
+      if (index >= events.length) {
+        if (!loop) return;
+        index = 0;
+      }
+      scheduleNext();
+    }, gap);
+  };
+  
+  scheduleNext();
+}
+
+/** Stop replaying */
+function stopReplay() {
+  if (timer) clearTimeout(timer);
+  timer = null;
+}
+
+module.exports = { loadRecording, startReplay, stopReplay };
@@ -0,0 +1,387 @@
+/** Reports for Puppy Station - CSV/NDJSON exports and the daily fleet digest */
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const { config } = require('./config');
+const {
+  getActivitiesForExport,
+  getReviewsForExport,
+  getTasksForExport,
+  countActivitiesByAgent,
+  getTasksEnded,
+  getReviewTurnaround,
+  getErrorSummary
+} = require('./db');
+
+const EXPORT_FORMATS = ['csv', 'ndjson'];
+// Rows fetched per query while streaming an export
+const EXPORT_PAGE_SIZE = 1000;
+
+// What can be exported: the page query and the CSV columns (NDJSON rows carry every column)
+const EXPORTS = {
+  activities: {
+    fetch: getActivitiesForExport,
+    columns: ['id', 'timestamp', 'agent_id', 'agent_name', 'type', 'description', 'metadata']
+  },
+  reviews: {
+    fetch: getReviewsForExport,
+    columns: ['id', 'agent_id', 'priority', 'status', 'question', 'answer', 'answered_by', 'task_id',
+      'created_at', 'answered_at', 'resolved_at']
+  },
+  tasks: {
+    fetch: getTasksForExport,
+    columns: ['id', 'agent_id', 'title', 'status', 'outcome', 'blocked_reason', 'time_spent_seconds',
+      'created_by', 'created_at', 'started_at', 'ended_at']
+  }
+};
+
+let timer = null;
+let nextRunAt = null;
+
+/** Activities carry their metadata as JSON text; exports give it as an object */
+function exportRow(row) {
+  if (!('metadata_json' in row)) return row;
+  
+  const { metadata_json, ...rest } = row;
+  let metadata = {};
+  try { metadata = JSON.parse(metadata_json || '{}'); } catch (err) { metadata = { raw: metadata_json }; }
+  return { ...rest, metadata };
+}
+
+/** One CSV field, quoted when it holds a comma, quote or line break */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write every row of an export to a stream, a page at a time and waiting for the stream to drain.
+ * Stops early if the stream is destroyed (e.g. the client went away). Returns the number of rows.
+ */
+async function writeExport(stream, kind, filter, format) {
+  const { fetch, columns } = EXPORTS[kind];
+  if (format === 'csv') stream.write(columns.join(',') + '\r\n');
+  
+  let afterId = 0;
+  let count = 0;
+  let page;
+  while (!stream.destroyed && (page = fetch(filter, { afterId, limit: EXPORT_PAGE_SIZE })).length) {
+    const rows = page.map(exportRow);
+    const chunk = format === 'csv'
+      ? rows.map(row => columns.map(column => csvField(row[column])).join(',') + '\r\n').join('')
+      : rows.map(row => JSON.stringify(row) + '\n').join('');
+    if (!stream.write(chunk)) await once(stream, 'drain');
+    
+    afterId = page[page.length - 1].id;
+    count += page.length;
+  }
+  return count;
+}
+
+/** The UTC day before `now` as YYYY-MM-DD */
+function previousDay(now = new Date()) {
+  return new Date(now.getTime() - 86400000).toISOString().slice(0, 10);
+}
+
+/** Whether a string is a real YYYY-MM-DD date */
+function isDigestDate(date) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) return false;
+  // Out-of-range months are an Invalid Date; days past the month's end roll over into the next month
+  const day = new Date(`${date}T00:00:00Z`);
+  return !isNaN(day.getTime()) && day.toISOString().startsWith(date);
+}
+
+/** Compact duration such as 45s, 12m, 3h 4m or 2d 5h */
+function formatDuration(seconds) {
+  if (seconds === null || seconds === undefined) return '-';
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ${Math.floor(seconds % 3600 / 60)}m`;
+  return `${Math.floor(seconds / 86400)}d ${Math.floor(seconds % 86400 / 3600)}h`;
+}
+
+/**
+ * Gather the digest of one UTC day: activity counts by agent and type, tasks that ended, reviews
+ * opened and decided (with turnaround) and the most frequent errors
+ */
+function buildDigest(date = previousDay()) {
+  const since = new Date(`${date}T00:00:00Z`);
+  const until = new Date(since.getTime() + 86400000);
+  
+  const agents = new Map();
+  const agentEntry = (id, name = id, emoji = null) => {
+    if (!agents.has(id)) agents.set(id, { id, name, emoji, activities: 0, byType: {}, tasksCompleted: 0, tasksFailed: 0 });
+    return agents.get(id);
+  };
+  for (const row of countActivitiesByAgent(since, until)) {
+    const agent = agentEntry(row.agent_id, row.agent_name, row.agent_emoji);
+    agent.activities += row.count;
+    agent.byType[row.type] = row.count;
+  }
+  
+  const ended = getTasksEnded(since, until);
+  const completed = ended.filter(task => task.status === 'done');
+  const failed = ended.filter(task => task.status === 'failed');
+  for (const task of completed) agentEntry(task.agent_id).tasksCompleted++;
+  for (const task of failed) agentEntry(task.agent_id).tasksFailed++;
+  
+  const { opened, decided } = getReviewTurnaround(since, until);
+  const turnarounds = decided.map(review => review.turnaround_seconds).sort((a, b) => a - b);
+  const middle = Math.floor(turnarounds.length / 2);
+  const errors = getErrorSummary(since, until, config.digest.maxErrors);
+  const list = [...agents.values()].sort((a, b) => b.activities - a.activities || a.id.localeCompare(b.id));
+  
+  return {
+    date,
+    since: since.toISOString(),
+    until: until.toISOString(),
+    generatedAt: new Date().toISOString(),
+    totals: {
+      activities: list.reduce((sum, agent) => sum + agent.activities, 0),
+      tasksCompleted: completed.length,
+      tasksFailed: failed.length,
+      reviewsOpened: opened.length,
+      reviewsDecided: decided.length,
+      errors: list.reduce((sum, agent) => sum + (agent.byType.error || 0), 0)
+    },
+    agents: list,
+    tasks: { completed, failed },
+    reviews: {
+      opened,
+      decided,
+      medianTurnaroundSeconds: turnarounds.length
+        ? (turnarounds.length % 2 ? turnarounds[middle] : Math.round((turnarounds[middle - 1] + turnarounds[middle]) / 2))
+        : null,
+      averageTurnaroundSeconds: turnarounds.length
+        ? Math.round(turnarounds.reduce((sum, seconds) => sum + seconds, 0) / turnarounds.length)
+        : null
+    },
+    errors
+  };
+}
+
+/** The headline figures as one sentence */
+function digestSummary({ totals, reviews }) {
+  const turnaround = reviews.medianTurnaroundSeconds === null ? '' : `, median turnaround ${formatDuration(reviews.medianTurnaroundSeconds)}`;
+  return `${totals.activities} activities, ${totals.tasksCompleted} tasks completed, ${totals.tasksFailed} failed, ` +
+    `${totals.reviewsOpened} reviews opened, ${totals.reviewsDecided} decided${turnaround}, ${totals.errors} errors`;
+}
+
+const byTypeText = agent => Object.entries(agent.byType).map(([type, count]) => `${type} ${count}`).join(', ');
+const agentLabel = agent => (agent.emoji ? `${agent.emoji} ` : '') + agent.name;
+const taskAgent = (digest, task) => (digest.agents.find(agent => agent.id === task.agent_id) || { name: task.agent_id }).name;
+
+/** Markdown text safe inside a table cell or list item */
+function mdText(text) {
+  return String(text === null || text === undefined ? '' : text).replace(/\s*[\r\n]+\s*/g, ' ').replace(/([\\|*_`[\]])/g, '\\$1');
+}
+
+/** The digest as Markdown, for pasting into status updates */
+function renderDigestMarkdown(digest) {
+  const lines = [
+    `# Fleet digest ${digest.date}`,
+    '',
+    `_${digest.since.slice(0, 16).replace('T', ' ')} to ${digest.until.slice(0, 16).replace('T', ' ')} UTC, generated ${digest.generatedAt.slice(0, 16).replace('T', ' ')} UTC_`,
+    '',
+    digestSummary(digest) + '.',
+    '',
+    '## Agents',
+    ''
+  ];
+  if (digest.agents.length) {
+    lines.push('| Agent | Activities | Tasks done | Tasks failed | By type |', '| --- | ---: | ---: | ---: | --- |');
+    for (const agent of digest.agents) {
+      lines.push(`| ${mdText(agentLabel(agent))} | ${agent.activities} | ${agent.tasksCompleted} | ${agent.tasksFailed} | ${mdText(byTypeText(agent))} |`);
+    }
+  } else {
+    lines.push('No activity.');
+  }
+  
+  const taskLines = tasks => tasks.map(task =>
+    `- **${mdText(taskAgent(digest, task))}**: ${mdText(task.title)} (${formatDuration(task.time_spent_seconds)})` +
+    (task.outcome ? ` - ${mdText(task.outcome)}` : ''));
+  lines.push('', '## Tasks completed', '', ...(digest.tasks.completed.length ? taskLines(digest.tasks.completed) : ['None.']));
+  if (digest.tasks.failed.length) lines.push('', '## Tasks failed', '', ...taskLines(digest.tasks.failed));
+  
+  lines.push('', '## Reviews', '', '### Opened', '');
+  lines.push(...(digest.reviews.opened.length
+    ? digest.reviews.opened.map(review => `- [${review.priority}] **${mdText(review.agent_name)}**: ${mdText(review.question)} (${review.status})`)
+    : ['None.']));
+  lines.push('', '### Decided', '');
+  if (digest.reviews.decided.length) {
+    lines.push(...digest.reviews.decided.map(review =>
+      `- **${mdText(review.agent_name)}**: ${mdText(review.question)} - ${review.status}` +
+      `${review.answered_by ? ` by ${mdText(review.answered_by)}` : ''} after ${formatDuration(review.turnaround_seconds)}`));
+    lines.push('', `Turnaround: median ${formatDuration(digest.reviews.medianTurnaroundSeconds)}, average ${formatDuration(digest.reviews.averageTurnaroundSeconds)}.`);
+  } else {
+    lines.push('None.');
+  }
+  
+  lines.push('', '## Notable errors', '');
+  lines.push(...(digest.errors.length
+    ? digest.errors.map(error => `- **${mdText(error.agent_name)}** ×${error.count}: ${mdText(error.description)} (last at ${error.last_at.slice(11, 16)})`)
+    : ['None.']));
+  return lines.join('\n') + '\n';
+}
+
+function escapeHtml(text) {
+  return String(text === null || text === undefined ? '' : text)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/** The digest as a standalone HTML page */
+function renderDigestHtml(digest) {
+  const list = (items, render) => items.length ? `<ul>${items.map(item => `<li>${render(item)}</li>`).join('')}</ul>` : '<p>None.</p>';
+  const taskItem = task => `<strong>${escapeHtml(taskAgent(digest, task))}</strong>: ${escapeHtml(task.title)} ` +
+    `(${formatDuration(task.time_spent_seconds)})${task.outcome ? ` - ${escapeHtml(task.outcome)}` : ''}`;
+  
+  let body = `<h1>Fleet digest ${digest.date}</h1>`;
+  body += `<p class="meta">${escapeHtml(digest.since.slice(0, 16).replace('T', ' '))} to ${escapeHtml(digest.until.slice(0, 16).replace('T', ' '))} UTC, ` +
+    `generated ${escapeHtml(digest.generatedAt.slice(0, 16).replace('T', ' '))} UTC</p>`;
+  body += `<p>${escapeHtml(digestSummary(digest))}.</p>`;
+  
+  body += '<h2>Agents</h2>';
+  if (digest.agents.length) {
+    body += '<table><thead><tr><th>Agent</th><th>Activities</th><th>Tasks done</th><th>Tasks failed</th><th>By type</th></tr></thead><tbody>';
+    for (const agent of digest.agents) {
+      body += `<tr><td>${escapeHtml(agentLabel(agent))}</td><td class="num">${agent.activities}</td><td class="num">${agent.tasksCompleted}</td>` +
+        `<td class="num">${agent.tasksFailed}</td><td>${escapeHtml(byTypeText(agent))}</td></tr>`;
+    }
+    body += '</tbody></table>';
+  } else {
+    body += '<p>No activity.</p>';
+  }
+  
+  body += '<h2>Tasks completed</h2>' + list(digest.tasks.completed, taskItem);
+  if (digest.tasks.failed.length) body += '<h2>Tasks failed</h2>' + list(digest.tasks.failed, taskItem);
+  
+  body += '<h2>Reviews</h2><h3>Opened</h3>' + list(digest.reviews.opened, review =>
+    `[${escapeHtml(review.priority)}] <strong>${escapeHtml(review.agent_name)}</strong>: ${escapeHtml(review.question)} (${escapeHtml(review.status)})`);
+  body += '<h3>Decided</h3>' + list(digest.reviews.decided, review =>
+    `<strong>${escapeHtml(review.agent_name)}</strong>: ${escapeHtml(review.question)} - ${escapeHtml(review.status)}` +
+    `${review.answered_by ? ` by ${escapeHtml(review.answered_by)}` : ''} after ${formatDuration(review.turnaround_seconds)}`);
+  if (digest.reviews.decided.length) {
+    body += `<p>Turnaround: median ${formatDuration(digest.reviews.medianTurnaroundSeconds)}, average ${formatDuration(digest.reviews.averageTurnaroundSeconds)}.</p>`;
+  }
+  
+  body += '<h2>Notable errors</h2>' + list(digest.errors, error =>
+    `<strong>${escapeHtml(error.agent_name)}</strong> ×${error.count}: ${escapeHtml(error.description)} (last at ${escapeHtml(error.last_at.slice(11, 16))})`);
+  
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Fleet digest ${digest.date}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; max-width: 860px; margin: 2rem auto; padding: 0 1rem; color: #222; background: #f6f0e2; }
+  h1 { font-weight: 600; }
+  h2 { margin-top: 2rem; border-bottom: 1px solid #ddd3bd; padding-bottom: 0.25rem; }
+  .meta { color: #777; font-size: 0.875rem; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: 0.375rem 0.5rem; border-bottom: 1px solid #ddd3bd; vertical-align: top; }
+  .num { text-align: right; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+/** Directory digests are saved to */
+function digestDir() {
+  return path.resolve(__dirname, config.digest.dir);
+}
+
+/** Build one day's digest and write it as Markdown and HTML; returns the file paths */
+function saveDigest(date = previousDay()) {
+  const digest = buildDigest(date);
+  const dir = digestDir();
+  fs.mkdirSync(dir, { recursive: true });
+  
+  const files = {
+    md: path.join(dir, `digest-${date}.md`),
+    html: path.join(dir, `digest-${date}.html`)
+  };
+  fs.writeFileSync(files.md, renderDigestMarkdown(digest));
+  fs.writeFileSync(files.html, renderDigestHtml(digest));
+  return files;
+}
+
+/** Days with a saved digest, newest first */
+function getSavedDigests() {
+  if (!fs.existsSync(digestDir())) return [];
+  
+  const dates = new Set();
+  for (const file of fs.readdirSync(digestDir())) {
+    const match = /^digest-(\d{4}-\d{2}-\d{2})\.(md|html)$/.exec(file);
+    if (match) dates.add(match[1]);
+  }
+  return [...dates].sort().reverse();
+}
+
+/** Status for the API: the schedule and the saved digests */
+function getDigestStatus() {
+  return {
+    enabled: config.digest.enabled,
+    dir: config.digest.dir,
+    at: config.digest.at,
+    nextRunAt: nextRunAt && nextRunAt.toISOString(),
+    saved: getSavedDigests()
+  };
+}
+
+/** Next time of day `at` (HH:MM, UTC) after now */
+function nextDigestTime(now = new Date()) {
+  const [hours, minutes] = config.digest.at.split(':').map(Number);
+  const next = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), hours, minutes));
+  if (next <= now) next.setUTCDate(next.getUTCDate() + 1);
+  return next;
+}
+
+/** Save the previous day's digest every day at `at`, and right away if it is missing */
+function startDigests() {
+  const run = () => {
+    try {
+      const files = saveDigest(previousDay());
+      console.log(`✅ Saved digest ${files.md}`);
+    } catch (err) {
+      console.error('Digest error:', err);
+    }
+  };
+  const schedule = () => {
+    nextRunAt = nextDigestTime();
+    timer = setTimeout(() => {
+      run();
+      schedule();
+    }, nextRunAt.getTime() - Date.now());
+  };
+
+  if (!getSavedDigests().includes(previousDay())) run();
+  schedule();
+  
+  console.log(`✅ Daily digest scheduled at ${config.digest.at} UTC (saved to ${config.digest.dir})`);
+}
+
+function stopDigests() {
+  clearTimeout(timer);
+  timer = null;
+  nextRunAt = null;
+}
+
+module.exports = {
+  EXPORTS,
+  EXPORT_FORMATS,
+  writeExport,
+  previousDay,
+  isDigestDate,
+  buildDigest,
+  renderDigestMarkdown,
+  renderDigestHtml,
+  saveDigest,
+  getDigestStatus,
+  startDigests,
+  stopDigests
+};
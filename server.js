@@ -2,228 +2,1718 @@ const express = require('express');
 const WebSocket = require('ws');
 const http = require('http');
 const path = require('path');
-const si = require('systeminformation');
-const chokidar = require('chokidar');
+const fs = require('fs');
 const { 
+  AGENT_PROFILE_FIELDS,
   initDb, 
+  onActivity,
   logActivity, 
+  logActivities,
   updateAgentTask, 
+  TASK_STATUSES,
+  TASK_ACTIONS,
+  createTask,
+  transitionTask,
+  getTask,
+  getTasks,
+  assignTask,
+  claimTask,
+  claimNextTask,
+  releaseAgentTasks,
+  getTaskAssignments,
+  getTaskReviews,
   getAllAgents, 
   getAgent, 
-  getRecentActivities, 
-  getAgentActivities,
+  createAgent,
+  updateAgent,
+  archiveAgent,
+  setAgentApiKeyHash,
+  getActivitiesSince,
+  queryActivities,
+  decodeActivityCursor,
+  DECIDED_REVIEW_STATUSES,
   getPendingReviews, 
+  getReview,
+  getReviews,
   addReview, 
   resolveReview,
-  updateAgentStatus
+  answerReview,
+  dismissReview,
+  snoozeReview,
+  wakeSnoozedReviews,
+  acknowledgeReview,
+  addReviewComment,
+  getReviewComments,
+  updateAgentStatus,
+  markAgentSeen,
+  recordTokenUsage,
+  getUsageTotals,
+  getUsageBreakdown,
+  getUsageRollup,
+  getFileSnapshot,
+  getLatestFileSnapshot,
+  getFileSnapshots,
+  getSnapshotFiles,
+  getActivityRollups,
+  linkAgentProcess,
+  getAgentProcessLinks,
+  endAgentProcessLinks,
+  getProcessHistory,
+  getAgentActivityRate,
+  addAlertSilence,
+  getActiveAlertSilences,
+  endAlertSilence,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhook,
+  getWebhooks,
+  getWebhookDelivery,
+  getWebhookDeliveries,
+  requeueWebhookDelivery,
+  DB_PATH
 } = require('./db');
+const { config } = require('./config');
+const { calculateCost, getPriceTable } = require('./pricing');
+const {
+  hashToken,
+  generateApiKey,
+  isAuthEnabled,
+  isAdminLoginConfigured,
+  checkAdminPassword,
+  isLoginThrottled,
+  recordLoginResult,
+  authenticate,
+  attachAuth,
+  requireAdmin,
+  requireCoordinator,
+  requireAgent,
+  startSession,
+  endSession
+} = require('./auth');
+const { SILENT_STATUSES, startLivenessMonitor } = require('./liveness');
+const { DEFAULT_STATUS, DEFAULT_PRIORITY, checkStatusChange, checkActivityType, checkPriority, getRegistry } = require('./registry');
+const { leaseSeconds, startLeaseMonitor } = require('./queue');
+const { startWatcher } = require('./watcher');
+const { captureSnapshot, diffSnapshots } = require('./snapshots');
+const { loadRecording, startReplay } = require('./replay');
+const { collectSample, getLatestSample, getHistory, startMetricsSampler } = require('./metrics');
+const { runMaintenance, isMaintenanceRunning, getMaintenanceStatus, startMaintenance } = require('./maintenance');
+const {
+  findProcess,
+  getProcessState,
+  getProcessStates,
+  clearProcessState,
+  startProcessMonitor
+} = require('./processes');
+const { listAlerts, getAlertRules, startAlerts } = require('./alerts');
+const { generateSecret, dispatchEvent, processDueDeliveries, sendTestEvent, startWebhooks } = require('./webhooks');
+const {
+  EXPORTS,
+  EXPORT_FORMATS,
+  writeExport,
+  previousDay,
+  isDigestDate,
+  buildDigest,
+  renderDigestMarkdown,
+  renderDigestHtml,
+  saveDigest,
+  getDigestStatus,
+  startDigests
+} = require('./reports');
+const {
+  parseStreamFilter,
+  parseEventId,
+  recordEvent,
+  matchesFilter,
+  eventsSince,
+  getLastEventId
+} = require('./stream');
 
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
+// Socket clients authenticate like HTTP clients: an agent key or an admin session cookie
+const wss = new WebSocket.Server({
+  server,
+  verifyClient: (info, done) => {
+    try {
+      const auth = authenticate(info.req);
+      if (!auth) return done(false, 401, 'Authentication required');
+      info.req.auth = auth;
+      done(true);
+    } catch (err) {
+      console.error('WebSocket auth error:', err);
+      done(false, 500);
+    }
+  }
+});
+
+const PORT = process.env.PORT || 8080;
+const AGENT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+// Demo mode replays a recorded activity stream into its own database
+const DEMO_MODE = config.demo.enabled || process.argv.includes('--demo');
+const speedArg = process.argv.find(arg => arg.startsWith('--speed='));
+const DEMO_SPEED = speedArg ? Number(speedArg.slice('--speed='.length)) : config.demo.speed;
+if (typeof DEMO_SPEED !== 'number' || !Number.isFinite(DEMO_SPEED) || DEMO_SPEED <= 0) {
+  console.error(`❌ ${speedArg ? '--speed' : 'demo.speed'} must be a positive number`);
+  process.exit(1);
+}
+
+/** Open the demo database, never the real one */
+function openDemoDb() {
+  const dbPath = path.resolve(__dirname, config.demo.dbPath);
+  if (dbPath === DB_PATH) throw new Error('demo.dbPath must not point at the real database');
+  
+  if (config.demo.reset) {
+    for (const suffix of ['', '-wal', '-shm']) fs.rmSync(dbPath + suffix, { force: true });
+  }
+  return initDb(dbPath);
+}
+
+// Initialize database
+let db;
+try {
+  db = DEMO_MODE ? openDemoDb() : initDb();
+  console.log('✅ Database connected');
+} catch (err) {
+  console.error('❌ Database initialization failed:', err);
+  process.exit(1);
+}
+
+// Static files
+app.use(express.static(path.join(__dirname, 'public')));
+// Batches may be much larger than other requests, and may be sent as NDJSON
+app.use('/api/activities/batch',
+  express.json({ limit: config.ingest.maxBodySize }),
+  express.text({ type: 'application/x-ndjson', limit: config.ingest.maxBodySize }));
+app.use(express.json());
+app.use(attachAuth);
+
+if (!isAuthEnabled()) {
+  console.warn('⚠️  Authentication is disabled (auth.enabled = false): anyone can write to the API');
+} else if (!isAdminLoginConfigured()) {
+  console.warn('⚠️  No admin password set (PUPPY_ADMIN_PASSWORD or auth.adminPasswordHash): admin actions are unavailable');
+}
+
+// Every activity written to the database, wherever it was logged, goes out to clients
+onActivity((activity) => {
+  broadcast({ type: 'activity', agentId: activity.agent_id, activity });
+});
+
+// Activity logger middleware for agents
+function logAgentActivity(agentId, type, description, metadata = {}) {
+  try {
+    return logActivity(agentId, type, description, metadata);
+  } catch (err) {
+    console.error('Failed to log activity:', err);
+    return null;
+  }
+}
+
+/** Change an agent's status, log it as an activity and push it to clients */
+function applyStatusChange(agentId, status, metadata = {}) {
+  const success = updateAgentStatus(agentId, status);
+  if (success) {
+    logAgentActivity(agentId, 'status_change', `Status changed to ${status}`, { status, ...metadata });
+    broadcast({ 
+      type: 'status_update', 
+      agentId, 
+      status,
+      timestamp: new Date().toISOString()
+    });
+  }
+  return success;
+}
+
+/** Record that an agent is alive, bringing it back if the liveness monitor had given up on it */
+function noteAgentSeen(agentId, status) {
+  const agent = getAgent(agentId);
+  if (!agent) return null;
+  
+  markAgentSeen(agentId);
+  const seenAt = new Date().toISOString();
+  broadcast({ type: 'heartbeat', agentId, lastSeenAt: seenAt });
+  
+  if (SILENT_STATUSES.includes(agent.status)) {
+    applyStatusChange(agentId, status || 'active', { previous: agent.status, reason: 'heartbeat' });
+  } else if (status && status !== agent.status) {
+    applyStatusChange(agentId, status, { previous: agent.status });
+  }
+  return seenAt;
+}
+
+/**
+ * Check a status an agent reports against its current one. Stale and offline come from the liveness
+ * monitor, so an agent reporting in after them starts afresh rather than being held to their transitions.
+ */
+function checkReportedStatus(agent, status) {
+  return checkStatusChange(SILENT_STATUSES.includes(agent.status) ? null : agent.status, status);
+}
+
+/** Middleware: a write made with an agent's own key counts as a sign of life */
+function agentSeen(req, res, next) {
+  if (req.auth && req.auth.role === 'agent') {
+    try {
+      noteAgentSeen(req.auth.agentId);
+    } catch (err) {
+      console.error('Failed to record agent liveness:', err);
+    }
+  }
+  next();
+}
+
+/** Validate agent registry input, returning an error message or null */
+function validateAgentInput(body, { requireName }) {
+  if (requireName && (typeof body.name !== 'string' || !body.name.trim())) {
+    return 'name is required';
+  }
+  for (const field of AGENT_PROFILE_FIELDS) {
+    const value = body[field];
+    if (value === undefined) continue;
+    if (typeof value !== 'string' || !value.trim()) return `${field} must be a non-empty string`;
+    if (value.length > 120) return `${field} must be at most 120 characters`;
+    // Shown as-is on agent cards, so a few characters and nothing that looks like markup
+    if (field === 'emoji' && (value.length > 16 || /[<>&"'`]/.test(value))) {
+      return 'emoji must be at most 16 characters, without <, >, &, quotes or backticks';
+    }
+  }
+  return null;
+}
+
+// Auth API
+app.post('/api/auth/login', (req, res) => {
+  const address = req.ip;
+  if (isLoginThrottled(address)) {
+    return res.status(429).json({ error: 'Too many failed logins, try again later' });
+  }
+  if (!isAdminLoginConfigured()) {
+    return res.status(503).json({ error: 'Admin login is not configured' });
+  }
+  
+  const success = checkAdminPassword(req.body.password);
+  recordLoginResult(address, success);
+  if (!success) return res.status(401).json({ error: 'Invalid password' });
+  
+  startSession(res);
+  res.json({ authenticated: true, role: 'admin' });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  endSession(req, res);
+  res.json({ authenticated: false });
+});
+
+app.get('/api/auth/session', (req, res) => {
+  res.json({
+    authEnabled: isAuthEnabled(),
+    authenticated: !!req.auth,
+    role: req.auth ? req.auth.role : null,
+    agentId: req.auth ? req.auth.agentId || null : null
+  });
+});
+
+// Allowed statuses (with their transitions), activity types and review priorities. Writes outside
+// them are rejected with 422 and a body of { error, code, field, value, allowed }
+app.get('/api/registry', (req, res) => {
+  res.json(getRegistry());
+});
+
+// API Routes
+app.get('/api/agents', (req, res) => {
+  try {
+    const agents = getAllAgents({ includeArchived: req.query.archived === 'true' });
+    res.json(agents);
+  } catch (err) {
+    console.error('Error fetching agents:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/agents/:id', (req, res) => {
+  try {
+    const agent = getAgent(req.params.id);
+    if (!agent) return res.status(404).json({ error: 'Agent not found' });
+    res.json(agent);
+  } catch (err) {
+    console.error('Error fetching agent:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Agent registry: register, edit and retire agents
+app.post('/api/agents', requireAdmin, (req, res) => {
+  try {
+    const { id, status } = req.body;
+    if (typeof id !== 'string' || !AGENT_ID_PATTERN.test(id)) {
+      return res.status(400).json({ error: 'id must be lowercase letters, digits, "-" or "_" (max 32 characters)' });
+    }
+    
+    const error = validateAgentInput(req.body, { requireName: true });
+    if (error) return res.status(400).json({ error });
+    if (status !== undefined) {
+      const problem = checkStatusChange(null, status);
+      if (problem) return res.status(422).json(problem);
+    }
+    
+    const existing = getAgent(id, { includeArchived: true });
+    if (existing && !existing.archived_at) {
+      return res.status(409).json({ error: 'Agent already exists' });
+    }
+    
+    const fields = { id, status: status || DEFAULT_STATUS };
+    for (const field of AGENT_PROFILE_FIELDS) {
+      if (req.body[field] !== undefined) fields[field] = req.body[field].trim();
+    }
+    
+    const agent = createAgent(fields);
+    const apiKey = generateApiKey(id);
+    setAgentApiKeyHash(id, hashToken(apiKey));
+    
+    const verb = existing ? 'restored' : 'registered';
+    logAgentActivity(id, 'agent_created', `${agent.name} ${verb}`, { restored: !!existing });
+    broadcast({ type: 'agent_created', agent });
+    // The key is only ever shown here; the database keeps its hash
+    res.status(201).json({ ...agent, apiKey });
+  } catch (err) {
+    console.error('Error creating agent:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/** Shared handler for PUT (full profile) and PATCH (partial profile) */
+function handleAgentUpdate(req, res, { replace }) {
+  try {
+    const error = validateAgentInput(req.body, { requireName: replace });
+    if (error) return res.status(400).json({ error });
+    
+    const agent = getAgent(req.params.id);
+    if (!agent) return res.status(404).json({ error: 'Agent not found' });
+    
+    const fields = {};
+    for (const field of AGENT_PROFILE_FIELDS) {
+      if (req.body[field] !== undefined) fields[field] = req.body[field].trim();
+    }
+    if (replace) {
+      fields.emoji = fields.emoji || '🐕';
+      fields.role = fields.role || 'Agent';
+      fields.model = fields.model || 'unknown';
+    }
+    
+    const changed = Object.keys(fields).filter(field => fields[field] !== agent[field]);
+    if (changed.length > 0) {
+      updateAgent(req.params.id, fields);
+      logAgentActivity(req.params.id, 'agent_updated', `Updated ${changed.join(', ')}`, { fields: changed });
+    }
+    
+    const updated = getAgent(req.params.id);
+    if (changed.length > 0) broadcast({ type: 'agent_updated', agent: updated });
+    res.json(updated);
+  } catch (err) {
+    console.error('Error updating agent:', err);
+    res.status(500).json({ error: err.message });
+  }
+}
+
+app.put('/api/agents/:id', requireAdmin, (req, res) => handleAgentUpdate(req, res, { replace: true }));
+app.patch('/api/agents/:id', requireAdmin, (req, res) => handleAgentUpdate(req, res, { replace: false }));
+
+app.delete('/api/agents/:id', requireAdmin, (req, res) => {
+  try {
+    const agent = getAgent(req.params.id);
+    if (!agent) return res.status(404).json({ error: 'Agent not found' });
+    
+    // Its open tasks go back to the shared queue for another agent to pick up
+    const released = releaseAgentTasks(req.params.id);
+    archiveAgent(req.params.id);
+    logAgentActivity(req.params.id, 'agent_removed', `${agent.name} archived`, {});
+    broadcast({ type: 'agent_removed', agentId: req.params.id });
+    for (const taskId of released) broadcastTaskUpdate(getTask(taskId), 'release', { previousAgentId: req.params.id });
+    res.json({ success: true, agentId: req.params.id });
+  } catch (err) {
+    console.error('Error archiving agent:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/** The first of ?since and ?until that is set but is neither an ISO date nor epoch milliseconds */
+function invalidTimeParam(query) {
+  return ['since', 'until'].find(key =>
+    query[key] && isNaN(new Date(/^\d+$/.test(query[key]) ? Number(query[key]) : query[key]).getTime()));
+}
+
+/** Parse activity history query parameters, returning { filter } or { error } */
+function parseActivityQuery(query) {
+  const limit = parseInt(query.limit) || 20;
+  if (limit < 1 || limit > 200) return { error: 'limit must be between 1 and 200' };
+  if (query.cursor && !decodeActivityCursor(query.cursor)) return { error: 'Invalid cursor' };
+  const invalidTime = invalidTimeParam(query);
+  if (invalidTime) return { error: `${invalidTime} must be an ISO date or epoch milliseconds` };
+  
+  return {
+    filter: {
+      agentId: query.agent,
+      types: query.type ? String(query.type).split(',').filter(Boolean) : [],
+      since: query.since,
+      until: query.until,
+      q: query.q,
+      cursor: query.cursor,
+      limit
+    }
+  };
+}
+
+/** Send a page of activities; the cursor for the next page goes in X-Next-Cursor */
+function sendActivityPage(res, filter) {
+  const { activities, nextCursor } = queryActivities(filter);
+  if (nextCursor) res.set('X-Next-Cursor', nextCursor);
+  res.json(activities);
+}
+
+// Issue (or rotate) an agent's API key; the old key stops working immediately
+app.post('/api/agents/:id/key', requireAdmin, (req, res) => {
+  try {
+    const agent = getAgent(req.params.id);
+    if (!agent) return res.status(404).json({ error: 'Agent not found' });
+    
+    const apiKey = generateApiKey(agent.id);
+    setAgentApiKeyHash(agent.id, hashToken(apiKey));
+    res.status(201).json({ agentId: agent.id, apiKey });
+  } catch (err) {
+    console.error('Error issuing API key:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/agents/:id/key', requireAdmin, (req, res) => {
+  try {
+    const agent = getAgent(req.params.id);
+    if (!agent) return res.status(404).json({ error: 'Agent not found' });
+    
+    setAgentApiKeyHash(agent.id, null);
+    res.json({ success: true, agentId: agent.id });
+  } catch (err) {
+    console.error('Error revoking API key:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/agents/:id/activity', (req, res) => {
+  try {
+    const agent = getAgent(req.params.id, { includeArchived: true });
+    if (!agent) return res.status(404).json({ error: 'Agent not found' });
+    
+    const { filter, error } = parseActivityQuery(req.query);
+    if (error) return res.status(400).json({ error });
+    
+    sendActivityPage(res, { ...filter, agentId: req.params.id });
+  } catch (err) {
+    console.error('Error fetching activities:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Bucket sizes for activity rates, picked so a range comes out at up to about 60 bars
+const RATE_STEPS = [60, 300, 900, 1800, 3600, 10800, 21600, 86400];
+
+// Activity, error and token counts over time: ?range=24h (at most 90d)
+app.get('/api/agents/:id/activity/rate', (req, res) => {
+  try {
+    const agent = getAgent(req.params.id, { includeArchived: true });
+    if (!agent) return res.status(404).json({ error: 'Agent not found' });
+    
+    const seconds = parseRange(req.query.range || '24h');
+    if (!seconds || seconds > 90 * 86400) {
+      return res.status(400).json({ error: 'range must look like 15m, 6h or 7d and be at most 90d' });
+    }
+    
+    const step = RATE_STEPS.find(candidate => candidate >= seconds / 60) || RATE_STEPS[RATE_STEPS.length - 1];
+    const until = Math.ceil(Date.now() / 1000);
+    const since = Math.floor((until - seconds) / step) * step;
+    res.json({
+      agentId: agent.id,
+      since: new Date(since * 1000).toISOString(),
+      until: new Date(until * 1000).toISOString(),
+      step,
+      buckets: getAgentActivityRate(agent.id, since, until, step)
+    });
+  } catch (err) {
+    console.error('Error fetching activity rate:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Tell clients about a task change; `task` stays the agent's current task title for older
+ * clients. When the task changed hands, `previous` carries the old agent's current task.
+ */
+function broadcastTaskUpdate(record, action, { previousAgentId = null, ...extra } = {}) {
+  const agent = record.agent_id ? getAgent(record.agent_id) : null;
+  const previous = previousAgentId && previousAgentId !== record.agent_id ? getAgent(previousAgentId) : null;
+  broadcast({
+    type: 'task_update',
+    agentId: record.agent_id,
+    task: agent ? agent.current_task : null,
+    currentTaskId: agent ? agent.current_task_id : null,
+    action,
+    record,
+    ...(previous ? { previous: { agentId: previous.id, task: previous.current_task, currentTaskId: previous.current_task_id } } : {}),
+    ...extra,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/** Check a task's title and description; returns an error message or null */
+function validateTaskInput({ title, description }) {
+  if (typeof title !== 'string' || !title.trim() || title.length > 200) {
+    return 'title must be a non-empty string of at most 200 characters';
+  }
+  if (description !== undefined && description !== null && (typeof description !== 'string' || description.length > 2000)) {
+    return 'description must be a string of at most 2000 characters';
+  }
+  return null;
+}
+
+/** Check an optional note, outcome or reason; returns an error message or null */
+function validateTaskNote(field, value) {
+  if (value !== undefined && value !== null && (typeof value !== 'string' || value.length > 500)) {
+    return `${field} must be a string of at most 500 characters`;
+  }
+  return null;
+}
+
+/** Parse a comma-separated task status filter; returns { statuses } or { error } */
+function parseTaskStatuses(value) {
+  const statuses = value ? String(value).split(',').filter(Boolean) : [];
+  const invalid = statuses.find(status => !TASK_STATUSES.includes(status));
+  if (invalid) return { error: `status must be one of: ${TASK_STATUSES.join(', ')}` };
+  return { statuses };
+}
+
+// Set the agent's task from a plain string: a new title completes the current task and starts another
+app.post('/api/agents/:id/task', requireAgent(), agentSeen, (req, res) => {
+  try {
+    const { task, summary } = req.body;
+    if (!task) {
+      return res.status(400).json({ error: 'Task is required' });
+    }
+    if (summary !== undefined && (typeof summary !== 'string' || summary.length > 500)) {
+      return res.status(400).json({ error: 'summary must be a string of at most 500 characters' });
+    }
+    
+    const agent = getAgent(req.params.id);
+    if (!agent) return res.status(404).json({ error: 'Agent not found' });
+    
+    const record = updateAgentTask(req.params.id, task, summary || null);
+    if (record) {
+      broadcastTaskUpdate(record, 'set', summary ? { summary } : {});
+      res.json({ success: true, task, record });
+    } else {
+      res.status(500).json({ error: 'Failed to update task' });
+    }
+  } catch (err) {
+    console.error('Error updating task:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Tasks across agents: ?agent= or ?unassigned=1, ?status=queued,in_progress, ?limit= (per agent with ?perAgent=1)
+app.get('/api/tasks', (req, res) => {
+  try {
+    const { statuses, error } = parseTaskStatuses(req.query.status);
+    if (error) return res.status(400).json({ error });
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    
+    res.json(getTasks({
+      agentId: req.query.agent || null,
+      unassigned: ['1', 'true'].includes(req.query.unassigned),
+      statuses,
+      limit,
+      perAgent: ['1', 'true'].includes(req.query.perAgent)
+    }));
+  } catch (err) {
+    console.error('Error fetching tasks:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/tasks/:id', (req, res) => {
+  try {
+    const task = getTask(req.params.id);
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+    res.json({ ...task, assignments: getTaskAssignments(task.id), reviews: getTaskReviews(task.id) });
+  } catch (err) {
+    console.error('Error fetching task:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// An agent's task history, newest first
+app.get('/api/agents/:id/tasks', (req, res) => {
+  try {
+    const agent = getAgent(req.params.id, { includeArchived: true });
+    if (!agent) return res.status(404).json({ error: 'Agent not found' });
+    
+    const { statuses, error } = parseTaskStatuses(req.query.status);
+    if (error) return res.status(400).json({ error });
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    
+    res.json(getTasks({ agentId: agent.id, statuses, limit }));
+  } catch (err) {
+    console.error('Error fetching tasks:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Create a task, started right away unless status is 'queued'
+app.post('/api/agents/:id/tasks', requireAgent(), agentSeen, (req, res) => {
+  try {
+    const { title, description, status = 'in_progress' } = req.body || {};
+    const error = validateTaskInput({ title, description });
+    if (error) return res.status(400).json({ error });
+    if (!['queued', 'in_progress'].includes(status)) {
+      return res.status(400).json({ error: 'status must be queued or in_progress' });
+    }
+    
+    const agent = getAgent(req.params.id);
+    if (!agent) return res.status(404).json({ error: 'Agent not found' });
+    
+    const task = getTask(createTask(agent.id, { title: title.trim(), description: description || null, status }));
+    broadcastTaskUpdate(task, status === 'queued' ? 'queue' : 'start');
+    res.status(201).json(task);
+  } catch (err) {
+    console.error('Error creating task:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Claim the agent's oldest queued task, else the oldest unassigned one (204 when there is none)
+app.post('/api/agents/:id/tasks/claim', requireAgent(), agentSeen, (req, res) => {
+  try {
+    const { seconds, error } = leaseSeconds((req.body || {}).leaseMinutes);
+    if (error) return res.status(400).json({ error });
+    
+    const agent = getAgent(req.params.id);
+    if (!agent) return res.status(404).json({ error: 'Agent not found' });
+    
+    const taskId = claimNextTask(agent.id, seconds);
+    if (!taskId) return res.status(204).end();
+    
+    const task = getTask(taskId);
+    broadcastTaskUpdate(task, 'claim');
+    res.json(task);
+  } catch (err) {
+    console.error('Error claiming task:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Claim a queued task (unassigned or assigned to this agent) with a lease; claiming it again renews the lease
+app.post('/api/agents/:id/tasks/:taskId/claim', requireAgent(), agentSeen, (req, res) => {
+  try {
+    const { seconds, error } = leaseSeconds((req.body || {}).leaseMinutes);
+    if (error) return res.status(400).json({ error });
+    
+    const agent = getAgent(req.params.id);
+    if (!agent) return res.status(404).json({ error: 'Agent not found' });
+    const task = getTask(req.params.taskId);
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+    
+    const result = claimTask(task.id, agent.id, seconds);
+    if (!result) {
+      return res.status(409).json({
+        error: task.agent_id && task.agent_id !== agent.id
+          ? `Task is assigned to ${task.agent_id}`
+          : task.status === 'in_progress'
+            ? 'Task was started without a lease, so there is none to renew'
+            : `Cannot claim a task that is ${task.status}`
+      });
+    }
+    
+    const claimed = getTask(task.id);
+    broadcastTaskUpdate(claimed, result === 'renewed' ? 'renew' : 'claim');
+    res.json(claimed);
+  } catch (err) {
+    console.error('Error claiming task:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Hand an open task to another agent ({ to, note }); it waits there as queued until claimed or started
+app.post('/api/agents/:id/tasks/:taskId/handoff', requireAgent(), agentSeen, (req, res) => {
+  try {
+    const { to, note } = req.body || {};
+    const error = validateTaskNote('note', note);
+    if (error) return res.status(400).json({ error });
+    if (typeof to !== 'string' || !getAgent(to)) {
+      return res.status(400).json({ error: 'to must be the id of an active agent' });
+    }
+    if (to === req.params.id) return res.status(400).json({ error: 'Cannot hand a task off to its own agent' });
+    
+    const task = getTask(req.params.taskId);
+    if (!task || task.agent_id !== req.params.id) return res.status(404).json({ error: 'Task not found' });
+    
+    if (assignTask(task.id, to, { kind: 'handoff', note: note || null, by: req.auth.name }) === false) {
+      return res.status(409).json({ error: `Cannot hand off a task that is ${task.status}` });
+    }
+    
+    const updated = getTask(task.id);
+    broadcastTaskUpdate(updated, 'handoff', { previousAgentId: req.params.id });
+    res.json(updated);
+  } catch (err) {
+    console.error('Error handing off task:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Add a task to the shared queue, or straight to an agent's queue with agentId (admin or coordinator)
+app.post('/api/tasks', requireCoordinator, (req, res) => {
+  try {
+    const { title, description, agentId } = req.body || {};
+    const error = validateTaskInput({ title, description });
+    if (error) return res.status(400).json({ error });
+    if (agentId !== undefined && agentId !== null && (typeof agentId !== 'string' || !getAgent(agentId))) {
+      return res.status(400).json({ error: 'agentId must be the id of an active agent' });
+    }
+    
+    const task = getTask(createTask(agentId || null, {
+      title: title.trim(),
+      description: description || null,
+      status: 'queued',
+      createdBy: req.auth.name
+    }));
+    broadcastTaskUpdate(task, 'queue');
+    res.status(201).json(task);
+  } catch (err) {
+    console.error('Error creating task:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Assign or reassign an open task ({ agentId, note }); agentId null returns it to the shared queue
+app.post('/api/tasks/:id/assign', requireCoordinator, (req, res) => {
+  try {
+    const { agentId, note } = req.body || {};
+    const error = validateTaskNote('note', note);
+    if (error) return res.status(400).json({ error });
+    if (agentId !== null && (typeof agentId !== 'string' || !getAgent(agentId))) {
+      return res.status(400).json({ error: 'agentId must be the id of an active agent, or null' });
+    }
+    
+    const task = getTask(req.params.id);
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+    
+    const previousAgentId = assignTask(task.id, agentId, { note: note || null, by: req.auth.name });
+    if (previousAgentId === false) {
+      return res.status(409).json({ error: `Cannot reassign a task that is ${task.status}` });
+    }
+    
+    const updated = getTask(task.id);
+    broadcastTaskUpdate(updated, 'assign', { previousAgentId });
+    res.json(updated);
+  } catch (err) {
+    console.error('Error assigning task:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Move a task through its lifecycle: start, block ({ reason }), complete or fail ({ outcome })
+app.post('/api/agents/:id/tasks/:taskId/:action', requireAgent(), agentSeen, (req, res) => {
+  try {
+    const { action } = req.params;
+    if (!Object.prototype.hasOwnProperty.call(TASK_ACTIONS, action)) {
+      return res.status(404).json({ error: `Unknown task action; use one of: ${Object.keys(TASK_ACTIONS).join(', ')}` });
+    }
+    
+    const { outcome, reason } = req.body || {};
+    const error = validateTaskNote('outcome', outcome) || validateTaskNote('reason', reason);
+    if (error) return res.status(400).json({ error });
+    
+    const task = getTask(req.params.taskId);
+    if (!task || task.agent_id !== req.params.id) return res.status(404).json({ error: 'Task not found' });
+    
+    if (!transitionTask(task.id, action, { outcome: outcome || null, reason: reason || null })) {
+      return res.status(409).json({ error: `Cannot ${action} a task that is ${task.status}` });
+    }
+    
+    const updated = getTask(task.id);
+    broadcastTaskUpdate(updated, action);
+    res.json(updated);
+  } catch (err) {
+    console.error('Error updating task:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Current work summary of an agent
+app.get('/api/agents/:id/summary', (req, res) => {
+  try {
+    const agent = getAgent(req.params.id);
+    if (!agent) return res.status(404).json({ error: 'Agent not found' });
+    
+    res.json({
+      agentId: agent.id,
+      summary: agent.summary,
+      currentTask: agent.current_task,
+      status: agent.status,
+      updatedAt: agent.updated_at
+    });
+  } catch (err) {
+    console.error('Error fetching summary:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Update agent status endpoint
+app.post('/api/agents/:id/status', requireAgent(), (req, res) => {
+  try {
+    const { status } = req.body;
+    if (!status) {
+      return res.status(400).json({ error: 'Status is required' });
+    }
+    
+    const agent = getAgent(req.params.id);
+    if (!agent) return res.status(404).json({ error: 'Agent not found' });
+    const problem = checkReportedStatus(agent, status);
+    if (problem) return res.status(422).json(problem);
+    
+    // An agent reporting its own status is also a heartbeat
+    const success = req.auth.role === 'agent'
+      ? !!noteAgentSeen(req.params.id, status)
+      : applyStatusChange(req.params.id, status, { previous: agent.status });
+    if (success) {
+      res.json({ success: true, status });
+    } else {
+      res.status(500).json({ error: 'Failed to update status' });
+    }
+  } catch (err) {
+    console.error('Error updating status:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Heartbeat endpoint: agents call this periodically, optionally reporting a status
+app.post('/api/agents/:id/heartbeat', requireAgent(), (req, res) => {
+  try {
+    const { status } = req.body || {};
+    if (status !== undefined) {
+      const agent = getAgent(req.params.id);
+      if (!agent) return res.status(404).json({ error: 'Agent not found' });
+      const problem = checkReportedStatus(agent, status);
+      if (problem) return res.status(422).json(problem);
+    }
+    
+    const lastSeenAt = noteAgentSeen(req.params.id, status);
+    if (!lastSeenAt) return res.status(404).json({ error: 'Agent not found' });
+    
+    res.json({ success: true, status: getAgent(req.params.id).status, lastSeenAt });
+  } catch (err) {
+    console.error('Error recording heartbeat:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Activity history across all agents: ?agent, ?type (comma separated), ?since, ?until, ?q, ?cursor, ?limit
+app.get('/api/activities', (req, res) => {
+  try {
+    const { filter, error } = parseActivityQuery(req.query);
+    if (error) return res.status(400).json({ error });
+    
+    sendActivityPage(res, filter);
+  } catch (err) {
+    console.error('Error fetching activities:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Rolled-up counts of expired activities: ?bucket=hour|day, ?agent, ?type, ?since, ?until
+app.get('/api/activities/rollups', (req, res) => {
+  try {
+    const bucket = req.query.bucket || 'day';
+    if (bucket !== 'hour' && bucket !== 'day') {
+      return res.status(400).json({ error: 'bucket must be "hour" or "day"' });
+    }
+    
+    res.json(getActivityRollups({
+      bucket,
+      agentId: req.query.agent,
+      type: req.query.type,
+      since: req.query.since,
+      until: req.query.until
+    }));
+  } catch (err) {
+    console.error('Error fetching activity rollups:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Maintenance API
+app.get('/api/maintenance', (req, res) => {
+  try {
+    res.json(getMaintenanceStatus());
+  } catch (err) {
+    console.error('Error fetching maintenance status:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/maintenance/run', requireAdmin, (req, res) => {
+  if (isMaintenanceRunning()) {
+    return res.status(409).json({ error: 'Maintenance is already running' });
+  }
+  
+  runMaintenance();
+  res.status(202).json({ started: true });
+});
+
+// Exports and digests
+/** Parse export filters: ?agent, ?since, ?until, plus ?type and ?q for activities and ?status otherwise */
+function parseExportQuery(kind, query) {
+  const invalidTime = invalidTimeParam(query);
+  if (invalidTime) return { error: `${invalidTime} must be an ISO date or epoch milliseconds` };
+  
+  const filter = { agentId: query.agent, since: query.since, until: query.until };
+  if (kind === 'activities') {
+    filter.types = query.type ? String(query.type).split(',').filter(Boolean) : [];
+    filter.q = query.q;
+  } else if (kind === 'reviews') {
+    filter.statuses = query.status ? parseReviewStatuses(query.status) : [];
+    if (!filter.statuses) return { error: `status must be "all" or a list of: ${REVIEW_STATUSES.join(', ')}` };
+  } else {
+    const { statuses, error } = parseTaskStatuses(query.status);
+    if (error) return { error };
+    filter.statuses = statuses;
+  }
+  return { filter };
+}
+
+// Download activities, reviews or tasks as ?format=csv (default) or ndjson, oldest first
+app.get('/api/export/:kind', async (req, res) => {
+  try {
+    const { kind } = req.params;
+    if (!Object.prototype.hasOwnProperty.call(EXPORTS, kind)) {
+      return res.status(404).json({ error: `Unknown export; use one of: ${Object.keys(EXPORTS).join(', ')}` });
+    }
+    const format = req.query.format || 'csv';
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+    const { filter, error } = parseExportQuery(kind, req.query);
+    if (error) return res.status(400).json({ error });
+    
+    res.attachment(`${kind}-${new Date().toISOString().slice(0, 10)}.${format}`);
+    res.type(format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+    await writeExport(res, kind, filter, format);
+    res.end();
+  } catch (err) {
+    console.error('Error exporting:', err);
+    if (res.headersSent) return res.destroy();
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/digests', (req, res) => {
+  try {
+    res.json(getDigestStatus());
+  } catch (err) {
+    console.error('Error fetching digest status:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// The digest of one UTC day (?date=YYYY-MM-DD, default yesterday) as ?format=md (default), html or json
+app.get('/api/digest', (req, res) => {
+  try {
+    const date = req.query.date || previousDay();
+    if (!isDigestDate(date)) return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    const format = req.query.format || 'md';
+    if (!['md', 'html', 'json'].includes(format)) {
+      return res.status(400).json({ error: 'format must be one of: md, html, json' });
+    }
+    
+    const digest = buildDigest(date);
+    if (format === 'json') return res.json(digest);
+    
+    // ?download=1 saves the file instead of showing it
+    const disposition = req.query.download ? 'attachment' : 'inline';
+    res.set('Content-Disposition', `${disposition}; filename="digest-${date}.${format}"`);
+    if (format === 'html') return res.type('html').send(renderDigestHtml(digest));
+    res.type('text/markdown; charset=utf-8').send(renderDigestMarkdown(digest));
+  } catch (err) {
+    console.error('Error building digest:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Save a digest now (?date, default yesterday), replacing the saved one for that day
+app.post('/api/digests/run', requireAdmin, (req, res) => {
+  try {
+    const date = req.query.date || (req.body && req.body.date) || previousDay();
+    if (!isDigestDate(date)) return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    
+    res.status(201).json({ date, files: saveDigest(date) });
+  } catch (err) {
+    console.error('Error saving digest:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// File snapshots API
+app.get('/api/files', (req, res) => {
+  try {
+    res.json(getSnapshotFiles({ agentId: req.query.agent }));
+  } catch (err) {
+    console.error('Error fetching snapshot files:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Versions of watched files, newest first: ?path, ?agent, ?limit
+app.get('/api/snapshots', (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    if (limit < 1 || limit > 500) return res.status(400).json({ error: 'limit must be between 1 and 500' });
+    
+    res.json(getFileSnapshots({ path: req.query.path, agentId: req.query.agent, limit }));
+  } catch (err) {
+    console.error('Error fetching snapshots:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// File contents can hold secrets (config files are snapshotted), so only admins see them
+app.get('/api/snapshots/:id', requireAdmin, (req, res) => {
+  try {
+    const snapshot = getFileSnapshot(req.params.id);
+    if (!snapshot) return res.status(404).json({ error: 'Snapshot not found' });
+    res.json(snapshot);
+  } catch (err) {
+    console.error('Error fetching snapshot:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Unified diff of a snapshot against ?against=<id>, or against the previous version of the file
+app.get('/api/snapshots/:id/diff', requireAdmin, (req, res) => {
+  try {
+    const to = getFileSnapshot(req.params.id);
+    if (!to) return res.status(404).json({ error: 'Snapshot not found' });
+    
+    let from = null;
+    if (req.query.against) {
+      from = getFileSnapshot(req.query.against);
+      if (!from) return res.status(404).json({ error: 'Snapshot to compare against not found' });
+    } else {
+      const previous = getLatestFileSnapshot(to.path, to.id);
+      from = previous ? getFileSnapshot(previous.id) : null;
+    }
+    
+    const strip = snapshot => snapshot && { ...snapshot, content: undefined };
+    res.json({ from: strip(from), to: strip(to), diff: diffSnapshots(from, to) });
+  } catch (err) {
+    console.error('Error diffing snapshots:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Token usage API
+const isTokenCount = value => Number.isInteger(value) && value >= 0;
+
+/** Start of the current UTC day, which is when the dashboard token counter resets */
+function startOfToday() {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+}
+
+/** Token totals for the performance card */
+function getTokenSummary() {
+  const today = getUsageTotals({ since: startOfToday() });
+  return { tokens: today.total_tokens, cost: today.cost_usd };
+}
+
+app.post('/api/agents/:id/usage', requireAgent(), agentSeen, (req, res) => {
+  try {
+    const { model, promptTokens = 0, completionTokens = 0, costUsd, metadata } = req.body;
+    if (!isTokenCount(promptTokens) || !isTokenCount(completionTokens)) {
+      return res.status(400).json({ error: 'promptTokens and completionTokens must be non-negative integers' });
+    }
+    if (promptTokens + completionTokens === 0) {
+      return res.status(400).json({ error: 'promptTokens or completionTokens is required' });
+    }
+    if (costUsd !== undefined && (typeof costUsd !== 'number' || costUsd < 0)) {
+      return res.status(400).json({ error: 'costUsd must be a non-negative number' });
+    }
+    if (model !== undefined && model !== null && (typeof model !== 'string' || !model.trim())) {
+      return res.status(400).json({ error: 'model must be a non-empty string' });
+    }
+    
+    const agent = getAgent(req.params.id);
+    if (!agent) return res.status(404).json({ error: 'Agent not found' });
+    
+    const usedModel = model || agent.model;
+    const cost = costUsd !== undefined ? costUsd : calculateCost(usedModel, promptTokens, completionTokens);
+    const usageId = recordTokenUsage(req.params.id, {
+      model: usedModel,
+      promptTokens,
+      completionTokens,
+      costUsd: cost,
+      metadata: metadata || {}
+    });
+    
+    broadcast({
+      type: 'usage',
+      agentId: req.params.id,
+      usage: { id: usageId, model: usedModel, promptTokens, completionTokens, costUsd: cost },
+      ...getTokenSummary(),
+      timestamp: new Date().toISOString()
+    });
+    res.status(201).json({ success: true, usageId, model: usedModel, costUsd: cost });
+  } catch (err) {
+    console.error('Error recording usage:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/agents/:id/usage', (req, res) => {
+  try {
+    const agent = getAgent(req.params.id, { includeArchived: true });
+    if (!agent) return res.status(404).json({ error: 'Agent not found' });
+    
+    const filter = { agentId: req.params.id, since: req.query.since, until: req.query.until };
+    res.json({
+      agentId: req.params.id,
+      totals: getUsageTotals(filter),
+      models: getUsageBreakdown('model', filter)
+    });
+  } catch (err) {
+    console.error('Error fetching agent usage:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/usage', (req, res) => {
+  try {
+    const filter = { since: req.query.since, until: req.query.until };
+    res.json({
+      totals: getUsageTotals(filter),
+      agents: getUsageBreakdown('agent', filter),
+      models: getUsageBreakdown('model', filter)
+    });
+  } catch (err) {
+    console.error('Error fetching usage:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/usage/rollup', (req, res) => {
+  try {
+    const bucket = req.query.bucket || 'hour';
+    if (bucket !== 'hour' && bucket !== 'day') {
+      return res.status(400).json({ error: 'bucket must be "hour" or "day"' });
+    }
+    
+    // Default to the last 24 hours of hourly buckets or 30 days of daily buckets
+    const window = bucket === 'hour' ? 24 * 3600000 : 30 * 86400000;
+    const since = req.query.since || new Date(Date.now() - window).toISOString();
+    res.json(getUsageRollup(bucket, { agentId: req.query.agent, since, until: req.query.until }));
+  } catch (err) {
+    console.error('Error fetching usage rollup:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/usage/pricing', (req, res) => {
+  res.json(getPriceTable());
+});
+
+// System metrics endpoint
+app.get('/api/system', async (req, res) => {
+  try {
+    res.json(systemPayload(getLatestSample() || await collectSample()));
+  } catch (err) {
+    console.error('System metrics error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/** Parse a history range such as 15m, 6h or 7d into seconds */
+function parseRange(range) {
+  const match = /^(\d+)([mhd])$/.exec(range || '');
+  if (!match) return null;
+  return Number(match[1]) * { m: 60, h: 3600, d: 86400 }[match[2]];
+}
+
+// Metrics history: ?range=15m|6h|7d... (default 1h) or ?since=&until=; the resolution follows the span
+app.get('/api/system/history', (req, res) => {
+  try {
+    const now = Date.now();
+    let since;
+    let until = now;
+    
+    if (req.query.since) {
+      since = new Date(/^\d+$/.test(req.query.since) ? Number(req.query.since) : req.query.since).getTime();
+      if (req.query.until) until = new Date(/^\d+$/.test(req.query.until) ? Number(req.query.until) : req.query.until).getTime();
+      if (isNaN(since) || isNaN(until) || since >= until) {
+        return res.status(400).json({ error: 'since and until must be ISO dates or epoch milliseconds, since before until' });
+      }
+    } else {
+      const seconds = parseRange(req.query.range || '1h');
+      if (!seconds || seconds > config.metrics.hourDays * 86400) {
+        return res.status(400).json({ error: `range must look like 15m, 6h or 7d and be at most ${config.metrics.hourDays}d` });
+      }
+      since = now - seconds * 1000;
+    }
+    
+    const history = getHistory(Math.floor(since / 1000), Math.ceil(until / 1000));
+    res.json({
+      since: new Date(since).toISOString(),
+      until: new Date(until).toISOString(),
+      ...history
+    });
+  } catch (err) {
+    console.error('Error fetching metrics history:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Process monitoring
+/** An agent's latest process state; agents without linked processes are 'unlinked' */
+function processPayload(agentId) {
+  return getProcessState(agentId) || { agentId, status: 'unlinked', processes: [] };
+}
+
+// Latest process figures of every agent with linked processes
+app.get('/api/processes', (req, res) => {
+  try {
+    res.json(getProcessStates());
+  } catch (err) {
+    console.error('Error fetching processes:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/agents/:id/processes', (req, res) => {
+  try {
+    const agent = getAgent(req.params.id);
+    if (!agent) return res.status(404).json({ error: 'Agent not found' });
+    
+    res.json({ ...processPayload(agent.id), reported: getAgentProcessLinks(agent.id) });
+  } catch (err) {
+    console.error('Error fetching agent processes:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// An agent reports a process of its own (it must be running on the station's host)
+app.post('/api/agents/:id/processes', requireAgent(), agentSeen, async (req, res) => {
+  try {
+    const { pid } = req.body;
+    if (!Number.isInteger(pid) || pid <= 0) {
+      return res.status(400).json({ error: 'pid must be a positive integer' });
+    }
+    
+    const agent = getAgent(req.params.id);
+    if (!agent) return res.status(404).json({ error: 'Agent not found' });
+    
+    const proc = await findProcess(pid);
+    if (!proc) return res.status(400).json({ error: `No process with pid ${pid} is running on this host` });
+    
+    linkAgentProcess(agent.id, pid, proc.started);
+    logAgentActivity(agent.id, 'process_linked', `Linked process ${proc.name} (${pid})`, { pid, name: proc.name });
+    res.status(201).json({ success: true, pid, name: proc.name });
+  } catch (err) {
+    console.error('Error linking process:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/agents/:id/processes/:pid', requireAgent(), (req, res) => {
+  try {
+    const pid = Number(req.params.pid);
+    const links = getAgentProcessLinks(req.params.id).filter(link => link.pid === pid);
+    if (links.length === 0) return res.status(404).json({ error: 'Process is not linked to this agent' });
+    
+    endAgentProcessLinks(links.map(link => link.id));
+    // Removing the last reported process on purpose should not leave the agent flagged as missing
+    if (getAgentProcessLinks(req.params.id).length === 0) {
+      clearProcessState(req.params.id);
+      broadcast({ type: 'process_update', agentId: req.params.id, processes: processPayload(req.params.id) });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error unlinking process:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// An agent shutting down on purpose drops all its reported processes and clears a missing flag
+app.delete('/api/agents/:id/processes', requireAgent(), (req, res) => {
+  try {
+    const agent = getAgent(req.params.id);
+    if (!agent) return res.status(404).json({ error: 'Agent not found' });
+    
+    const removed = endAgentProcessLinks(getAgentProcessLinks(agent.id).map(link => link.id));
+    clearProcessState(agent.id);
+    broadcast({ type: 'process_update', agentId: agent.id, processes: processPayload(agent.id) });
+    res.json({ success: true, removed });
+  } catch (err) {
+    console.error('Error unlinking processes:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Process history of an agent: ?range=15m|6h|7d... (default 1h, at most historyDays)
+app.get('/api/agents/:id/processes/history', (req, res) => {
+  try {
+    const agent = getAgent(req.params.id);
+    if (!agent) return res.status(404).json({ error: 'Agent not found' });
+    
+    const seconds = parseRange(req.query.range || '1h');
+    if (!seconds || seconds > config.processes.historyDays * 86400) {
+      return res.status(400).json({ error: `range must look like 15m, 6h or 7d and be at most ${config.processes.historyDays}d` });
+    }
+    
+    const until = Math.ceil(Date.now() / 1000);
+    const since = until - seconds;
+    // Keep the answer to roughly 500 points whatever the range
+    const step = Math.max(config.processes.sampleSeconds, Math.ceil(seconds / 500));
+    res.json({
+      agentId: agent.id,
+      since: new Date(since * 1000).toISOString(),
+      until: new Date(until * 1000).toISOString(),
+      step,
+      samples: getProcessHistory(agent.id, since, until, step)
+    });
+  } catch (err) {
+    console.error('Error fetching process history:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Alerts
+/** Push the firing alerts, and what just changed, to dashboards */
+function broadcastAlerts(changes = []) {
+  broadcast({
+    type: 'alerts',
+    alerts: listAlerts({ status: 'firing', limit: -1 }),
+    changes: changes.map(({ event, alert }) => ({ event, alertId: alert.id, summary: alert.summary }))
+  });
+}
+
+// Alert history, newest first: ?status=firing|resolved, ?limit (max 500)
+app.get('/api/alerts', (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !['firing', 'resolved'].includes(status)) {
+      return res.status(400).json({ error: 'status must be firing or resolved' });
+    }
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    
+    res.json(listAlerts({ status, limit }));
+  } catch (err) {
+    console.error('Error fetching alerts:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/alerts/rules', (req, res) => {
+  res.json(getAlertRules());
+});
+
+app.get('/api/alerts/silences', (req, res) => {
+  try {
+    res.json(getActiveAlertSilences());
+  } catch (err) {
+    console.error('Error fetching alert silences:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Silence a rule, a subject (agent id, review:<id> or system) or one rule for one subject
+app.post('/api/alerts/silences', requireAdmin, (req, res) => {
+  try {
+    const { rule, subject, until, minutes, comment } = req.body;
+    if (!rule && !subject) {
+      return res.status(400).json({ error: 'rule or subject is required' });
+    }
+    if ((rule !== undefined && typeof rule !== 'string') || (subject !== undefined && typeof subject !== 'string')) {
+      return res.status(400).json({ error: 'rule and subject must be strings' });
+    }
+    if (rule && !getAlertRules().some(candidate => candidate.id === rule)) {
+      return res.status(400).json({ error: `Unknown alert rule: ${rule}` });
+    }
+    
+    let endsAt;
+    if (until !== undefined) {
+      endsAt = new Date(until);
+    } else if (Number.isFinite(minutes) && minutes > 0) {
+      endsAt = new Date(Date.now() + minutes * 60000);
+    }
+    if (!endsAt || isNaN(endsAt.getTime()) || endsAt <= new Date()) {
+      return res.status(400).json({ error: 'until (a future ISO date) or minutes (> 0) is required' });
+    }
+    
+    const silenceId = addAlertSilence({ ruleId: rule || null, subject: subject || null, endsAt, comment: comment || null });
+    broadcastAlerts();
+    res.status(201).json({ success: true, silenceId, endsAt: endsAt.toISOString() });
+  } catch (err) {
+    console.error('Error adding alert silence:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/alerts/silences/:id', requireAdmin, (req, res) => {
+  try {
+    if (!endAlertSilence(req.params.id)) {
+      return res.status(404).json({ error: 'Silence not found or already ended' });
+    }
+    broadcastAlerts();
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error ending alert silence:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
 
-const PORT = process.env.PORT || 8080;
+// Webhooks (admin only: URLs and filters can be sensitive)
+const EVENT_PATTERN = /^[a-z*?_-][a-z0-9*?_-]{0,63}$/;
 
-// Initialize database
-let db;
-try {
-  db = initDb();
-  console.log('✅ Database connected');
-} catch (err) {
-  console.error('❌ Database initialization failed:', err);
-  process.exit(1);
+/** Validate webhook input, returning an error message or null */
+function validateWebhookInput(body, { requireUrl }) {
+  const { url, events, agents, description, enabled } = body;
+  if (requireUrl || url !== undefined) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (err) {
+      return 'url must be an http(s) URL';
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) return 'url must be an http(s) URL';
+  }
+  if (events !== undefined && (!Array.isArray(events) || events.length === 0 || !events.every(e => typeof e === 'string' && EVENT_PATTERN.test(e)))) {
+    return 'events must be a non-empty list of event types or patterns such as review* or *';
+  }
+  if (agents !== undefined && agents !== null && (!Array.isArray(agents) || agents.length === 0 || !agents.every(a => typeof a === 'string' && AGENT_ID_PATTERN.test(a)))) {
+    return 'agents must be null or a non-empty list of agent ids';
+  }
+  if (description !== undefined && description !== null && (typeof description !== 'string' || description.length > 200)) {
+    return 'description must be a string of at most 200 characters';
+  }
+  if (enabled !== undefined && typeof enabled !== 'boolean') return 'enabled must be a boolean';
+  return null;
 }
 
-// Static files
-app.use(express.static(path.join(__dirname, 'public')));
-app.use(express.json());
-
-// Activity logger middleware for agents
-function logAgentActivity(agentId, type, description, metadata = {}) {
+app.get('/api/webhooks', requireAdmin, (req, res) => {
   try {
-    const activityId = logActivity(agentId, type, description, metadata);
-    const activity = {
-      id: activityId,
-      agent_id: agentId,
-      type,
-      description,
-      metadata_json: JSON.stringify(metadata),
-      timestamp: new Date().toISOString()
-    };
-    broadcast({ type: 'activity', agentId, activity });
-    return activityId;
+    res.json(getWebhooks());
   } catch (err) {
-    console.error('Failed to log activity:', err);
-    return null;
+    console.error('Error fetching webhooks:', err);
+    res.status(500).json({ error: err.message });
   }
-}
+});
 
-// API Routes
-app.get('/api/agents', (req, res) => {
+// Register a webhook; the signing secret is only returned here and when rotated
+app.post('/api/webhooks', requireAdmin, (req, res) => {
   try {
-    const agents = getAllAgents();
-    res.json(agents);
+    const error = validateWebhookInput(req.body, { requireUrl: true });
+    if (error) return res.status(400).json({ error });
+    
+    const secret = generateSecret();
+    const webhookId = createWebhook({
+      url: req.body.url,
+      secret,
+      events: req.body.events,
+      agents: req.body.agents,
+      description: req.body.description,
+      enabled: req.body.enabled
+    });
+    res.status(201).json({ ...getWebhook(webhookId), secret });
   } catch (err) {
-    console.error('Error fetching agents:', err);
+    console.error('Error creating webhook:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
-app.get('/api/agents/:id', (req, res) => {
+app.get('/api/webhooks/:id', requireAdmin, (req, res) => {
   try {
-    const agent = getAgent(req.params.id);
-    if (!agent) return res.status(404).json({ error: 'Agent not found' });
-    res.json(agent);
+    const webhook = getWebhook(req.params.id);
+    if (!webhook) return res.status(404).json({ error: 'Webhook not found' });
+    res.json(webhook);
   } catch (err) {
-    console.error('Error fetching agent:', err);
+    console.error('Error fetching webhook:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
-app.get('/api/agents/:id/activity', (req, res) => {
+// Change a webhook's url, filters, description or enabled flag; `rotateSecret: true` issues a new secret
+app.patch('/api/webhooks/:id', requireAdmin, (req, res) => {
   try {
-    const agent = getAgent(req.params.id);
-    if (!agent) return res.status(404).json({ error: 'Agent not found' });
+    const error = validateWebhookInput(req.body, { requireUrl: false });
+    if (error) return res.status(400).json({ error });
     
-    const activities = getAgentActivities(req.params.id, 20);
-    res.json(activities);
+    const { url, events, agents, description, enabled, rotateSecret } = req.body;
+    const secret = rotateSecret === true ? generateSecret() : undefined;
+    if (!updateWebhook(req.params.id, { url, events, agents, description, enabled, secret })) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    // Deliveries held back while the webhook was disabled can go now
+    if (enabled) processDueDeliveries();
+    res.json({ ...getWebhook(req.params.id), ...(secret ? { secret } : {}) });
   } catch (err) {
-    console.error('Error fetching activities:', err);
+    console.error('Error updating webhook:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
-// Update agent task endpoint
-app.post('/api/agents/:id/task', (req, res) => {
+app.delete('/api/webhooks/:id', requireAdmin, (req, res) => {
   try {
-    const { task } = req.body;
-    if (!task) {
-      return res.status(400).json({ error: 'Task is required' });
-    }
-    
-    const agent = getAgent(req.params.id);
-    if (!agent) return res.status(404).json({ error: 'Agent not found' });
-    
-    const success = updateAgentTask(req.params.id, task);
-    if (success) {
-      broadcast({ 
-        type: 'task_update', 
-        agentId: req.params.id, 
-        task,
-        timestamp: new Date().toISOString()
-      });
-      res.json({ success: true, task });
-    } else {
-      res.status(500).json({ error: 'Failed to update task' });
-    }
+    if (!deleteWebhook(req.params.id)) return res.status(404).json({ error: 'Webhook not found' });
+    res.json({ success: true });
   } catch (err) {
-    console.error('Error updating task:', err);
+    console.error('Error deleting webhook:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
-// Update agent status endpoint
-app.post('/api/agents/:id/status', (req, res) => {
+// Delivery log, newest first: ?status=pending|delivered|failed, ?limit (max 200)
+app.get('/api/webhooks/:id/deliveries', requireAdmin, (req, res) => {
   try {
-    const { status } = req.body;
-    if (!status) {
-      return res.status(400).json({ error: 'Status is required' });
-    }
-    
-    const agent = getAgent(req.params.id);
-    if (!agent) return res.status(404).json({ error: 'Agent not found' });
+    if (!getWebhook(req.params.id)) return res.status(404).json({ error: 'Webhook not found' });
     
-    const success = updateAgentStatus(req.params.id, status);
-    if (success) {
-      logAgentActivity(req.params.id, 'status_change', `Status changed to ${status}`, { status });
-      broadcast({ 
-        type: 'status_update', 
-        agentId: req.params.id, 
-        status,
-        timestamp: new Date().toISOString()
-      });
-      res.json({ success: true, status });
-    } else {
-      res.status(500).json({ error: 'Failed to update status' });
+    const { status } = req.query;
+    if (status && !['pending', 'delivered', 'failed'].includes(status)) {
+      return res.status(400).json({ error: 'status must be pending, delivered or failed' });
     }
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    res.json(getWebhookDeliveries(req.params.id, { status, limit }));
   } catch (err) {
-    console.error('Error updating status:', err);
+    console.error('Error fetching webhook deliveries:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
-// Get all activities (recent across all agents)
-app.get('/api/activities', (req, res) => {
+// Send a delivery again from the first attempt (e.g. after fixing the receiving end)
+app.post('/api/webhooks/:id/deliveries/:deliveryId/redeliver', requireAdmin, (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 20;
-    const activities = getRecentActivities(limit);
-    res.json(activities);
+    const delivery = getWebhookDelivery(req.params.deliveryId);
+    if (!delivery || String(delivery.webhook_id) !== req.params.id) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    
+    requeueWebhookDelivery(delivery.id);
+    processDueDeliveries();
+    res.status(202).json({ success: true, deliveryId: delivery.id });
   } catch (err) {
-    console.error('Error fetching activities:', err);
+    console.error('Error redelivering webhook:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
-// System metrics endpoint
-app.get('/api/system', async (req, res) => {
+// Send a test event now, ignoring the filters: optional `type` (default ping) and `agentId`
+app.post('/api/webhooks/:id/test', requireAdmin, async (req, res) => {
   try {
-    const [cpu, mem] = await Promise.all([
-      si.currentLoad(),
-      si.mem()
-    ]);
+    const { type, agentId } = req.body || {};
+    if (type !== undefined && (typeof type !== 'string' || !/^[a-z][a-z0-9_-]{0,63}$/.test(type))) {
+      return res.status(400).json({ error: 'type must be an event type such as ping or review' });
+    }
+    if (agentId !== undefined && (typeof agentId !== 'string' || !AGENT_ID_PATTERN.test(agentId))) {
+      return res.status(400).json({ error: 'agentId must be an agent id' });
+    }
+    if (!getWebhook(req.params.id)) return res.status(404).json({ error: 'Webhook not found' });
     
-    res.json({
-      cpu: {
-        usage: Math.round(cpu.currentLoad),
-        cores: cpu.cpus.length
-      },
-      memory: {
-        used: Math.round(mem.used / 1024 / 1024 / 1024 * 100) / 100,
-        total: Math.round(mem.total / 1024 / 1024 / 1024 * 100) / 100,
-        percentage: Math.round(mem.used / mem.total * 100)
-      },
-      timestamp: new Date().toISOString()
-    });
+    const delivery = await sendTestEvent(Number(req.params.id), { type, agentId });
+    res.json({ success: delivery.status === 'delivered', delivery });
   } catch (err) {
-    console.error('System metrics error:', err);
+    console.error('Error sending test event:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
 // Reviews API
+// Review states a reviewer can filter on; pending reviews are the default listing
+const REVIEW_STATUSES = ['pending', 'snoozed', ...DECIDED_REVIEW_STATUSES];
+
+/** Parse a comma-separated ?status= list, returning null if any value is unknown */
+function parseReviewStatuses(value) {
+  if (!value) return null;
+  if (value === 'all') return [];
+  const statuses = String(value).split(',').filter(Boolean);
+  return statuses.every(status => REVIEW_STATUSES.includes(status)) ? statuses : null;
+}
+
+/** The agent that asked a review, for requireAgent() on review routes */
+function reviewOwner(req) {
+  const review = getReview(req.params.id);
+  return review ? review.agent_id : null;
+}
+
+/** Middleware: answer 404 for an unknown review before requireAgent(reviewOwner) would answer 403 */
+function reviewFound(req, res, next) {
+  if (!getReview(req.params.id)) return res.status(404).json({ error: 'Review not found' });
+  next();
+}
+
+/** Push a review change to clients; `agentId` lets agents pick out their own reviews */
+function broadcastReviewUpdate(reviewId, action) {
+  const review = getReview(reviewId);
+  if (!review) return null;
+  broadcast({ type: 'review-updated', action, agentId: review.agent_id, review });
+  return review;
+}
+
 app.get('/api/reviews', (req, res) => {
   try {
-    const reviews = getPendingReviews();
-    res.json(reviews);
+    if (!req.query.status && !req.query.agent) {
+      return res.json(getPendingReviews());
+    }
+    
+    const statuses = req.query.status ? parseReviewStatuses(req.query.status) : ['pending'];
+    if (!statuses) {
+      return res.status(400).json({ error: `status must be "all" or a list of: ${REVIEW_STATUSES.join(', ')}` });
+    }
+    res.json(getReviews({ agentId: req.query.agent, statuses, since: req.query.since }));
   } catch (err) {
     console.error('Error fetching reviews:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
-app.post('/api/reviews', (req, res) => {
+app.get('/api/reviews/:id', (req, res) => {
+  try {
+    const review = getReview(req.params.id);
+    if (!review) return res.status(404).json({ error: 'Review not found' });
+    res.json({ ...review, comments: getReviewComments(req.params.id) });
+  } catch (err) {
+    console.error('Error fetching review:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/reviews', requireAgent(req => req.body.agentId), agentSeen, (req, res) => {
   try {
-    const { agentId, question, priority } = req.body;
+    const { agentId, question, priority, taskId } = req.body;
     if (!agentId || !question) {
       return res.status(400).json({ error: 'agentId and question are required' });
     }
+    if (priority !== undefined) {
+      const problem = checkPriority(priority);
+      if (problem) return res.status(422).json(problem);
+    }
     
     const agent = getAgent(agentId);
     if (!agent) {
       return res.status(404).json({ error: 'Agent not found' });
     }
     
-    const reviewId = addReview(agentId, question, priority || 'medium');
-    const review = {
-      id: reviewId,
-      agent_id: agentId,
-      agent_name: agent.name,
-      agent_emoji: agent.emoji,
-      question,
-      priority: priority || 'medium',
-      status: 'pending',
-      created_at: new Date().toISOString()
-    };
+    if (taskId !== undefined && taskId !== null) {
+      const task = getTask(taskId);
+      if (!task || task.agent_id !== agentId) {
+        return res.status(400).json({ error: 'taskId must be one of the agent\'s tasks' });
+      }
+    }
+    
+    const reviewId = addReview(agentId, question, priority || DEFAULT_PRIORITY, taskId || null);
+    const review = getReview(reviewId);
     
     broadcast({ type: 'review', review });
     res.status(201).json(review);
@@ -233,14 +1723,21 @@ app.post('/api/reviews', (req, res) => {
   }
 });
 
-app.patch('/api/reviews/:id/resolve', (req, res) => {
+app.patch('/api/reviews/:id/resolve', requireAdmin, (req, res) => {
   try {
-    const success = resolveReview(req.params.id);
-    if (!success) {
-      return res.status(404).json({ error: 'Review not found' });
+    const { answer } = req.body || {};
+    if (answer !== undefined && (typeof answer !== 'string' || !answer.trim())) {
+      return res.status(400).json({ error: 'answer must be a non-empty string' });
+    }
+    
+    const existing = getReview(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Review not found' });
+    if (!resolveReview(req.params.id, answer ? answer.trim() : null, req.auth.name)) {
+      return res.status(409).json({ error: `Cannot resolve a review that is ${existing.status}` });
     }
     
     broadcast({ type: 'review-resolved', reviewId: req.params.id });
+    broadcastReviewUpdate(req.params.id, 'resolved');
     res.json({ success: true, reviewId: req.params.id });
   } catch (err) {
     console.error('Error resolving review:', err);
@@ -248,13 +1745,121 @@ app.patch('/api/reviews/:id/resolve', (req, res) => {
   }
 });
 
+/** Run a review state change, answering 404 for unknown reviews and 409 for invalid transitions */
+function handleReviewAction(req, res, action, apply) {
+  try {
+    const existing = getReview(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Review not found' });
+    
+    if (!apply(existing)) {
+      return res.status(409).json({ error: `Cannot ${action} a review that is ${existing.status}` });
+    }
+    
+    const review = broadcastReviewUpdate(req.params.id, action);
+    res.json(review);
+  } catch (err) {
+    console.error(`Error trying to ${action} review:`, err);
+    res.status(500).json({ error: err.message });
+  }
+}
+
+app.post('/api/reviews/:id/answer', requireAdmin, (req, res) => {
+  const { answer } = req.body;
+  if (typeof answer !== 'string' || !answer.trim()) {
+    return res.status(400).json({ error: 'answer is required' });
+  }
+  handleReviewAction(req, res, 'answer', () => answerReview(req.params.id, answer.trim(), req.auth.name));
+});
+
+app.post('/api/reviews/:id/dismiss', requireAdmin, (req, res) => {
+  const { reason } = req.body;
+  if (reason !== undefined && typeof reason !== 'string') {
+    return res.status(400).json({ error: 'reason must be a string' });
+  }
+  handleReviewAction(req, res, 'dismiss', () => dismissReview(req.params.id, reason ? reason.trim() : null, req.auth.name));
+});
+
+app.post('/api/reviews/:id/snooze', requireAdmin, (req, res) => {
+  const { until, minutes } = req.body;
+  let wakeAt;
+  if (until !== undefined) {
+    wakeAt = new Date(until);
+  } else if (Number.isFinite(minutes) && minutes > 0) {
+    wakeAt = new Date(Date.now() + minutes * 60000);
+  }
+  if (!wakeAt || isNaN(wakeAt.getTime()) || wakeAt <= new Date()) {
+    return res.status(400).json({ error: 'until (a future ISO date) or minutes (> 0) is required' });
+  }
+  handleReviewAction(req, res, 'snooze', () => snoozeReview(req.params.id, wakeAt));
+});
+
+// Agents confirm they have received a decision so it stops showing as unacknowledged
+app.post('/api/reviews/:id/ack', reviewFound, requireAgent(reviewOwner), agentSeen, (req, res) => {
+  handleReviewAction(req, res, 'acknowledge', () => acknowledgeReview(req.params.id));
+});
+
+app.get('/api/reviews/:id/comments', (req, res) => {
+  try {
+    const review = getReview(req.params.id);
+    if (!review) return res.status(404).json({ error: 'Review not found' });
+    res.json(getReviewComments(req.params.id));
+  } catch (err) {
+    console.error('Error fetching review comments:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/reviews/:id/comments', reviewFound, requireAgent(reviewOwner), agentSeen, (req, res) => {
+  try {
+    const { body } = req.body;
+    if (typeof body !== 'string' || !body.trim()) {
+      return res.status(400).json({ error: 'body is required' });
+    }
+    
+    const review = getReview(req.params.id);
+    if (!review) return res.status(404).json({ error: 'Review not found' });
+    
+    const comment = addReviewComment(req.params.id, req.auth.name, body.trim());
+    broadcast({ type: 'review-comment', agentId: review.agent_id, reviewId: review.id, comment });
+    res.status(201).json(comment);
+  } catch (err) {
+    console.error('Error adding review comment:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Decisions on an agent's own reviews: ?status, ?since (last change), ?unacknowledged=true
+app.get('/api/agents/:id/reviews', (req, res) => {
+  try {
+    const agent = getAgent(req.params.id, { includeArchived: true });
+    if (!agent) return res.status(404).json({ error: 'Agent not found' });
+    
+    const statuses = req.query.status ? parseReviewStatuses(req.query.status) : [];
+    if (!statuses) {
+      return res.status(400).json({ error: `status must be "all" or a list of: ${REVIEW_STATUSES.join(', ')}` });
+    }
+    
+    res.json(getReviews({
+      agentId: req.params.id,
+      statuses,
+      since: req.query.since,
+      unacknowledged: req.query.unacknowledged === 'true'
+    }));
+  } catch (err) {
+    console.error('Error fetching agent reviews:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Log activity endpoint (for external agents to report activity)
-app.post('/api/agents/:id/activity', (req, res) => {
+app.post('/api/agents/:id/activity', requireAgent(), agentSeen, (req, res) => {
   try {
     const { type, description, metadata } = req.body;
     if (!type || !description) {
       return res.status(400).json({ error: 'type and description are required' });
     }
+    const problem = checkActivityType(type);
+    if (problem) return res.status(422).json(problem);
     
     const agent = getAgent(req.params.id);
     if (!agent) return res.status(404).json({ error: 'Agent not found' });
@@ -267,114 +1872,293 @@ app.post('/api/agents/:id/activity', (req, res) => {
   }
 });
 
+// Backdated activities may be this far ahead of the station's clock
+const BATCH_CLOCK_SKEW_MS = 60000;
+
+/** The items of a batch body: a JSON array, { activities: [...] } or NDJSON. Returns { items } or { error } */
+function parseActivityBatch(body) {
+  let items = body;
+  if (typeof body === 'string') {
+    try {
+      items = body.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+    } catch (err) {
+      return { error: `Invalid NDJSON: ${err.message}` };
+    }
+  } else if (body && !Array.isArray(body)) {
+    items = body.activities;
+  }
+  
+  if (!Array.isArray(items) || items.length === 0) {
+    return { error: 'Body must be a non-empty array of activities, { activities: [...] } or NDJSON' };
+  }
+  if (items.length > config.ingest.maxItems) {
+    return { error: `At most ${config.ingest.maxItems} activities per batch` };
+  }
+  return { items };
+}
+
+/** Validate one batch item, returning an error message, a registry problem or null */
+function validateBatchItem(item, auth, agentIds) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) return 'must be an object';
+  if (typeof item.agentId !== 'string' || !agentIds.has(item.agentId)) return 'Agent not found';
+  if (auth.role === 'agent' && item.agentId !== auth.agentId) return 'This API key may only write to its own agent';
+  if (typeof item.type !== 'string' || !item.type.trim()) return 'type is required';
+  const problem = checkActivityType(item.type);
+  if (problem) return problem;
+  if (typeof item.description !== 'string' || !item.description.trim()) return 'description is required';
+  if (item.metadata !== undefined && (!item.metadata || typeof item.metadata !== 'object' || Array.isArray(item.metadata))) {
+    return 'metadata must be an object';
+  }
+  if (item.timestamp !== undefined && item.timestamp !== null) {
+    const time = new Date(typeof item.timestamp === 'string' && /^\d+$/.test(item.timestamp) ? Number(item.timestamp) : item.timestamp);
+    if (isNaN(time.getTime())) return 'timestamp must be an ISO date or epoch ms';
+    if (time.getTime() > Date.now() + BATCH_CLOCK_SKEW_MS) return 'timestamp is in the future';
+  }
+  return null;
+}
+
+// Log many activities, for one or more agents, in one transaction. Each item is validated on its own;
+// the response lists the stored id or the error for every item, by index
+app.post('/api/activities/batch', agentSeen, (req, res) => {
+  try {
+    if (!req.auth) return res.status(401).json({ error: 'Authentication required' });
+    
+    const { items, error } = parseActivityBatch(req.body);
+    if (error) return res.status(400).json({ error });
+    
+    const agentIds = new Set(getAllAgents().map(agent => agent.id));
+    const results = [];
+    const accepted = [];
+    items.forEach((raw, index) => {
+      // An agent key may leave out agentId
+      const item = raw && typeof raw === 'object' && !Array.isArray(raw) && raw.agentId === undefined && req.auth.role === 'agent'
+        ? { ...raw, agentId: req.auth.agentId }
+        : raw;
+      const itemError = validateBatchItem(item, req.auth, agentIds);
+      if (itemError) {
+        results.push(typeof itemError === 'string' ? { index, error: itemError } : { index, ...itemError });
+      } else {
+        results.push({ index });
+        accepted.push({ index, item });
+      }
+    });
+    
+    const activities = accepted.length ? logActivities(accepted.map(({ item }) => item)) : [];
+    accepted.forEach(({ index }, i) => { results[index].id = activities[i].id; });
+    
+    // One message per agent, so subscribers filtering by agent still get theirs
+    const byAgent = new Map();
+    for (const activity of activities) {
+      if (!byAgent.has(activity.agent_id)) byAgent.set(activity.agent_id, []);
+      byAgent.get(activity.agent_id).push(activity);
+    }
+    for (const [agentId, agentActivities] of byAgent) {
+      broadcast({ type: 'activities', agentId, activities: agentActivities });
+    }
+    
+    res.status(activities.length ? 201 : 422).json({
+      accepted: activities.length,
+      rejected: items.length - activities.length,
+      results
+    });
+  } catch (err) {
+    console.error('Error logging activity batch:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // WebSocket connections
 const clients = new Set();
+// Server-Sent Events clients: { res, filter }
+const streamClients = new Set();
 
 function broadcast(data) {
-  const message = JSON.stringify(data);
+  const entry = recordEvent(data);
   clients.forEach(client => {
-    if (client.readyState === WebSocket.OPEN) {
-      client.send(message);
+    if (client.readyState === WebSocket.OPEN && matchesFilter(client.filter, entry)) {
+      client.send(entry.message);
     }
   });
+  for (const client of streamClients) {
+    if (matchesFilter(client.filter, entry)) writeStreamEvent(client.res, entry);
+  }
+  
+  if (config.webhooks.enabled) {
+    try {
+      dispatchEvent(data);
+    } catch (err) {
+      console.error('Failed to queue webhook deliveries:', err);
+    }
+  }
 }
 
-wss.on('connection', async (ws) => {
-  clients.add(ws);
-  console.log('WebSocket client connected, total:', clients.size);
+// Most activities sent to a reconnecting client; older gaps are left to the HTTP API
+const RESUME_LIMIT = 500;
+// Recent tasks per agent sent on connect, for the task history on agent cards
+const TASK_HISTORY_LIMIT = 5;
+
+/** The `subscribed` reply to a stream subscription, with how much of the log was replayed */
+function subscribedMessage(filter, replay) {
+  return JSON.stringify({
+    type: 'subscribed',
+    filter,
+    lastEventId: getLastEventId(),
+    replayed: replay ? replay.events.length : 0,
+    truncated: !!(replay && replay.truncated)
+  });
+}
+
+/** Filter a socket's events and replay the logged ones after `lastEventId`; replies `subscribed` or `error` */
+function subscribeSocket(ws, source) {
+  const { filter, error } = parseStreamFilter(source);
+  if (error) return ws.send(JSON.stringify({ type: 'error', error }));
   
-  // Send initial data
+  const lastEventId = parseEventId(source.lastEventId);
+  const replay = lastEventId === null ? null : eventsSince(lastEventId, filter);
+  ws.filter = filter;
+  ws.send(subscribedMessage(filter, replay));
+  if (replay) replay.events.forEach(entry => ws.send(entry.message));
+}
+
+/** Answer the socket protocol: `subscribe` (agents, types, priorities, lastEventId) and `unsubscribe` */
+function handleSocketMessage(ws, data) {
+  let message;
   try {
-    const agents = getAllAgents();
-    const reviews = getPendingReviews();
-    ws.send(JSON.stringify({ type: 'init', agents, reviews }));
+    message = JSON.parse(data);
   } catch (err) {
-    console.error('Error sending initial data:', err);
+    return ws.send(JSON.stringify({ type: 'error', error: 'Messages must be JSON' }));
   }
   
+  if (message && message.type === 'subscribe') return subscribeSocket(ws, message);
+  if (message && message.type === 'unsubscribe') {
+    ws.filter = null;
+    return ws.send(JSON.stringify({ type: 'unsubscribed' }));
+  }
+  ws.send(JSON.stringify({ type: 'error', error: 'Unknown message type; use "subscribe" or "unsubscribe"' }));
+}
+
+const STREAM_PARAMS = ['agent', 'type', 'priority', 'lastEventId'];
+
+wss.on('connection', async (ws, req) => {
+  clients.add(ws);
+  console.log('WebSocket client connected, total:', clients.size);
+  ws.on('message', data => handleSocketMessage(ws, data));
   ws.on('close', () => {
     clients.delete(ws);
     console.log('WebSocket client disconnected, total:', clients.size);
   });
+  
+  // Connecting with stream parameters subscribes right away, without the init snapshot
+  const params = new URL(req.url, 'http://localhost').searchParams;
+  if (STREAM_PARAMS.some(param => params.has(param))) {
+    return subscribeSocket(ws, Object.fromEntries(params));
+  }
+  
+  // Send initial data. Clients reconnecting with ?since=<activity id> get the
+  // activities they missed instead of the latest page.
+  try {
+    const agents = getAllAgents();
+    const reviews = getPendingReviews();
+    const since = parseInt(params.get('since'));
+    const resumed = since > 0;
+    const page = resumed
+      ? { activities: getActivitiesSince(since, RESUME_LIMIT), nextCursor: null }
+      : queryActivities({ limit: 20 });
+    ws.send(JSON.stringify({
+      type: 'init',
+      agents,
+      reviews,
+      processes: getProcessStates(),
+      alerts: listAlerts({ status: 'firing', limit: -1 }),
+      tasks: getTasks({ perAgent: true, limit: TASK_HISTORY_LIMIT }),
+      activities: page.activities,
+      nextCursor: page.nextCursor,
+      resumed,
+      truncated: resumed && page.activities.length === RESUME_LIMIT
+    }));
+  } catch (err) {
+    console.error('Error sending initial data:', err);
+  }
 });
 
-// Watch for file changes in workspace
-const workspaceDir = path.join(require('os').homedir(), '.openclaw/workspace');
-if (require('fs').existsSync(workspaceDir)) {
-  const watcher = chokidar.watch([
-    path.join(workspaceDir, '**/*.md'),
-    path.join(workspaceDir, '**/*.json'),
-    path.join(workspaceDir, 'agents/**/*.md')
-  ], {
-    ignored: /node_modules/,
-    persistent: true,
-    depth: 3
-  });
+/** Write one logged event to a Server-Sent Events response */
+function writeStreamEvent(res, entry) {
+  res.write(`id: ${entry.id}\ndata: ${entry.message}\n\n`);
+}
 
-  watcher.on('change', (filePath) => {
-    const fileName = path.basename(filePath);
-    
-    // Detect which agent based on path
-    let agentId = 'buppy';
-    if (filePath.includes('zoomie')) agentId = 'zoomie';
-    if (filePath.includes('mechly')) agentId = 'mechly';
-    
-    // Determine activity type
-    let type = 'file_update';
-    if (fileName.includes('SOUL')) type = 'soul_update';
-    if (fileName.includes('IDENTITY')) type = 'identity_update';
-    if (fileName.includes('config')) type = 'config_update';
-    if (fileName.includes('MEMORY')) type = 'memory_update';
-    
-    logAgentActivity(agentId, type, `Updated ${fileName}`, { file: filePath });
+// Server-Sent Events: every pushed event, or only those for ?agent, ?type (globs) and review ?priority.
+// A Last-Event-ID header (or ?lastEventId) replays the logged events after it first
+app.get('/api/stream', (req, res) => {
+  if (!req.auth) return res.status(401).json({ error: 'Authentication required' });
+  const { filter, error } = parseStreamFilter(req.query);
+  if (error) return res.status(400).json({ error });
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
   });
+  res.flushHeaders();
+  
+  const lastEventId = parseEventId(req.get('Last-Event-ID') || req.query.lastEventId);
+  const replay = lastEventId === null ? null : eventsSince(lastEventId, filter);
+  res.write(`retry: 3000\ndata: ${subscribedMessage(filter, replay)}\n\n`);
+  if (replay) replay.events.forEach(entry => writeStreamEvent(res, entry));
   
-  console.log('✅ File watcher initialized for workspace changes');
+  const client = { res, filter };
+  streamClients.add(client);
+  const keepAlive = setInterval(() => res.write(': ping\n\n'), config.stream.keepAliveSeconds * 1000);
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    streamClients.delete(client);
+  });
+});
+
+// Watch the configured workspace roots and credit changes to their owners (not in demo mode)
+if (config.watcher.enabled && !DEMO_MODE) {
+  startWatcher(config.watcher, ({ agentId, type, description, metadata, rule }) => {
+    if (rule.snapshot && config.snapshots.enabled) {
+      try {
+        Object.assign(metadata, captureSnapshot(agentId, metadata.file, metadata.event));
+      } catch (err) {
+        console.error('Failed to snapshot file:', err);
+      }
+    }
+    logAgentActivity(agentId, type, description, metadata);
+  });
 }
 
-// Simulate periodic system activity (reduced frequency for demo)
+// Return snoozed reviews to the queue once their time is up
 setInterval(() => {
-  const commands = [
-    'Checked system status',
-    'Reviewed agent activities',
-    'Updated configuration',
-    'Processed user request',
-    'Synced with OpenClaw gateway',
-    'Polled for new messages',
-    'Ran heartbeat check'
-  ];
-  
-  const agents = ['buppy', 'zoomie', 'mechly'];
-  const randomAgent = agents[Math.floor(Math.random() * agents.length)];
-  const randomCommand = commands[Math.floor(Math.random() * commands.length)];
-  
-  logAgentActivity(randomAgent, 'command', randomCommand, { automated: true });
-}, 60000); // Every 60 seconds
-
-// Update system metrics periodically
-setInterval(async () => {
   try {
-    const [cpu, mem] = await Promise.all([
-      si.currentLoad(),
-      si.mem()
-    ]);
-    
-    broadcast({
-      type: 'system',
-      data: {
-        cpu: { usage: Math.round(cpu.currentLoad) },
-        memory: {
-          used: Math.round(mem.used / 1024 / 1024 / 1024 * 100) / 100,
-          total: Math.round(mem.total / 1024 / 1024 / 1024 * 100) / 100,
-          percentage: Math.round(mem.used / mem.total * 100)
-        },
-        timestamp: new Date().toISOString()
-      }
-    });
+    for (const reviewId of wakeSnoozedReviews()) {
+      const review = broadcastReviewUpdate(reviewId, 'woke');
+      if (review) broadcast({ type: 'review', review });
+    }
   } catch (err) {
-    console.error('System metrics error:', err);
+    console.error('Error waking snoozed reviews:', err);
   }
-}, 5000);
+}, 30000);
+
+/** The payload of /api/system and of the `system` broadcast */
+function systemPayload(sample) {
+  return {
+    cpu: { usage: sample.cpu, cores: sample.cores },
+    memory: { used: sample.memUsed, total: sample.memTotal, percentage: sample.mem },
+    load: sample.load,
+    disk: { percentage: sample.disk },
+    network: { rx: sample.netRx, tx: sample.netTx },
+    ...getTokenSummary(),
+    demo: DEMO_MODE,
+    timestamp: new Date(sample.ts * 1000).toISOString()
+  };
+}
+
+// Sample system metrics into the history and push each sample to clients
+startMetricsSampler((sample) => {
+  broadcast({ type: 'system', data: systemPayload(sample) });
+});
 
 server.listen(PORT, () => {
   console.log(`🐕 Puppy Station running on http://localhost:${PORT}`);
@@ -386,6 +2170,62 @@ server.listen(PORT, () => {
     version: require('./package.json').version,
     port: PORT
   });
+  
+  startLivenessMonitor(({ agentId, from, to, silentSeconds }) => {
+    applyStatusChange(agentId, to, { previous: from, reason: 'heartbeat_timeout', silent_seconds: silentSeconds });
+  });
+  
+  if (config.retention.enabled) startMaintenance();
+  if (config.processes.enabled && !DEMO_MODE) startProcessMonitor(handleProcessUpdate);
+  // Replayed activity stays on the dashboard rather than reaching real webhooks and scripts
+  if (config.alerts.enabled) startAlerts(broadcastAlerts, { deliverExternally: !DEMO_MODE });
+  if (config.webhooks.enabled) startWebhooks();
+  // A replayed day would overwrite the real digest for that date
+  if (config.digest.enabled && !DEMO_MODE) startDigests();
+  startLeaseMonitor(({ taskId, agentId }) => broadcastTaskUpdate(getTask(taskId), 'expire', { previousAgentId: agentId }));
+  if (DEMO_MODE) startDemoReplay();
 });
 
+/** Push an agent's process figures to clients and log processes that exit or come back */
+function handleProcessUpdate({ state, lost, found }) {
+  broadcast({ type: 'process_update', agentId: state.agentId, processes: state });
+  
+  if (lost.length) {
+    const names = lost.map(proc => proc.name ? `${proc.name} (${proc.pid})` : `pid ${proc.pid}`).join(', ');
+    const description = state.status === 'missing'
+      ? `All processes gone: ${names}`
+      : `Process exited: ${names} (${state.processes.length} still running)`;
+    logAgentActivity(state.agentId, 'process_lost', description, {
+      pids: lost.map(proc => proc.pid),
+      remaining: state.processes.length
+    });
+  }
+  if (found) {
+    logAgentActivity(state.agentId, 'process_found', `Processes back: ${state.processes.length} running`, {
+      pids: state.processes.map(proc => proc.pid)
+    });
+  }
+}
+
+/** Register the recording's agents and start replaying its activity */
+function startDemoReplay() {
+  const { agents: profiles, events } = loadRecording(path.resolve(__dirname, config.demo.recording));
+  for (const profile of profiles) {
+    if (!getAgent(profile.id, { includeArchived: true })) createAgent(profile);
+  }
+  
+  const options = { speed: DEMO_SPEED, loop: config.demo.loop, maxGapSeconds: config.demo.maxGapSeconds };
+  startReplay(events, options, (event) => {
+    if (!getAgent(event.agentId)) return;
+    noteAgentSeen(event.agentId);
+    logAgentActivity(event.agentId, event.type, event.description, {
+      ...event.metadata,
+      replayed: true,
+      recordedAt: new Date(event.at).toISOString()
+    });
+  });
+  
+  console.log(`🎬 Demo mode: replaying ${events.length} activities from ${config.demo.recording} at ${DEMO_SPEED}x`);
+}
+
 module.exports = { logAgentActivity };
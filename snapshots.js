@@ -0,0 +1,61 @@
+/** File snapshots for Puppy Station - content-addressed versions of watched files and diffs between them */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createTwoFilesPatch } = require('diff');
+const { config } = require('./config');
+const {
+  addFileSnapshot,
+  getLatestFileSnapshot,
+  pruneFileSnapshots
+} = require('./db');
+
+/**
+ * Snapshot a watched file after a change. Returns the activity metadata to add:
+ * { snapshotId } for a new version, { snapshotSkipped: reason } when it was not stored,
+ * or {} when the content is unchanged since the last version.
+ */
+function captureSnapshot(agentId, filePath, event) {
+  const { maxBytes, keepVersions, keepDays } = config.snapshots;
+  const latest = getLatestFileSnapshot(filePath);
+  
+  if (event === 'unlink') {
+    if (!latest || !latest.hash) return {};
+    const snapshotId = addFileSnapshot(agentId, filePath, { event });
+    return { snapshotId };
+  }
+  
+  let content;
+  try {
+    if (fs.statSync(filePath).size > maxBytes) return { snapshotSkipped: 'too_large' };
+    content = fs.readFileSync(filePath);
+  } catch (err) {
+    // The file vanished between the event and the read; the unlink will follow
+    return { snapshotSkipped: 'unreadable' };
+  }
+  if (content.includes(0)) return { snapshotSkipped: 'binary' };
+  
+  const hash = crypto.createHash('sha256').update(content).digest('hex');
+  if (latest && latest.hash === hash) return {};
+  
+  const snapshotId = addFileSnapshot(agentId, filePath, { hash, content: content.toString('utf8'), size: content.length, event });
+  pruneFileSnapshots({ keepVersions, keepDays });
+  return { snapshotId };
+}
+
+/** Unified diff between two snapshots (either may be null, meaning an empty file) */
+function diffSnapshots(from, to) {
+  const label = snapshot => snapshot ? `${path.basename(snapshot.path)}@${snapshot.id}` : '/dev/null';
+  const header = snapshot => snapshot ? `${snapshot.created_at}${snapshot.hash ? '' : ' (deleted)'}` : '';
+  
+  return createTwoFilesPatch(
+    label(from),
+    label(to),
+    (from && from.content) || '',
+    (to && to.content) || '',
+    header(from),
+    header(to)
+  );
+}
+
+module.exports = { captureSnapshot, diffSnapshots };
@@ -0,0 +1,102 @@
+/** Event stream for Puppy Station - a bounded log of pushed events and per-client topic filters */
+const picomatch = require('picomatch');
+const { config } = require('./config');
+const { eventAgent } = require('./webhooks');
+const { getReview } = require('./db');
+const { REVIEW_PRIORITIES } = require('./registry');
+
+// Recent events, oldest first. Ids continue from the clock at startup, so they keep increasing
+// across restarts and an id from before a restart is simply older than the log
+const log = [];
+let lastId = Date.now();
+
+/** A comma-separated string or an array of strings as a list, or null when empty */
+function toList(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const list = (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+  return list.length ? list : null;
+}
+
+/**
+ * Parse a subscription from query parameters or a subscribe message: `agent(s)`, `type(s)` (globs)
+ * and `priority`/`priorities` for reviews. Returns { filter } or { error }; an empty filter lets
+ * everything through.
+ */
+function parseStreamFilter(source = {}) {
+  const filter = {
+    agents: toList(source.agents !== undefined ? source.agents : source.agent),
+    types: toList(source.types !== undefined ? source.types : source.type),
+    priorities: toList(source.priorities !== undefined ? source.priorities : source.priority)
+  };
+  if (filter.priorities && !filter.priorities.every(priority => Object.hasOwn(REVIEW_PRIORITIES, priority))) {
+    return { error: `priority must be a list of: ${Object.keys(REVIEW_PRIORITIES).join(', ')}` };
+  }
+  return { filter };
+}
+
+/** Parse a Last-Event-ID value; null when missing or not an event id */
+function parseEventId(value) {
+  return /^\d+$/.test(String(value || '')) ? Number(value) : null;
+}
+
+/** Add a broadcast event to the log and return its entry { id, type, agentId, priority, message } */
+function recordEvent(event) {
+  let agentId = eventAgent(event);
+  let priority = event.review ? event.review.priority : null;
+  // Some review events only carry the review's id
+  if (!event.review && event.reviewId) {
+    const review = getReview(event.reviewId);
+    if (review) {
+      agentId = agentId || review.agent_id;
+      priority = review.priority;
+    }
+  }
+  
+  const id = ++lastId;
+  const entry = { id, type: event.type, agentId, priority, message: JSON.stringify({ ...event, eventId: id }) };
+  log.push(entry);
+  if (log.length > config.stream.logSize) log.splice(0, log.length - config.stream.logSize);
+  return entry;
+}
+
+/**
+ * Whether an event passes a filter. Events without an agent are left out when agents are named;
+ * the priority filter only applies to events about a review. A batch of activities passes wherever
+ * a single activity would.
+ */
+function matchesFilter(filter, entry) {
+  if (!filter) return true;
+  if (filter.agents && !filter.agents.includes(entry.agentId)) return false;
+  const types = entry.type === 'activities' ? ['activities', 'activity'] : [entry.type];
+  if (filter.types && !types.some(type => picomatch.isMatch(type, filter.types))) return false;
+  if (filter.priorities && entry.priority && !filter.priorities.includes(entry.priority)) return false;
+  return true;
+}
+
+/**
+ * Logged events after `afterId` that pass a filter. `truncated` means events after `afterId` have
+ * already left the log, so the client should reload its state.
+ */
+function eventsSince(afterId, filter) {
+  const oldest = log.length ? log[0].id : lastId + 1;
+  return {
+    events: log.filter(entry => entry.id > afterId && matchesFilter(filter, entry)),
+    truncated: afterId < oldest - 1
+  };
+}
+
+/** Id of the newest event */
+function getLastEventId() {
+  return lastId;
+}
+
+module.exports = {
+  parseStreamFilter,
+  parseEventId,
+  recordEvent,
+  matchesFilter,
+  eventsSince,
+  getLastEventId
+};
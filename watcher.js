@@ -0,0 +1,148 @@
+/** Workspace watcher for Puppy Station - turns file changes into agent activities */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const chokidar = require('chokidar');
+const picomatch = require('picomatch');
+const { getAgent } = require('./db');
+
+// How each kind of file event reads in the activity feed
+const EVENT_VERBS = { add: 'Created', change: 'Updated', unlink: 'Deleted' };
+
+const watchers = [];
+
+/** Expand a leading ~ to the home directory */
+function expandHome(dir) {
+  return dir.startsWith('~') ? path.join(os.homedir(), dir.slice(1)) : dir;
+}
+
+/**
+ * Compile a glob list into a single predicate over relative paths.
+ * Patterns without a slash match the file name alone; an empty list matches nothing.
+ */
+function compileGlobs(globs) {
+  const list = [].concat(globs || []);
+  const namePatterns = list.filter(glob => !glob.includes('/'));
+  const pathPatterns = list.filter(glob => glob.includes('/'));
+  const matchesName = namePatterns.length ? picomatch(namePatterns, { dot: true }) : () => false;
+  const matchesPath = pathPatterns.length ? picomatch(pathPatterns, { dot: true }) : () => false;
+  return relativePath => matchesPath(relativePath) || matchesName(path.posix.basename(relativePath));
+}
+
+/** Compile one configured root into matchers */
+function compileRoot(root) {
+  return {
+    dir: path.resolve(expandHome(root.path)),
+    depth: root.depth,
+    isIncluded: root.include ? compileGlobs(root.include) : () => true,
+    isExcluded: compileGlobs(root.exclude),
+    owners: (root.owners || []).map(owner => ({ agent: owner.agent, matches: compileGlobs(owner.match) })),
+    agentDirs: root.agentDirs || null,
+    defaultAgent: root.defaultAgent || null
+  };
+}
+
+/** Work out which agent owns a file (relative path with forward slashes), or null */
+function resolveAgent(root, relativePath) {
+  for (const owner of root.owners) {
+    if (owner.matches(relativePath)) return owner.agent;
+  }
+  
+  if (root.agentDirs) {
+    const prefix = root.agentDirs.replace(/\/+$/, '') + '/';
+    if (relativePath.startsWith(prefix)) {
+      const agentId = relativePath.slice(prefix.length).split('/')[0];
+      if (agentId && getAgent(agentId)) return agentId;
+    }
+  }
+  
+  return root.defaultAgent;
+}
+
+/** Pick the activity rule for a file, first match wins */
+function resolveRule(rules, relativePath) {
+  return rules.find(rule => rule.matches(relativePath)) || null;
+}
+
+/**
+ * Combine a burst of events on one file into the event to report: a deletion if the file is gone,
+ * a creation if it did not exist before the burst, otherwise a change. Editors that save atomically
+ * (unlink, then add) are reporting a change.
+ */
+function summarizeEvents(events) {
+  if (events[events.length - 1] === 'unlink') return 'unlink';
+  if (events[0] === 'add') return 'add';
+  return 'change';
+}
+
+/**
+ * Start watching the configured roots. `onFileActivity` receives
+ * { agentId, type, description, metadata, rule } once per debounced burst.
+ */
+function startWatcher(watcherConfig, onFileActivity) {
+  const rules = watcherConfig.rules.map(rule => ({ ...rule, matches: compileGlobs(rule.match) }));
+  const pending = new Map();
+  
+  for (const rootConfig of watcherConfig.roots) {
+    const root = compileRoot(rootConfig);
+    if (!fs.existsSync(root.dir)) {
+      console.warn('⚠️  Watch root does not exist, skipping:', root.dir);
+      continue;
+    }
+    
+    const relative = filePath => path.relative(root.dir, filePath).split(path.sep).join('/');
+    const watcher = chokidar.watch(root.dir, {
+      ignored: filePath => filePath !== root.dir && root.isExcluded(relative(filePath)),
+      ignoreInitial: true,
+      persistent: true,
+      depth: root.depth
+    });
+    
+    const handle = (event, filePath) => {
+      const relativePath = relative(filePath);
+      if (!root.isIncluded(relativePath)) return;
+      
+      const agentId = resolveAgent(root, relativePath);
+      const rule = resolveRule(rules, relativePath);
+      if (!agentId || !rule) return;
+      
+      // Debounce per agent and file: collect events until the file goes quiet
+      const key = `${agentId}:${filePath}`;
+      const burst = pending.get(key) || { events: [] };
+      clearTimeout(burst.timer);
+      burst.events.push(event);
+      burst.timer = setTimeout(() => {
+        pending.delete(key);
+        const finalEvent = summarizeEvents(burst.events);
+        const fileName = path.basename(filePath);
+        try {
+          onFileActivity({
+            agentId,
+            type: rule.type,
+            description: `${EVENT_VERBS[finalEvent]} ${fileName}`,
+            metadata: { file: filePath, root: root.dir, event: finalEvent, changes: burst.events.length },
+            rule
+          });
+        } catch (err) {
+          console.error('Failed to record file activity:', err);
+        }
+      }, watcherConfig.debounceMs);
+      pending.set(key, burst);
+    };
+    
+    watcher.on('add', filePath => handle('add', filePath));
+    watcher.on('change', filePath => handle('change', filePath));
+    watcher.on('unlink', filePath => handle('unlink', filePath));
+    watcher.on('error', err => console.error('File watcher error:', err));
+    watchers.push(watcher);
+    
+    console.log('✅ File watcher initialized for', root.dir);
+  }
+}
+
+/** Stop all watchers */
+async function stopWatcher() {
+  await Promise.all(watchers.splice(0).map(watcher => watcher.close()));
+}
+
+module.exports = { startWatcher, stopWatcher, expandHome, resolveAgent, compileRoot, summarizeEvents };
@@ -0,0 +1,195 @@
+/** Outgoing webhooks for Puppy Station - signed deliveries of station events with retries */
+const crypto = require('crypto');
+const picomatch = require('picomatch');
+const { config } = require('./config');
+const {
+  getWebhook,
+  getWebhooks,
+  enqueueWebhookDelivery,
+  getDueWebhookDeliveries,
+  recordWebhookAttempt,
+  getWebhookDelivery,
+  pruneWebhookDeliveries
+} = require('./db');
+
+// Telemetry sent every few seconds; a webhook only gets these when it names them
+const HIGH_VOLUME_EVENTS = ['system', 'process_update', 'heartbeat'];
+// Finished deliveries older than keepDeliveriesDays are pruned at most this often
+const PRUNE_INTERVAL_MS = 3600000;
+
+let timer = null;
+let running = null;
+let lastPrune = 0;
+// Deliveries being attempted right now, so a test send and the queue never post the same one twice
+const inFlight = new Set();
+
+/** A new signing secret */
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+/** The `X-Puppy-Signature` value: HMAC-SHA256 of "<timestamp>.<body>" with the webhook's secret */
+function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/** The agent an event is about, if any */
+function eventAgent(event) {
+  return event.agentId ||
+    (event.activity && event.activity.agent_id) ||
+    (event.review && event.review.agent_id) ||
+    (event.agent && event.agent.id) ||
+    null;
+}
+
+/** Whether a webhook's event and agent filters let an event through */
+function wantsEvent(webhook, type, agentId) {
+  if (HIGH_VOLUME_EVENTS.includes(type) && !webhook.events.includes(type)) return false;
+  if (!picomatch.isMatch(type, webhook.events)) return false;
+  return !webhook.agents || webhook.agents.includes(agentId);
+}
+
+/** Queue an event for every enabled webhook that wants it; returns how many deliveries were queued */
+function dispatchEvent(event) {
+  // A batch reaches webhooks as one `activity` delivery per activity, like activities logged one at a time
+  const events = event.type === 'activities'
+    ? event.activities.map(activity => ({ type: 'activity', agentId: event.agentId, activity }))
+    : [event];
+  const enabled = getWebhooks({ enabledOnly: true });
+  let queued = 0;
+  for (const item of events) {
+    const agentId = eventAgent(item);
+    const webhooks = enabled.filter(webhook => wantsEvent(webhook, item.type, agentId));
+    if (webhooks.length === 0) continue;
+    
+    const body = JSON.stringify({ type: item.type, agentId, timestamp: new Date().toISOString(), data: item });
+    for (const webhook of webhooks) enqueueWebhookDelivery(webhook.id, item.type, body);
+    queued += webhooks.length;
+  }
+  if (queued) setImmediate(processDueDeliveries);
+  return queued;
+}
+
+/** Seconds before the next attempt after `attempts` failed ones */
+function backoffSeconds(attempts) {
+  return Math.min(config.webhooks.backoffSeconds * 2 ** (attempts - 1), config.webhooks.maxBackoffSeconds);
+}
+
+/** POST one delivery and record the outcome; returns the updated delivery */
+async function attemptDelivery(delivery) {
+  const webhook = getWebhook(delivery.webhook_id, { withSecret: true });
+  if (!webhook || inFlight.has(delivery.id)) return delivery;
+  
+  inFlight.add(delivery.id);
+  try {
+    const timestamp = Math.floor(Date.now() / 1000);
+    let responseStatus = null;
+    let error = null;
+    try {
+      const res = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'puppy-station',
+          'X-Puppy-Event': delivery.event_type,
+          'X-Puppy-Delivery': String(delivery.id),
+          'X-Puppy-Timestamp': String(timestamp),
+          'X-Puppy-Signature': signPayload(webhook.secret, timestamp, delivery.body)
+        },
+        body: delivery.body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(config.webhooks.timeoutSeconds * 1000)
+      });
+      responseStatus = res.status;
+      if (!res.ok) error = `HTTP ${res.status}`;
+      if (res.body) await res.body.cancel();
+    } catch (err) {
+      error = err.cause ? `${err.message}: ${err.cause.message}` : err.message;
+    }
+    
+    const attempts = delivery.attempts + 1;
+    if (!error) {
+      recordWebhookAttempt(delivery.id, { status: 'delivered', responseStatus });
+    } else if (attempts >= config.webhooks.maxAttempts) {
+      recordWebhookAttempt(delivery.id, { status: 'failed', responseStatus, error });
+      console.error(`Webhook ${webhook.id} gave up on delivery ${delivery.id} after ${attempts} attempts: ${error}`);
+    } else {
+      const nextAttemptAt = new Date(Date.now() + backoffSeconds(attempts) * 1000);
+      recordWebhookAttempt(delivery.id, { status: 'pending', responseStatus, error, nextAttemptAt });
+    }
+    return getWebhookDelivery(delivery.id);
+  } finally {
+    inFlight.delete(delivery.id);
+  }
+}
+
+/** Attempt every due delivery, a batch at a time; concurrent calls share one run */
+function processDueDeliveries() {
+  if (running) return running;
+  
+  running = (async () => {
+    try {
+      let batch;
+      while ((batch = getDueWebhookDeliveries(10).filter(delivery => !inFlight.has(delivery.id))).length) {
+        await Promise.all(batch.map(attemptDelivery));
+      }
+    } catch (err) {
+      console.error('Webhook delivery error:', err);
+    } finally {
+      running = null;
+    }
+  })();
+  return running;
+}
+
+/**
+ * Send a test event to one webhook right away, whatever its filters, and return the delivery.
+ * A failed test is retried like any other delivery.
+ */
+async function sendTestEvent(webhookId, { type = 'ping', agentId = null } = {}) {
+  const body = JSON.stringify({
+    type,
+    agentId,
+    timestamp: new Date().toISOString(),
+    test: true,
+    data: { type, agentId, message: 'Test event from Puppy Station' }
+  });
+  const deliveryId = enqueueWebhookDelivery(webhookId, type, body);
+  return attemptDelivery(getWebhookDelivery(deliveryId));
+}
+
+/** Retry due deliveries every few seconds and prune the delivery log now and then */
+function startWebhooks() {
+  timer = setInterval(() => {
+    processDueDeliveries();
+    
+    if (Date.now() - lastPrune >= PRUNE_INTERVAL_MS) {
+      lastPrune = Date.now();
+      try {
+        pruneWebhookDeliveries(new Date(Date.now() - config.webhooks.keepDeliveriesDays * 86400000));
+      } catch (err) {
+        console.error('Webhook log pruning error:', err);
+      }
+    }
+  }, 5000);
+  
+  console.log(`✅ Webhooks started (${getWebhooks({ enabledOnly: true }).length} enabled)`);
+}
+
+function stopWebhooks() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  HIGH_VOLUME_EVENTS,
+  eventAgent,
+  generateSecret,
+  signPayload,
+  wantsEvent,
+  dispatchEvent,
+  processDueDeliveries,
+  sendTestEvent,
+  startWebhooks,
+  stopWebhooks
+};